@@ -10,6 +10,10 @@ type ComparableHeaders = {
   [key: string]: ComparableHeader | Array<ComparableHeader>;
 };
 
+type ComparableQuery = {
+  [key: string]: ComparableHeader | Array<ComparableHeader>;
+};
+
 type MatchHeaders = { [key: string]: string | Array<string> };
 type HTTPMatchReq = {
   method: string;
@@ -21,13 +25,23 @@ type HTTPMatchReq = {
 
 type OptBufferable = string | Buffer | undefined;
 
+type RouteParams = { [key: string]: string };
+
 type HTTPFuncOptBufferable =
-  | ((req: IncomingMessage, reqBody: Buffer) => OptBufferable)
+  | ((
+      req: IncomingMessage,
+      reqBody: Buffer,
+      params: RouteParams
+    ) => OptBufferable)
   | OptBufferable;
 type TCPFuncOptBufferable = ((req: Buffer) => OptBufferable) | OptBufferable;
 
 type HTTPFuncOptNumberable =
-  | ((req: IncomingMessage, reqBody: Buffer) => number | undefined)
+  | ((
+      req: IncomingMessage,
+      reqBody: Buffer,
+      params: RouteParams
+    ) => number | undefined)
   | number
   | undefined;
 type TCPFuncOptNumberable =
@@ -36,7 +50,11 @@ type TCPFuncOptNumberable =
   | undefined;
 
 type HTTPFuncOptBoolable =
-  | ((req: IncomingMessage, reqBody: Buffer) => boolean | undefined)
+  | ((
+      req: IncomingMessage,
+      reqBody: Buffer,
+      params: RouteParams
+    ) => boolean | undefined)
   | boolean
   | undefined;
 type TCPFuncOptBoolable =
@@ -46,23 +64,53 @@ type TCPFuncOptBoolable =
 
 type HTTPHeaderValue = OptBufferable | Array<HTTPFuncOptBufferable>;
 type HTTPFuncHeaderValue =
-  | ((req: IncomingMessage, reqBody: Buffer) => HTTPHeaderValue)
+  | ((
+      req: IncomingMessage,
+      reqBody: Buffer,
+      params: RouteParams
+    ) => HTTPHeaderValue)
   | HTTPHeaderValue;
 
 type HTTPResHeaders = { [key: string]: HTTPFuncHeaderValue } | undefined;
 
+type HTTPChunk = string | Buffer | { data: string | Buffer; delay?: number };
+type HTTPBody = OptBufferable | Array<HTTPChunk> | AsyncIterable<HTTPChunk>;
+type HTTPFuncBody =
+  | ((req: IncomingMessage, reqBody: Buffer, params: RouteParams) => HTTPBody)
+  | HTTPBody;
+
+type HTTPFault =
+  | { type: 'truncate'; bytes?: number }
+  | { type: 'contentLength'; length: number }
+  | { type: 'reset' }
+  | { type: 'stall' };
+
 type HTTPRes = {
-  body?: HTTPFuncOptBufferable;
+  body?: HTTPFuncBody;
   statusCode?: HTTPFuncOptNumberable;
   headers?:
-    | ((req: IncomingMessage, reqBody: Buffer) => HTTPResHeaders)
+    | ((
+        req: IncomingMessage,
+        reqBody: Buffer,
+        params: RouteParams
+      ) => HTTPResHeaders)
     | HTTPResHeaders;
   headerDelay?: HTTPFuncOptNumberable;
   bodyDelay?: HTTPFuncOptNumberable;
   destroySocket?: HTTPFuncOptBoolable;
+  fault?:
+    | ((
+        req: IncomingMessage,
+        reqBody: Buffer,
+        params: RouteParams
+      ) => HTTPFault | undefined)
+    | HTTPFault;
 };
 
 type HTTPMock = {
+  readonly calls: Array<HTTPMatchReq>;
+  readonly lastCall: HTTPMatchReq | undefined;
+  isPending(): boolean;
   assertDone(): void;
 };
 
@@ -72,22 +120,94 @@ type HTTPMockOptions = {
     | {
         method?: ((method: string) => boolean) | Comparable;
         pathname?: ((pathname: string) => boolean) | Comparable;
-        query?: ((query: string) => boolean) | Comparable;
+        route?: string;
+        query?: ((query: string) => boolean) | Comparable | ComparableQuery;
         headers?: ((headers: MatchHeaders) => boolean) | ComparableHeaders;
         body?: ((body: Buffer) => boolean) | Comparable;
       };
-  res?: ((req: IncomingMessage, reqBody: Buffer) => HTTPRes) | HTTPRes;
+  res?:
+    | ((req: IncomingMessage, reqBody: Buffer, params: RouteParams) => HTTPRes)
+    | HTTPRes;
+  optional?: boolean;
+} & (
+  | { times?: number; persist?: undefined }
+  | { times?: undefined; persist?: boolean }
+) &
+  (
+    | { scenario: string; whenState?: string; toState?: string }
+    | { scenario?: undefined; whenState?: undefined; toState?: undefined }
+  );
+
+type ReplayOptions = { optional?: boolean } & (
+  | { times?: number; persist?: undefined }
+  | { times?: undefined; persist?: boolean }
+);
+
+type WSMessage = string | Buffer;
+type WSFunc<T> = ((message: WSMessage) => T) | T;
+
+type WSMessageRes =
+  | OptBufferable
+  | {
+      body?: WSFunc<OptBufferable>;
+      bodyDelay?: WSFunc<number | undefined>;
+      destroySocket?: WSFunc<boolean | undefined>;
+      close?: WSFunc<boolean | { code?: number; reason?: string } | undefined>;
+    };
+
+type WSMessageMockOptions = {
+  req?: ((message: WSMessage) => boolean) | Comparable;
+  res?: WSFunc<WSMessageRes>;
+  persist?: boolean;
+  optional?: boolean;
+};
+
+type WSMessageMock = {
+  isPending(): boolean;
+  assertDone(): void;
+};
+
+type WSRes = Pick<HTTPRes, 'headers' | 'headerDelay' | 'destroySocket'>;
+
+type WSMockOptions = {
+  req?: HTTPMockOptions['req'];
+  res?:
+    | ((req: IncomingMessage, reqBody: Buffer, params: RouteParams) => WSRes)
+    | WSRes;
+  init?: WSMessage | Array<WSMessage>;
+  persist?: boolean;
+  optional?: boolean;
+};
+
+type WSMock = {
+  readonly calls: Array<HTTPMatchReq>;
+  readonly lastCall: HTTPMatchReq | undefined;
+  mock(options?: WSMessageMockOptions): WSMessageMock;
+  send(data: WSMessage): void;
+  ping(data?: WSMessage): void;
+  close(code?: number, reason?: string): void;
+  isPending(): boolean;
+  assertDone(): void;
 };
 
 type HTTPMockServer = {
-  port: number;
+  port: number | undefined;
+  address: string | undefined;
+  path: string | undefined;
+  ca: string | Buffer | undefined;
+  readonly requests: Array<HTTPMatchReq>;
+  readonly unmatchedRequests: Array<HTTPMatchReq>;
   mock(options?: HTTPMockOptions): HTTPMock;
+  ws(options?: WSMockOptions): WSMock;
+  scenario(name: string): { readonly state: string };
+  replay(file: string, options?: ReplayOptions): Array<HTTPMock>;
   reset(options?: { throwOnPending?: boolean }): void;
   teardown(): Promise<void>;
 };
 
 type TCPMock = {
   mock(options?: TCPMockOptions): TCPMock;
+  isPending(): boolean;
   assertDone(): void;
 };
 
@@ -97,17 +217,127 @@ type TCPRes =
       body?: TCPFuncOptBufferable;
       bodyDelay?: TCPFuncOptNumberable;
       destroySocket?: TCPFuncOptBoolable;
+      upgradeTLS?: TCPFuncOptBoolable;
     };
 
+type TCPConsume =
+  | number
+  | string
+  | Buffer
+  | ((req: Buffer) => number | undefined);
+
 type TCPMockOptions = {
   init?: OptBufferable;
   req?: ((req: Buffer) => boolean) | Comparable;
   res?: ((req: Buffer) => TCPRes) | TCPRes;
+  consume?: TCPConsume;
+  persist?: boolean;
+  optional?: boolean;
+};
+
+type TCPFake = {
+  consume: (bytes: Buffer) => number | undefined;
+  respond: (bytes: Buffer) => OptBufferable;
+  reset?: () => void;
+};
+
+type RedisFake = TCPFake & {
+  readonly calls: Array<Array<string>>;
+  reset(): void;
 };
 
 type TCPMockServer = {
-  port: number;
+  port: number | undefined;
+  address: string | undefined;
+  path: string | undefined;
+  ca: string | Buffer | undefined;
+  fake: TCPFake | undefined;
   mock(options?: TCPMockOptions): TCPMock;
+  replay(file: string, options?: { optional?: boolean }): Array<TCPMock>;
+  reset(options?: { throwOnPending?: boolean }): void;
+  teardown(): Promise<void>;
+};
+
+type UDPRes =
+  | OptBufferable
+  | {
+      body?: TCPFuncOptBufferable;
+      bodyDelay?: TCPFuncOptNumberable;
+      drop?: TCPFuncOptBoolable;
+    };
+
+type UDPMockOptions = {
+  req?: ((req: Buffer) => boolean) | Comparable;
+  res?: ((req: Buffer) => UDPRes) | UDPRes;
+  persist?: boolean;
+  optional?: boolean;
+};
+
+type UDPMock = {
+  isPending(): boolean;
+  assertDone(): void;
+};
+
+type UDPMockServer = {
+  port: number;
+  mock(options?: UDPMockOptions): UDPMock;
+  reset(options?: { throwOnPending?: boolean }): void;
+  teardown(): Promise<void>;
+};
+
+type DNSQuestion = { name: string; type: string };
+
+type DNSFunc<T> = ((question: DNSQuestion) => T) | T;
+
+type DNSRecord =
+  | { type?: 'A' | 'AAAA'; ttl?: number; address: string }
+  | { type?: 'CNAME'; ttl?: number; value: string }
+  | {
+      type?: 'SRV';
+      ttl?: number;
+      priority?: number;
+      weight?: number;
+      port?: number;
+      name: string;
+    }
+  | { type?: 'TXT'; ttl?: number; entries: Array<string> };
+
+type DNSRcode =
+  | 'NOERROR'
+  | 'FORMERR'
+  | 'SERVFAIL'
+  | 'NXDOMAIN'
+  | 'NOTIMP'
+  | 'REFUSED'
+  | number;
+
+type DNSRes = {
+  answers?: DNSFunc<Array<DNSRecord> | undefined>;
+  rcode?: DNSFunc<DNSRcode | undefined>;
+  delay?: DNSFunc<number | undefined>;
+  drop?: DNSFunc<boolean | undefined>;
+};
+
+type DNSMockOptions = {
+  req?:
+    | ((question: DNSQuestion) => boolean)
+    | {
+        name?: ((name: string) => boolean) | Comparable;
+        type?: ((type: string) => boolean) | Comparable;
+      };
+  res?: DNSFunc<DNSRes | undefined>;
+  persist?: boolean;
+  optional?: boolean;
+};
+
+type DNSMock = {
+  isPending(): boolean;
+  assertDone(): void;
+};
+
+type DNSMockServer = {
+  port: number;
+  mock(options?: DNSMockOptions): DNSMock;
   reset(options?: { throwOnPending?: boolean }): void;
   teardown(): Promise<void>;
 };
@@ -125,9 +355,220 @@ type JSONValue =
   | { [key: string]: JSONValue }
   | Array<JSONValue>;
 
+type SSEEvent =
+  | string
+  | {
+      event?: string;
+      id?: string;
+      retry?: number;
+      data?: JSONValue;
+      delay?: number;
+    };
+
 type FormValue = { [key: string]: string | Array<string> };
 type QueryValue = FormValue;
 
+type RedisValue =
+  | string
+  | Buffer
+  | number
+  | null
+  | undefined
+  | Array<RedisValue>;
+
+type RedisHelpers = {
+  consume: (bytes: Buffer) => number | undefined;
+  handshake: () => TCPMockOptions;
+  match: {
+    command: (
+      name: ((name: Buffer) => boolean) | Comparable,
+      ...args: Array<((arg: Buffer) => boolean) | Comparable>
+    ) => (bytes: Buffer) => boolean;
+  };
+  res: {
+    simple: (value: string) => Buffer;
+    error: (message: string) => Buffer;
+    integer: (value: number) => Buffer;
+    bulk: (value: string | Buffer | null | undefined) => Buffer;
+    array: (values: Array<RedisValue> | null | undefined) => Buffer;
+    null: () => Buffer;
+  };
+};
+
+type PostgresValue = Buffer | JSONValue | undefined;
+
+type PostgresField =
+  | string
+  | {
+      name: string;
+      type?:
+        | number
+        | 'bool'
+        | 'bytea'
+        | 'int8'
+        | 'int2'
+        | 'int4'
+        | 'text'
+        | 'json'
+        | 'float4'
+        | 'float8'
+        | 'varchar'
+        | 'date'
+        | 'timestamp'
+        | 'timestamptz'
+        | 'numeric'
+        | 'uuid'
+        | 'jsonb';
+    };
+
+type PostgresHelpers = {
+  consume: (bytes: Buffer) => number | undefined;
+  handshake: (options?: {
+    parameters?: { [key: string]: string };
+  }) => TCPMockOptions;
+  match: {
+    query: (
+      sql: ((sql: string) => boolean) | Comparable,
+      params?: Array<((param: Buffer) => boolean) | Comparable | null>
+    ) => (bytes: Buffer) => boolean;
+  };
+  res: {
+    result: (result?: {
+      fields?: Array<PostgresField>;
+      rows?: Array<Array<PostgresValue> | { [field: string]: PostgresValue }>;
+      command?: string;
+    }) => (bytes: Buffer) => Buffer;
+    error: (error: {
+      code?: string;
+      message: string;
+      severity?: string;
+      detail?: string;
+    }) => Buffer;
+  };
+};
+
+type MySQLValue = Buffer | JSONValue | undefined;
+
+type MySQLField =
+  | string
+  | {
+      name: string;
+      type?:
+        | number
+        | 'decimal'
+        | 'tiny'
+        | 'short'
+        | 'long'
+        | 'float'
+        | 'double'
+        | 'null'
+        | 'timestamp'
+        | 'longlong'
+        | 'int24'
+        | 'date'
+        | 'time'
+        | 'datetime'
+        | 'year'
+        | 'varchar'
+        | 'bit'
+        | 'json'
+        | 'newdecimal'
+        | 'blob'
+        | 'var_string'
+        | 'string';
+    };
+
+type MySQLHelpers = {
+  consume: (bytes: Buffer) => number | undefined;
+  handshake: (options?: {
+    serverVersion?: string;
+    connectionId?: number;
+  }) => Buffer;
+  match: {
+    query: (
+      sql: ((sql: string) => boolean) | Comparable
+    ) => (bytes: Buffer) => boolean;
+  };
+  res: {
+    ok: (options?: {
+      affectedRows?: number;
+      insertId?: number;
+      message?: string;
+    }) => (bytes: Buffer) => Buffer;
+    error: (error?: {
+      errno?: number;
+      sqlState?: string;
+      message?: string;
+    }) => (bytes: Buffer) => Buffer;
+    result: (result?: {
+      fields?: Array<MySQLField>;
+      rows?: Array<Array<MySQLValue> | { [field: string]: MySQLValue }>;
+    }) => (bytes: Buffer) => Buffer;
+  };
+};
+
+type MemcachedArg = ((arg: string) => boolean) | Comparable | number;
+type MemcachedValue = ((value: Buffer) => boolean) | Comparable | number;
+
+type MemcachedHelpers = {
+  consume: (bytes: Buffer) => number | undefined;
+  match: {
+    get: (...keys: Array<MemcachedArg>) => (bytes: Buffer) => boolean;
+    gets: (...keys: Array<MemcachedArg>) => (bytes: Buffer) => boolean;
+    set: (
+      key: MemcachedArg,
+      value?: MemcachedValue
+    ) => (bytes: Buffer) => boolean;
+    add: (
+      key: MemcachedArg,
+      value?: MemcachedValue
+    ) => (bytes: Buffer) => boolean;
+    delete: (key: MemcachedArg) => (bytes: Buffer) => boolean;
+    incr: (
+      key: MemcachedArg,
+      amount?: MemcachedArg
+    ) => (bytes: Buffer) => boolean;
+    mg: (
+      key: MemcachedArg,
+      ...flags: Array<MemcachedArg>
+    ) => (bytes: Buffer) => boolean;
+    ms: (
+      key: MemcachedArg,
+      value?: MemcachedValue,
+      ...flags: Array<MemcachedArg>
+    ) => (bytes: Buffer) => boolean;
+    md: (
+      key: MemcachedArg,
+      ...flags: Array<MemcachedArg>
+    ) => (bytes: Buffer) => boolean;
+  };
+  res: {
+    values: (
+      ...items: Array<{
+        key: string;
+        value: string | Buffer | number;
+        flags?: number;
+        cas?: number | string;
+      }>
+    ) => Buffer;
+    stored: () => Buffer;
+    notStored: () => Buffer;
+    exists: () => Buffer;
+    notFound: () => Buffer;
+    deleted: () => Buffer;
+    number: (value: number | string) => Buffer;
+    error: () => Buffer;
+    clientError: (message: string) => Buffer;
+    serverError: (message: string) => Buffer;
+    va: (value: string | Buffer | number, ...flags: Array<string>) => Buffer;
+    hd: (...flags: Array<string>) => Buffer;
+    en: () => Buffer;
+    ns: (...flags: Array<string>) => Buffer;
+    ex: (...flags: Array<string>) => Buffer;
+    nf: (...flags: Array<string>) => Buffer;
+  };
+};
+
 type Helpers = {
   match: {
     json: (desired: JSONValue) => (actual: Buffer) => boolean;
@@ -137,6 +578,17 @@ type Helpers = {
   res: {
     text: (body: string, options?: ResOptions) => HTTPRes;
     json: (body: string, options?: ResOptions) => HTTPRes;
+    sse: (
+      events: Array<SSEEvent> | AsyncIterable<SSEEvent>,
+      options?: ResOptions
+    ) => HTTPRes;
+  };
+  redis: RedisHelpers;
+  postgres: PostgresHelpers;
+  mysql: MySQLHelpers;
+  memcached: MemcachedHelpers;
+  fakes: {
+    redis: () => RedisFake;
   };
 };
 
@@ -148,12 +600,50 @@ declare class PendingMockError extends Error {
   constructor(message: string);
 }
 
+declare class UnmatchedRequestError extends PendingMockError {
+  constructor(message: string);
+}
+
+declare class UnexpectedRequestError extends Error {
+  constructor(message: string);
+}
+
 type Errors = {
   ValidationError: typeof ValidationError;
   PendingMockError: typeof PendingMockError;
+  UnmatchedRequestError: typeof UnmatchedRequestError;
+  UnexpectedRequestError: typeof UnexpectedRequestError;
 };
 
-export function http(options?: { port?: number }): Promise<HTTPMockServer>;
-export function tcp(options?: { port?: number }): Promise<TCPMockServer>;
+type ServerOptions = { port?: number; strict?: boolean };
+type ListenOptions = ServerOptions & { host?: string; path?: string };
+type TLSOptions = boolean | { key: string | Buffer; cert: string | Buffer };
+
+export function http(
+  options?: ListenOptions & {
+    tls?: TLSOptions;
+    caseSensitiveHeaders?: boolean;
+    proxy?: string;
+    record?: string;
+  }
+): Promise<HTTPMockServer>;
+type TCPFraming =
+  | 'line'
+  | { delimiter: string | Buffer }
+  | { lengthPrefix: number }
+  | ((bytes: Buffer) => number | undefined);
+
+export function tcp(
+  options?: ListenOptions & {
+    tls?: TLSOptions;
+    startTLS?: TLSOptions;
+    framing?: TCPFraming;
+    fake?: 'redis' | TCPFake;
+    proxy?: { host: string; port: number };
+    record?: string;
+  }
+): Promise<TCPMockServer>;
+export function udp(options?: ServerOptions): Promise<UDPMockServer>;
+export function dns(options?: ServerOptions): Promise<DNSMockServer>;
 export const helpers: Helpers;
 export const errors: Errors;
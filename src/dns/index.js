@@ -0,0 +1,287 @@
+import { Buffer } from 'node:buffer';
+import { createServer } from 'node:net';
+
+import { mockSchema, dnsSchema } from './schema.js';
+import { parseQuery, encodeResponse, isTruncated } from './message.js';
+import { bindSocket } from '../udp/socket.js';
+import { D, compare, toDNSRes, wait, printMock } from '../lib.js';
+import { conform } from '../validate.js';
+import { PendingMockError, UnexpectedRequestError } from '../errors.js';
+
+const printDNS = printMock('DNS');
+
+const Mock = (o) => {
+  const options = conform(mockSchema(o, ['options'])) ?? {};
+
+  const { persist = false, optional = false } = options;
+
+  let matchCount = 0;
+
+  const match = () => {
+    matchCount += 1;
+  };
+
+  const toString = () =>
+    printDNS({
+      req: o?.req,
+      res: o?.res,
+      persist: o?.persist,
+      optional: o?.optional,
+    });
+
+  const isExhausted = () => !persist && matchCount > 0;
+
+  const isMatch = (question) =>
+    !isExhausted() && compare(options.req, question);
+
+  const isPending = () => !optional && matchCount === 0;
+
+  const assertDone = () => {
+    if (isPending()) {
+      throw new PendingMockError(`Mock is still pending: ${toString()}`);
+    }
+  };
+
+  return {
+    options,
+    match,
+    toString,
+    isMatch,
+    isPending,
+    assertDone,
+  };
+};
+
+const printUnexpected = ({ address, port, question }) =>
+  `[${address}:${port}] ${question.type} ${question.name}`;
+
+const MockSet = ({ strict = false } = {}) => {
+  let mocks = [];
+  let unexpected = [];
+  let connections = [];
+
+  const reset = ({ throwOnPending = true } = {}) => {
+    const pending = mocks.filter((m) => m.isPending());
+    mocks = [];
+
+    const leftovers = unexpected;
+    unexpected = [];
+
+    if (pending.length !== 0) {
+      if (throwOnPending) {
+        throw new PendingMockError(
+          `The following mocks are still pending: ${pending.join(', ')}`
+        );
+      }
+
+      D('discarding the following mocks: %s', pending.join(', '));
+    }
+
+    if (strict && leftovers.length !== 0) {
+      throw new UnexpectedRequestError(
+        `The following queries were not expected:\n${leftovers
+          .map((l) => `  * ${printUnexpected(l)}`)
+          .join('\n')}`
+      );
+    }
+  };
+
+  const add = (o) => {
+    const m = Mock(o);
+    mocks.push(m);
+    D('registering mock %s', m);
+    return m;
+  };
+
+  // Resolves the reply to a query, or undefined if none should be sent.
+  // Queries that don't match a mock are refused, so clients fail fast rather
+  // than waiting out a timeout.
+  const respond = async (bytes, { address, port, udp }) => {
+    const DRemote = (message, ...args) =>
+      D(`[${address}:${port}] ${message}`, ...args);
+
+    const query = parseQuery(bytes);
+    if (query === undefined) {
+      DRemote('ignoring malformed query "%s"', bytes);
+      return undefined;
+    }
+
+    const { question } = query;
+    DRemote('received query %s %s', question.type, question.name);
+
+    const m = mocks.find((m) => m.isMatch(question));
+    if (m === undefined) {
+      DRemote('no matching mock was found for %s', question.name);
+      unexpected.push({ address, port, question });
+      return encodeResponse(query, { rcode: 'REFUSED', answers: [] }, { udp });
+    }
+
+    DRemote('found matching mock %s', m);
+
+    const r = toDNSRes(m.options.res, question);
+
+    // A record without a type takes the question's, so it may not hold the
+    // data that type needs.
+    let reply;
+    try {
+      reply = r.drop ? undefined : encodeResponse(query, r, { udp });
+    } catch (e) {
+      DRemote('unable to encode answers, replying SERVFAIL: %s', e);
+      reply = encodeResponse(
+        query,
+        { rcode: 'SERVFAIL', answers: [] },
+        { udp }
+      );
+    }
+
+    // A truncated reply leaves the mock to match the client's retry over TCP.
+    if (reply !== undefined && isTruncated(reply)) {
+      DRemote('reply is too large for udp, truncating');
+      return reply;
+    }
+
+    m.match();
+
+    if (r.drop) {
+      DRemote('not replying');
+      return undefined;
+    }
+
+    if (r.delay > 0) {
+      DRemote('delaying reply by %dms', r.delay);
+      await wait(r.delay);
+    }
+
+    DRemote('replying %s with %d answers', r.rcode, r.answers.length);
+    return reply;
+  };
+
+  const udpHandler = (socket) => async (bytes, remote) => {
+    try {
+      const reply = await respond(bytes, { ...remote, udp: true });
+      if (reply !== undefined) {
+        socket.send(reply, remote.port, remote.address);
+      }
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  // Over TCP, each message is prefixed with its length.
+  const tcpHandler = (conn) => {
+    const remote = { address: conn.remoteAddress, port: conn.remotePort };
+    let recv = Buffer.from([]);
+
+    connections.push(conn);
+
+    conn.on('data', async (b) => {
+      try {
+        recv = Buffer.concat([recv, b]);
+
+        while (recv.length >= 2 && recv.length >= 2 + recv.readUInt16BE(0)) {
+          const bytes = recv.subarray(2, 2 + recv.readUInt16BE(0));
+          recv = recv.subarray(2 + bytes.length);
+
+          const reply = await respond(bytes, { ...remote, udp: false });
+          if (reply !== undefined) {
+            const length = Buffer.alloc(2);
+            length.writeUInt16BE(reply.length);
+            conn.write(Buffer.concat([length, reply]));
+          }
+        }
+      } catch (e) {
+        console.error(e);
+      }
+    });
+    conn.on('close', () => {
+      connections = connections.filter((c) => c !== conn);
+    });
+    conn.on('error', (e) => D('received error %s', e));
+  };
+
+  const teardown = () => {
+    for (const conn of connections) {
+      conn.destroy();
+    }
+  };
+
+  return {
+    reset,
+    add,
+    udpHandler,
+    tcpHandler,
+    teardown,
+  };
+};
+
+const listen = (server, port) =>
+  new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.once('listening', () => {
+      server.off('error', reject);
+      resolve();
+    });
+
+    server.listen({ port });
+  });
+
+// Binds a UDP socket and a TCP server to the same port. A port free for UDP
+// may already be taken for TCP, in which case another is tried when any port
+// will do.
+const listenPair = (ms, port, attempts = 10) =>
+  bindSocket(port, ms.udpHandler).then((socket) => {
+    const server = createServer({ noDelay: true }, ms.tcpHandler);
+
+    return listen(server, socket.address().port).then(
+      () => ({ socket, server }),
+      (e) => {
+        socket.close();
+
+        if (port === 0 && e.code === 'EADDRINUSE' && attempts > 1) {
+          D('port was taken for tcp, trying another');
+          return listenPair(ms, port, attempts - 1);
+        }
+
+        throw e;
+      }
+    );
+  });
+
+// Queries are answered over both UDP and TCP on the same port, since clients
+// retry over TCP when a reply is truncated.
+const dns = (o) => {
+  const options = conform(dnsSchema(o, ['options'])) ?? {};
+  const { port = 0, strict = false } = options;
+
+  const ms = MockSet({ strict });
+  D('launching dns server');
+
+  return listenPair(ms, port).then(
+    ({ socket, server }) => {
+      D('dns server listening on port %d', socket.address().port);
+
+      socket.on('error', (e) => D('received error %s', e));
+      server.on('error', (e) => D('received error %s', e));
+
+      return {
+        port: socket.address().port,
+        teardown: () => {
+          D('closing dns server');
+          ms.teardown();
+          return Promise.all([
+            new Promise((r) => socket.close(r)),
+            new Promise((r) => server.close(r)),
+          ]).then(() => D('dns server closed'));
+        },
+        reset: (o) => ms.reset(o),
+        mock: (o) => ms.add(o),
+      };
+    },
+    (e) => {
+      D('received error %s', e);
+      throw e;
+    }
+  );
+};
+
+export default dns;
@@ -0,0 +1,247 @@
+import { Buffer } from 'node:buffer';
+import { isIPv4, isIPv6 } from 'node:net';
+
+import { isInteger } from '../lib.js';
+
+export const TYPES = {
+  A: 1,
+  NS: 2,
+  CNAME: 5,
+  SOA: 6,
+  PTR: 12,
+  MX: 15,
+  TXT: 16,
+  AAAA: 28,
+  SRV: 33,
+  OPT: 41,
+  ANY: 255,
+};
+
+export const RCODES = {
+  NOERROR: 0,
+  FORMERR: 1,
+  SERVFAIL: 2,
+  NXDOMAIN: 3,
+  NOTIMP: 4,
+  REFUSED: 5,
+};
+
+const CLASS_IN = 1;
+
+const QR = 0x8000;
+const OPCODE = 0x7800;
+const AA = 0x0400;
+const TC = 0x0200;
+const RD = 0x0100;
+const RA = 0x0080;
+
+// Without EDNS, a reply over UDP is limited to 512 bytes.
+const UDP_SIZE = 512;
+
+const typeName = (n) =>
+  Object.keys(TYPES).find((k) => TYPES[k] === n) ?? `${n}`;
+
+// Reads the (possibly compressed) name at `start`, returning it along with the
+// offset just past it.
+const readName = (bytes, start) => {
+  const labels = [];
+  let offset = start;
+  let end;
+
+  for (let jumps = 0; jumps < 128; jumps++) {
+    const length = bytes[offset];
+
+    if (length === 0) {
+      return { name: labels.join('.'), end: end ?? offset + 1 };
+    }
+
+    if ((length & 0xc0) === 0xc0) {
+      end = end ?? offset + 2;
+      offset = bytes.readUInt16BE(offset) & 0x3fff;
+    } else {
+      labels.push(bytes.toString('utf8', offset + 1, offset + 1 + length));
+      offset += 1 + length;
+    }
+  }
+
+  throw new Error('name has too many labels');
+};
+
+// Parses a query, returning its header and first question, with the name
+// lowercased. Returns undefined for anything that isn't a well-formed query.
+export const parseQuery = (bytes) => {
+  try {
+    if (bytes.length < 12 || (bytes.readUInt16BE(2) & QR) !== 0) {
+      return undefined;
+    }
+
+    const id = bytes.readUInt16BE(0);
+    const flags = bytes.readUInt16BE(2);
+    const [qdcount, ancount, nscount, arcount] = [4, 6, 8, 10].map((o) =>
+      bytes.readUInt16BE(o)
+    );
+
+    if (qdcount === 0) {
+      return undefined;
+    }
+
+    const { name, end } = readName(bytes, 12);
+    const question = {
+      name: name.toLowerCase(),
+      type: typeName(bytes.readUInt16BE(end)),
+    };
+    const questionBytes = bytes.subarray(12, end + 4);
+
+    // An EDNS OPT record among the additional records advertises how large a
+    // reply the client will accept over UDP.
+    let udpSize = UDP_SIZE;
+    let offset = end + 4;
+    for (let i = 1; i < qdcount; i++) {
+      offset = readName(bytes, offset).end + 4;
+    }
+    for (let i = 0; i < ancount + nscount + arcount; i++) {
+      const r = readName(bytes, offset);
+      if (bytes.readUInt16BE(r.end) === TYPES.OPT) {
+        udpSize = Math.max(UDP_SIZE, bytes.readUInt16BE(r.end + 2));
+      }
+      offset = r.end + 10 + bytes.readUInt16BE(r.end + 8);
+    }
+
+    return { id, flags, question, questionBytes, udpSize };
+  } catch (e) {
+    return undefined;
+  }
+};
+
+const uint16 = (n) => {
+  const b = Buffer.alloc(2);
+  b.writeUInt16BE(n);
+  return b;
+};
+
+const uint32 = (n) => {
+  const b = Buffer.alloc(4);
+  b.writeUInt32BE(n);
+  return b;
+};
+
+const encodeName = (name) =>
+  Buffer.concat([
+    ...name
+      .split('.')
+      .filter((l) => l !== '')
+      .map((l) => {
+        const b = Buffer.from(l, 'utf8');
+        return Buffer.concat([Buffer.from([b.length]), b]);
+      }),
+    Buffer.from([0]),
+  ]);
+
+// An address in a record without a type may not be of the question's family.
+const assertFamily = (check, family, address) => {
+  if (!check(address)) {
+    throw new Error(`${address} is not an ${family} address`);
+  }
+};
+
+const ipv4 = (address) => {
+  assertFamily(isIPv4, 'IPv4', address);
+  return Buffer.from(address.split('.').map((o) => +o));
+};
+
+const ipv6 = (address) => {
+  assertFamily(isIPv6, 'IPv6', address);
+  const groups = (s) => (s === '' ? [] : s.split(':'));
+  const [head, tail] = address.includes('::')
+    ? address.split('::').map(groups)
+    : [groups(address), []];
+
+  return Buffer.concat(
+    [...head, ...Array(8 - head.length - tail.length).fill('0'), ...tail].map(
+      (g) => uint16(parseInt(g, 16))
+    )
+  );
+};
+
+const rdata = (type, record) => {
+  switch (type) {
+    case 'A':
+      return ipv4(record.address);
+    case 'AAAA':
+      return ipv6(record.address);
+    case 'CNAME':
+      return encodeName(record.value);
+    case 'SRV':
+      return Buffer.concat([
+        uint16(record.priority ?? 0),
+        uint16(record.weight ?? 0),
+        uint16(record.port ?? 0),
+        encodeName(record.name),
+      ]);
+    case 'TXT':
+      return Buffer.concat(
+        (record.entries ?? []).map((e) => {
+          const b = Buffer.from(e, 'utf8');
+          return Buffer.concat([Buffer.from([b.length]), b]);
+        })
+      );
+    default:
+      return Buffer.from([]);
+  }
+};
+
+// Records take the type of the question unless they name their own. Records
+// following a CNAME are owned by its target, as they would be in a real chain.
+const encodeAnswers = (question, answers) => {
+  let owner = question.name;
+
+  return answers.map((record) => {
+    const type = record.type ?? question.type;
+    const data = rdata(type, record);
+    const encoded = Buffer.concat([
+      encodeName(owner),
+      uint16(TYPES[type] ?? +type),
+      uint16(CLASS_IN),
+      uint32(record.ttl ?? 60),
+      uint16(data.length),
+      data,
+    ]);
+
+    if (type === 'CNAME') {
+      owner = record.value;
+    }
+
+    return encoded;
+  });
+};
+
+const encodeHeader = (query, flags, counts) =>
+  Buffer.concat([
+    uint16(query.id),
+    uint16(QR | (query.flags & OPCODE) | AA | (query.flags & RD) | RA | flags),
+    ...counts.map(uint16),
+  ]);
+
+export const isTruncated = (response) => (response.readUInt16BE(2) & TC) !== 0;
+
+// Encodes the reply to `query`, echoing its question. A reply too large for
+// UDP is truncated, prompting the client to retry over TCP.
+export const encodeResponse = (query, { rcode, answers }, { udp = false }) => {
+  const code = isInteger(rcode) ? rcode : RCODES[rcode];
+  const records = encodeAnswers(query.question, answers);
+
+  const response = Buffer.concat([
+    encodeHeader(query, code, [1, records.length, 0, 0]),
+    query.questionBytes,
+    ...records,
+  ]);
+
+  if (!udp || response.length <= query.udpSize) {
+    return response;
+  }
+
+  return Buffer.concat([
+    encodeHeader(query, code | TC, [1, 0, 0, 0]),
+    query.questionBytes,
+  ]);
+};
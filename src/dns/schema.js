@@ -0,0 +1,225 @@
+import { isIP, isIPv4, isIPv6 } from 'node:net';
+import { Buffer } from 'node:buffer';
+
+import {
+  error,
+  always,
+  obj,
+  arr,
+  or,
+  and,
+  alias,
+  isString,
+  isInteger,
+  isArray,
+  isUndefined,
+  isPlainObject,
+  isBoolean,
+  isFunction,
+  branch,
+  branchWithFunction,
+} from '../validate.js';
+
+import {
+  optComparable,
+  isPositiveInt,
+  delay,
+  port,
+  optBoolean,
+} from '../http/schema.js';
+import { RCODES } from './message.js';
+
+const RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'SRV', 'TXT'];
+
+const optString = alias(or(isString, isUndefined), 'if defined must be string');
+
+const optPositiveInt = alias(
+  or(isPositiveInt, isUndefined),
+  'if defined must be positive integer'
+);
+
+const isAtMost =
+  (max, message) =>
+  (value, path = []) =>
+    [value, value <= max ? [] : error(path, message, value)];
+
+const optUint16 = alias(
+  or(and(isPositiveInt, isAtMost(65535)), isUndefined),
+  'if defined must be integer between 0 and 65535'
+);
+
+const isAddress = (value, path = []) => [
+  value,
+  isIP(value) !== 0 ? [] : error(path, 'must be IPv4 or IPv6 address', value),
+];
+
+const address = alias(
+  or(and(isString, isAddress), isUndefined),
+  'if defined must be IPv4 or IPv6 address'
+);
+
+const isShortEntry = (value, path = []) => [
+  value,
+  Buffer.byteLength(value) <= 255
+    ? []
+    : error(path, 'must be at most 255 bytes', value),
+];
+
+const recordType = (value, path = []) => [
+  value,
+  value === undefined || RECORD_TYPES.includes(value)
+    ? []
+    : error(
+        path,
+        "if defined must be one of 'A', 'AAAA', 'CNAME', 'SRV', or 'TXT'",
+        value
+      ),
+];
+
+const entries = branch(
+  [isArray, isUndefined],
+  [arr(and(isString, isShortEntry)), always],
+  'if defined must be array'
+);
+
+// The field holding each type's data. TXT records may have no entries.
+const DATA_FIELDS = {
+  A: 'address',
+  AAAA: 'address',
+  CNAME: 'value',
+  SRV: 'name',
+};
+
+// A record without a type takes the question's, so it only has to hold the
+// data of some type.
+const isRecordComplete = (value, path = []) => {
+  if (value.type === undefined) {
+    return [
+      value,
+      ['address', 'value', 'name', 'entries'].some(
+        (k) => value[k] !== undefined
+      )
+        ? []
+        : error(path, 'must define address, value, name, or entries', value),
+    ];
+  }
+
+  const field = DATA_FIELDS[value.type];
+
+  return [
+    value,
+    field === undefined || value[field] !== undefined
+      ? []
+      : error(
+          [...path, field],
+          `must be defined for a ${value.type} record`,
+          value[field]
+        ),
+  ];
+};
+
+const ADDRESS_FAMILIES = { A: ['IPv4', isIPv4], AAAA: ['IPv6', isIPv6] };
+
+const isAddressFamily = (value, path = []) => {
+  const [family, check] = ADDRESS_FAMILIES[value.type] ?? [];
+
+  return [
+    value,
+    check === undefined || value.address === undefined || check(value.address)
+      ? []
+      : error(
+          [...path, 'address'],
+          `must be ${family} address for a ${value.type} record`,
+          value.address
+        ),
+  ];
+};
+
+const record = and(
+  obj({
+    type: recordType,
+    ttl: optPositiveInt,
+    address,
+    value: optString,
+    priority: optUint16,
+    weight: optUint16,
+    port: optUint16,
+    name: optString,
+    entries,
+  }),
+  isRecordComplete,
+  isAddressFamily
+);
+
+const answers = branchWithFunction(
+  [isArray, isUndefined],
+  [arr(record), always],
+  'if defined must be array'
+);
+
+const isRcodeName = (value, path = []) => [
+  value,
+  Object.keys(RCODES).includes(value)
+    ? []
+    : error(
+        path,
+        `must be one of ${Object.keys(RCODES)
+          .map((k) => `'${k}'`)
+          .join(', ')}`,
+        value
+      ),
+];
+
+// Response codes fill four bits of the header.
+const isRcodeInt = (value, path = []) => [
+  value,
+  value >= 0 && value <= 15
+    ? []
+    : error(path, 'must be between 0 and 15', value),
+];
+
+const rcode = branchWithFunction(
+  [isString, isInteger, isUndefined],
+  [isRcodeName, isRcodeInt, always],
+  'if defined must be string or integer'
+);
+
+const drop = branchWithFunction(
+  [isBoolean, isUndefined],
+  [always, always],
+  'if defined must be boolean'
+);
+
+const resObj = obj({ answers, rcode, delay, drop });
+
+const res = branchWithFunction(
+  [isPlainObject, isUndefined],
+  [resObj, always],
+  'if defined must be plain object'
+);
+
+const req = branch(
+  [isPlainObject, isFunction(isBoolean), isUndefined],
+  [obj({ name: optComparable, type: optComparable }), always, always],
+  'if defined must be plain object or function'
+);
+
+export const mockSchema = branch(
+  [isPlainObject, isUndefined],
+  [
+    obj({
+      req,
+      res,
+      persist: optBoolean,
+      optional: optBoolean,
+    }),
+    always,
+  ],
+  'if defined must be plain object'
+);
+
+export const dnsSchema = branch(
+  [isPlainObject, isUndefined],
+  [obj({ port, strict: optBoolean }), always],
+  'if defined must be plain object'
+);
@@ -11,3 +11,17 @@ export class PendingMockError extends Error {
     this.name = this.constructor.name;
   }
 }
+
+export class UnmatchedRequestError extends PendingMockError {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+export class UnexpectedRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
@@ -0,0 +1,497 @@
+import { Buffer } from 'node:buffer';
+
+import redis, { parse } from '../helpers/redis.js';
+import { isBuffer } from '../lib.js';
+
+const { simple, error, integer, bulk, array, null: nil } = redis.res;
+
+// Thrown by a command to answer with an error.
+class Reply extends Error {
+  constructor(res) {
+    super('reply');
+    this.res = res;
+  }
+}
+
+const OK = () => simple('OK');
+
+const fail = (message) => {
+  throw new Reply(error(message));
+};
+
+const toKey = (b) => b.toString('latin1');
+const fromKey = (k) => Buffer.from(k, 'latin1');
+
+const toInt = (b) => {
+  const n = Number(b.toString('utf8'));
+  return Number.isSafeInteger(n)
+    ? n
+    : fail('ERR value is not an integer or out of range');
+};
+
+const toExpiry = (unit, n) => {
+  switch (unit) {
+    case 'EX':
+      return Date.now() + n * 1000;
+    case 'PX':
+      return Date.now() + n;
+    case 'EXAT':
+      return n * 1000;
+    default:
+      return n;
+  }
+};
+
+// Converts a glob-style pattern, as given to `KEYS`, to a regular expression.
+const toPattern = (glob) => {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*') {
+      source += '.*';
+    } else if (c === '?') {
+      source += '.';
+    } else if (c === '[') {
+      const end = glob.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${glob.slice(i + 1, end)}]`;
+        i = end;
+      }
+    } else if (c === '\\' && i + 1 < glob.length) {
+      source += `\\${glob[++i]}`;
+    } else {
+      source += c.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`, 's');
+};
+
+// Resolves a possibly negative index against a list's length. An index too
+// negative for the list stays negative.
+const toIndex = (i, length) => (i < 0 ? length + i : i);
+
+// An in-memory redis, answering common string, hash, list, and expiration
+// commands. Keys expire lazily, when next accessed.
+const redisFake = () => {
+  const keyspace = new Map();
+  const calls = [];
+  const handshake = redis.handshake();
+
+  const lookup = (key) => {
+    const entry = keyspace.get(toKey(key));
+    if (entry?.expiresAt !== undefined && entry.expiresAt <= Date.now()) {
+      keyspace.delete(toKey(key));
+      return undefined;
+    }
+
+    return entry;
+  };
+
+  const typed = (key, type) => {
+    const entry = lookup(key);
+    if (entry !== undefined && entry.type !== type) {
+      fail('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+
+    return entry;
+  };
+
+  const put = (key, type, value, expiresAt) => {
+    const entry = { type, value, expiresAt };
+    keyspace.set(toKey(key), entry);
+    return entry;
+  };
+
+  // Collections that end up empty are removed, like redis does.
+  const prune = (key, entry) => {
+    const size = entry.type === 'hash' ? entry.value.size : entry.value.length;
+    if (size === 0) {
+      keyspace.delete(toKey(key));
+    }
+  };
+
+  const hash = (key) => typed(key, 'hash') ?? put(key, 'hash', new Map());
+
+  const list = (key) => typed(key, 'list') ?? put(key, 'list', []);
+
+  const incrBy = (key, by) => {
+    const entry = typed(key, 'string');
+    const n = (entry === undefined ? 0 : toInt(entry.value)) + by;
+    put(key, 'string', Buffer.from(`${n}`, 'utf8'), entry?.expiresAt);
+    return integer(n);
+  };
+
+  const set = (key, value, ...options) => {
+    let condition;
+    let get = false;
+    let keepTTL = false;
+    let expiresAt;
+
+    for (let i = 0; i < options.length; i++) {
+      const o = options[i].toString('utf8').toUpperCase();
+      if (o === 'NX' || o === 'XX') {
+        condition = o;
+      } else if (o === 'GET') {
+        get = true;
+      } else if (o === 'KEEPTTL') {
+        keepTTL = true;
+      } else if (
+        ['EX', 'PX', 'EXAT', 'PXAT'].includes(o) &&
+        i + 1 < options.length
+      ) {
+        expiresAt = toExpiry(o, toInt(options[++i]));
+      } else {
+        fail('ERR syntax error');
+      }
+    }
+
+    const existing = get ? typed(key, 'string') : lookup(key);
+    const previous = bulk(existing?.value);
+
+    if (
+      (condition === 'NX' && existing !== undefined) ||
+      (condition === 'XX' && existing === undefined)
+    ) {
+      return get ? previous : nil();
+    }
+
+    put(key, 'string', value, keepTTL ? existing?.expiresAt : expiresAt);
+    return get ? previous : OK();
+  };
+
+  const expire = (key, expiresAt) => {
+    const entry = lookup(key);
+    if (entry === undefined) {
+      return integer(0);
+    }
+
+    entry.expiresAt = expiresAt;
+    return integer(1);
+  };
+
+  const ttl = (key, unit) => {
+    const entry = lookup(key);
+    if (entry === undefined) {
+      return integer(-2);
+    }
+
+    if (entry.expiresAt === undefined) {
+      return integer(-1);
+    }
+
+    return integer(Math.round((entry.expiresAt - Date.now()) / unit));
+  };
+
+  const push = (key, values, left) => {
+    const entry = list(key);
+    for (const v of values) {
+      if (left) {
+        entry.value.unshift(v);
+      } else {
+        entry.value.push(v);
+      }
+    }
+
+    return integer(entry.value.length);
+  };
+
+  const pop = (key, count, left) => {
+    const entry = typed(key, 'list');
+    if (entry === undefined) {
+      return count === undefined ? nil() : array(null);
+    }
+
+    const n = count === undefined ? 1 : toInt(count);
+    const popped = left
+      ? entry.value.splice(0, n)
+      : entry.value.splice(-n, n).reverse();
+    prune(key, entry);
+
+    return count === undefined ? bulk(popped[0]) : array(popped.map(bulk));
+  };
+
+  const flush = () => {
+    keyspace.clear();
+    return OK();
+  };
+
+  const liveKeys = () =>
+    [...keyspace.keys()].filter((k) => lookup(fromKey(k)) !== undefined);
+
+  // Each command's minimum number of arguments, and its implementation.
+  const commands = {
+    PING: [
+      0,
+      (message) => (message === undefined ? simple('PONG') : bulk(message)),
+    ],
+    ECHO: [1, (message) => bulk(message)],
+    SELECT: [1, OK],
+    QUIT: [0, OK],
+    CLIENT: [1, OK],
+    FLUSHALL: [0, flush],
+    FLUSHDB: [0, flush],
+    DBSIZE: [0, () => integer(liveKeys().length)],
+
+    GET: [1, (key) => bulk(typed(key, 'string')?.value)],
+    GETDEL: [
+      1,
+      (key) => {
+        const entry = typed(key, 'string');
+        keyspace.delete(toKey(key));
+        return bulk(entry?.value);
+      },
+    ],
+    SET: [2, set],
+    SETNX: [
+      2,
+      (key, value) => {
+        if (lookup(key) !== undefined) {
+          return integer(0);
+        }
+
+        put(key, 'string', value);
+        return integer(1);
+      },
+    ],
+    SETEX: [
+      3,
+      (key, s, value) => set(key, value, Buffer.from('EX', 'utf8'), s),
+    ],
+    PSETEX: [
+      3,
+      (key, ms, value) => set(key, value, Buffer.from('PX', 'utf8'), ms),
+    ],
+    MGET: [
+      1,
+      (...keys) =>
+        array(
+          keys.map((k) => {
+            const entry = lookup(k);
+            return bulk(entry?.type === 'string' ? entry.value : null);
+          })
+        ),
+    ],
+    MSET: [
+      2,
+      (...pairs) => {
+        if (pairs.length % 2 !== 0) {
+          fail("ERR wrong number of arguments for 'mset' command");
+        }
+
+        for (let i = 0; i < pairs.length; i += 2) {
+          put(pairs[i], 'string', pairs[i + 1]);
+        }
+
+        return OK();
+      },
+    ],
+    INCR: [1, (key) => incrBy(key, 1)],
+    INCRBY: [2, (key, by) => incrBy(key, toInt(by))],
+    DECR: [1, (key) => incrBy(key, -1)],
+    DECRBY: [2, (key, by) => incrBy(key, -toInt(by))],
+    APPEND: [
+      2,
+      (key, value) => {
+        const entry = typed(key, 'string');
+        const next = Buffer.concat([entry?.value ?? Buffer.from([]), value]);
+        put(key, 'string', next, entry?.expiresAt);
+        return integer(next.length);
+      },
+    ],
+    STRLEN: [1, (key) => integer(typed(key, 'string')?.value.length ?? 0)],
+
+    DEL: [
+      1,
+      (...keys) =>
+        integer(
+          keys.filter(
+            (k) => lookup(k) !== undefined && keyspace.delete(toKey(k))
+          ).length
+        ),
+    ],
+    EXISTS: [
+      1,
+      (...keys) => integer(keys.filter((k) => lookup(k) !== undefined).length),
+    ],
+    EXPIRE: [2, (key, s) => expire(key, toExpiry('EX', toInt(s)))],
+    PEXPIRE: [2, (key, ms) => expire(key, toExpiry('PX', toInt(ms)))],
+    PERSIST: [
+      1,
+      (key) => {
+        const entry = lookup(key);
+        if (entry?.expiresAt === undefined) {
+          return integer(0);
+        }
+
+        entry.expiresAt = undefined;
+        return integer(1);
+      },
+    ],
+    TTL: [1, (key) => ttl(key, 1000)],
+    PTTL: [1, (key) => ttl(key, 1)],
+    TYPE: [1, (key) => simple(lookup(key)?.type ?? 'none')],
+    KEYS: [
+      1,
+      (pattern) => {
+        const p = toPattern(pattern.toString('latin1'));
+        return array(
+          liveKeys()
+            .filter((k) => p.test(k))
+            .map((k) => bulk(fromKey(k)))
+        );
+      },
+    ],
+
+    HSET: [
+      3,
+      (key, ...pairs) => {
+        if (pairs.length % 2 !== 0) {
+          fail("ERR wrong number of arguments for 'hset' command");
+        }
+
+        const entry = hash(key);
+        let added = 0;
+        for (let i = 0; i < pairs.length; i += 2) {
+          added += entry.value.has(toKey(pairs[i])) ? 0 : 1;
+          entry.value.set(toKey(pairs[i]), pairs[i + 1]);
+        }
+
+        return integer(added);
+      },
+    ],
+    HGET: [
+      2,
+      (key, field) => bulk(typed(key, 'hash')?.value.get(toKey(field))),
+    ],
+    HMGET: [
+      2,
+      (key, ...fields) => {
+        const entry = typed(key, 'hash');
+        return array(fields.map((f) => bulk(entry?.value.get(toKey(f)))));
+      },
+    ],
+    HGETALL: [
+      1,
+      (key) =>
+        array(
+          [...(typed(key, 'hash')?.value ?? [])].flatMap(([f, v]) => [
+            bulk(fromKey(f)),
+            bulk(v),
+          ])
+        ),
+    ],
+    HDEL: [
+      2,
+      (key, ...fields) => {
+        const entry = typed(key, 'hash');
+        if (entry === undefined) {
+          return integer(0);
+        }
+
+        const removed = fields.filter((f) => entry.value.delete(toKey(f)));
+        prune(key, entry);
+        return integer(removed.length);
+      },
+    ],
+    HEXISTS: [
+      2,
+      (key, field) =>
+        integer(typed(key, 'hash')?.value.has(toKey(field)) ? 1 : 0),
+    ],
+    HLEN: [1, (key) => integer(typed(key, 'hash')?.value.size ?? 0)],
+    HKEYS: [
+      1,
+      (key) =>
+        array(
+          [...(typed(key, 'hash')?.value.keys() ?? [])].map((f) =>
+            bulk(fromKey(f))
+          )
+        ),
+    ],
+    HVALS: [
+      1,
+      (key) => array([...(typed(key, 'hash')?.value.values() ?? [])].map(bulk)),
+    ],
+    HINCRBY: [
+      3,
+      (key, field, by) => {
+        const entry = hash(key);
+        const current = entry.value.get(toKey(field));
+        const n = (current === undefined ? 0 : toInt(current)) + toInt(by);
+        entry.value.set(toKey(field), Buffer.from(`${n}`, 'utf8'));
+        return integer(n);
+      },
+    ],
+
+    LPUSH: [2, (key, ...values) => push(key, values, true)],
+    RPUSH: [2, (key, ...values) => push(key, values, false)],
+    LPOP: [1, (key, count) => pop(key, count, true)],
+    RPOP: [1, (key, count) => pop(key, count, false)],
+    LLEN: [1, (key) => integer(typed(key, 'list')?.value.length ?? 0)],
+    LINDEX: [
+      2,
+      (key, index) => {
+        const values = typed(key, 'list')?.value ?? [];
+        return bulk(values[toIndex(toInt(index), values.length)]);
+      },
+    ],
+    LRANGE: [
+      3,
+      (key, start, stop) => {
+        const values = typed(key, 'list')?.value ?? [];
+        const from = Math.max(toIndex(toInt(start), values.length), 0);
+        const to = toIndex(toInt(stop), values.length);
+
+        return array(to < 0 ? [] : values.slice(from, to + 1).map(bulk));
+      },
+    ],
+  };
+
+  const respond = (bytes) => {
+    const command = parse(bytes)?.value;
+    if (!Array.isArray(command) || command.length === 0) {
+      return error('ERR Protocol error');
+    }
+
+    calls.push(command.map((a) => (isBuffer(a) ? a.toString('utf8') : `${a}`)));
+
+    if (handshake.req(bytes)) {
+      return handshake.res(bytes);
+    }
+
+    const [name, ...args] = command;
+    const c = commands[`${name}`.toUpperCase()];
+    if (c === undefined) {
+      return error(`ERR unknown command '${name}'`);
+    }
+
+    const [arity, f] = c;
+    if (args.length < arity) {
+      return error(
+        `ERR wrong number of arguments for '${`${name}`.toLowerCase()}' command`
+      );
+    }
+
+    try {
+      return f(...args);
+    } catch (e) {
+      if (e instanceof Reply) {
+        return e.res;
+      }
+
+      throw e;
+    }
+  };
+
+  const reset = () => {
+    keyspace.clear();
+    calls.length = 0;
+  };
+
+  return { consume: redis.consume, respond, reset, calls };
+};
+
+export default redisFake;
@@ -2,6 +2,13 @@ import { isDeepStrictEqual } from 'node:util';
 import { parse as parseQs } from 'node:querystring';
 import { Buffer } from 'node:buffer';
 
+import memcached from './helpers/memcached.js';
+import mysql from './helpers/mysql.js';
+import postgres from './helpers/postgres.js';
+import redis from './helpers/redis.js';
+import redisFake from './fakes/redis.js';
+import { isArray, isPlainObject, isString, isUndefined } from './lib.js';
+
 const jsonMatch = (desired) => (actual) =>
   isDeepStrictEqual(JSON.parse(actual), desired);
 
@@ -44,6 +51,44 @@ const jsonRes = (body, options = {}) =>
     },
   });
 
+// Each field is written on its own line, with multi-line data split across as
+// many `data:` lines. Data that isn't a string is written as JSON.
+const sseFrame = ({ event, id, retry, data }) => {
+  const lines = [
+    ...(isUndefined(event) ? [] : [`event: ${event}`]),
+    ...(isUndefined(id) ? [] : [`id: ${id}`]),
+    ...(isUndefined(retry) ? [] : [`retry: ${retry}`]),
+    ...(isUndefined(data)
+      ? []
+      : (isString(data) ? data : JSON.stringify(data))
+          .split('\n')
+          .map((l) => `data: ${l}`)),
+  ];
+
+  return `${lines.join('\n')}\n\n`;
+};
+
+const sseChunk = (e) => {
+  const event = isPlainObject(e) ? e : { data: e };
+  return { data: sseFrame(event), delay: event.delay };
+};
+
+async function* sseChunks(events) {
+  for await (const e of events) {
+    yield sseChunk(e);
+  }
+}
+
+const sseRes = (events, { statusCode = 200, headers = {} } = {}) => ({
+  body: isArray(events) ? events.map(sseChunk) : sseChunks(events),
+  statusCode,
+  headers: {
+    'content-type': 'text/event-stream',
+    'cache-control': 'no-cache',
+    ...headers,
+  },
+});
+
 export default {
   match: {
     json: jsonMatch,
@@ -53,5 +98,13 @@ export default {
   res: {
     text: textRes,
     json: jsonRes,
+    sse: sseRes,
+  },
+  redis,
+  postgres,
+  mysql,
+  memcached,
+  fakes: {
+    redis: redisFake,
   },
 };
@@ -0,0 +1,169 @@
+import { Buffer } from 'node:buffer';
+
+import { compare, isBuffer, isInteger } from '../lib.js';
+
+const CRLF = '\r\n';
+
+// The position of the data block's length among the arguments of each command
+// followed by one.
+const DATA_LENGTH = {
+  set: 3,
+  add: 3,
+  replace: 3,
+  append: 3,
+  prepend: 3,
+  cas: 3,
+  ms: 1,
+};
+
+// Storage commands are followed by a data block.
+const parse = (bytes) => {
+  const lineEnd = bytes.indexOf(CRLF);
+  if (lineEnd === -1) {
+    return undefined;
+  }
+
+  const [name, ...args] = bytes
+    .toString('utf8', 0, lineEnd)
+    .split(' ')
+    .filter((a) => a !== '');
+
+  const length = parseInt(args[DATA_LENGTH[name]], 10);
+  if (Number.isNaN(length)) {
+    return { name, args, end: lineEnd + 2 };
+  }
+
+  const end = lineEnd + 2 + length + 2;
+  return bytes.length < end
+    ? undefined
+    : { name, args, data: bytes.subarray(lineEnd + 2, end - 2), end };
+};
+
+const consume = (bytes) => parse(bytes)?.end;
+
+const toComparable = (desired) => (isInteger(desired) ? `${desired}` : desired);
+
+const command = (bytes, name) => {
+  const parsed = parse(bytes);
+  return parsed === undefined ||
+    parsed.end !== bytes.length ||
+    parsed.name !== name
+    ? undefined
+    : parsed;
+};
+
+const keysMatch =
+  (name) =>
+  (...keys) =>
+  (bytes) => {
+    const c = command(bytes, name);
+    return (
+      c !== undefined &&
+      c.args.length === keys.length &&
+      keys.every((k, i) => compare(toComparable(k), c.args[i]))
+    );
+  };
+
+// Any trailing arguments (like flags, an expiration, or `noreply`) are
+// ignored.
+const argsMatch =
+  (name) =>
+  (...args) =>
+  (bytes) => {
+    const c = command(bytes, name);
+    return (
+      c !== undefined &&
+      args.every((a, i) => compare(toComparable(a), c.args[i]))
+    );
+  };
+
+const storageMatch = (name) => (key, value) => (bytes) => {
+  const c = command(bytes, name);
+  return (
+    c !== undefined &&
+    compare(toComparable(key), c.args[0]) &&
+    compare(toComparable(value), c.data)
+  );
+};
+
+// Meta commands take flags in any order, so each desired flag need only be
+// among those received.
+const metaMatch =
+  (name) =>
+  (key, ...flags) =>
+  (bytes) => {
+    const c = command(bytes, name);
+    if (c === undefined || !compare(toComparable(key), c.args[0])) {
+      return false;
+    }
+
+    const received = c.args.slice(name === 'ms' ? 2 : 1);
+    return flags.every((f) => received.some((r) => compare(f, r)));
+  };
+
+const metaSetMatch = (key, value, ...flags) => {
+  const matchesFlags = metaMatch('ms')(key, ...flags);
+  return (bytes) =>
+    matchesFlags(bytes) && compare(toComparable(value), parse(bytes).data);
+};
+
+const toBuffer = (value) =>
+  isBuffer(value) ? value : Buffer.from(`${value}`, 'utf8');
+
+const lineRes = (...parts) =>
+  Buffer.from(
+    `${parts.filter((p) => p !== undefined).join(' ')}${CRLF}`,
+    'utf8'
+  );
+
+const dataRes = (line, value) =>
+  Buffer.concat([line, value, Buffer.from(CRLF, 'utf8')]);
+
+// Each item is a `{ key, value, flags, cas }` found by a `get` or `gets`. With
+// no items, it's a miss.
+const valuesRes = (...items) =>
+  Buffer.concat([
+    ...items.map(({ key, value, flags = 0, cas }) => {
+      const b = toBuffer(value);
+      return dataRes(lineRes('VALUE', key, flags, b.length, cas), b);
+    }),
+    lineRes('END'),
+  ]);
+
+const vaRes = (value, ...flags) => {
+  const b = toBuffer(value);
+  return dataRes(lineRes('VA', b.length, ...flags), b);
+};
+
+export default {
+  consume,
+  match: {
+    get: keysMatch('get'),
+    gets: keysMatch('gets'),
+    set: storageMatch('set'),
+    add: storageMatch('add'),
+    delete: argsMatch('delete'),
+    incr: argsMatch('incr'),
+    mg: metaMatch('mg'),
+    ms: metaSetMatch,
+    md: metaMatch('md'),
+  },
+  res: {
+    values: valuesRes,
+    stored: () => lineRes('STORED'),
+    notStored: () => lineRes('NOT_STORED'),
+    exists: () => lineRes('EXISTS'),
+    notFound: () => lineRes('NOT_FOUND'),
+    deleted: () => lineRes('DELETED'),
+    number: (n) => lineRes(n),
+    error: () => lineRes('ERROR'),
+    clientError: (message) => lineRes('CLIENT_ERROR', message),
+    serverError: (message) => lineRes('SERVER_ERROR', message),
+    va: vaRes,
+    hd: (...flags) => lineRes('HD', ...flags),
+    en: () => lineRes('EN'),
+    ns: (...flags) => lineRes('NS', ...flags),
+    ex: (...flags) => lineRes('EX', ...flags),
+    nf: (...flags) => lineRes('NF', ...flags),
+  },
+};
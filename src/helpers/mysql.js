@@ -0,0 +1,225 @@
+import { Buffer } from 'node:buffer';
+
+import {
+  compare,
+  isBuffer,
+  isInteger,
+  isString,
+  toIntBytes,
+  toRowValues,
+} from '../lib.js';
+
+const COM_QUERY = 0x03;
+
+// CLIENT_LONG_PASSWORD through CLIENT_SECURE_CONNECTION, less
+// CLIENT_SSL, plus CLIENT_PLUGIN_AUTH.
+const CAPABILITIES = 0x0008f7ff;
+
+const SERVER_STATUS_AUTOCOMMIT = 0x0002;
+const UTF8_GENERAL_CI = 33;
+
+const TYPES = {
+  decimal: 0x00,
+  tiny: 0x01,
+  short: 0x02,
+  long: 0x03,
+  float: 0x04,
+  double: 0x05,
+  null: 0x06,
+  timestamp: 0x07,
+  longlong: 0x08,
+  int24: 0x09,
+  date: 0x0a,
+  time: 0x0b,
+  datetime: 0x0c,
+  year: 0x0d,
+  varchar: 0x0f,
+  bit: 0x10,
+  json: 0xf5,
+  newdecimal: 0xf6,
+  blob: 0xfc,
+  var_string: 0xfd,
+  string: 0xfe,
+};
+
+const parsePacket = (bytes, start = 0) => {
+  if (bytes.length < start + 4) {
+    return undefined;
+  }
+
+  const end = start + 4 + bytes.readUIntLE(start, 3);
+  if (bytes.length < end) {
+    return undefined;
+  }
+
+  return {
+    sequenceId: bytes[start + 3],
+    payload: bytes.subarray(start + 4, end),
+    end,
+  };
+};
+
+const consume = (bytes) => parsePacket(bytes)?.end;
+
+const queryMatch = (sql) => (bytes) => {
+  const p = parsePacket(bytes);
+  if (p === undefined || p.end !== bytes.length) {
+    return false;
+  }
+
+  return (
+    p.payload[0] === COM_QUERY && compare(sql, p.payload.toString('utf8', 1))
+  );
+};
+
+const int = (n, size) => toIntBytes(n, size, { littleEndian: true });
+
+const lenencInt = (n) => {
+  if (n < 0xfb) {
+    return int(n, 1);
+  }
+
+  if (n < 0x10000) {
+    return Buffer.concat([Buffer.from([0xfc]), int(n, 2)]);
+  }
+
+  if (n < 0x1000000) {
+    return Buffer.concat([Buffer.from([0xfd]), int(n, 3)]);
+  }
+
+  const b = Buffer.alloc(9);
+  b[0] = 0xfe;
+  b.writeBigUInt64LE(BigInt(n), 1);
+  return b;
+};
+
+const lenencString = (value) => {
+  const b = isBuffer(value) ? value : Buffer.from(`${value}`, 'utf8');
+  return Buffer.concat([lenencInt(b.length), b]);
+};
+
+// Responses continue the sequence of the request they answer, so each packet
+// is numbered from the request's sequence id.
+const encode = (bytes, payloads) => {
+  const first = parsePacket(bytes)?.sequenceId ?? -1;
+
+  return Buffer.concat(
+    payloads.flatMap((payload, i) => [
+      int(payload.length, 3),
+      int((first + 1 + i) % 256, 1),
+      payload,
+    ])
+  );
+};
+
+const okPayload = ({ affectedRows = 0, insertId = 0, message = '' } = {}) =>
+  Buffer.concat([
+    Buffer.from([0x00]),
+    lenencInt(affectedRows),
+    lenencInt(insertId),
+    int(SERVER_STATUS_AUTOCOMMIT, 2),
+    int(0, 2),
+    Buffer.from(message, 'utf8'),
+  ]);
+
+const eofPayload = () =>
+  Buffer.concat([
+    Buffer.from([0xfe]),
+    int(0, 2),
+    int(SERVER_STATUS_AUTOCOMMIT, 2),
+  ]);
+
+const toField = (f) => {
+  const { name, type = 'var_string' } = isString(f) ? { name: f } : f;
+  return { name, type: isInteger(type) ? type : TYPES[type] };
+};
+
+const columnDefinition = ({ name, type }) =>
+  Buffer.concat([
+    lenencString('def'),
+    lenencString(''),
+    lenencString(''),
+    lenencString(''),
+    lenencString(name),
+    lenencString(name),
+    lenencInt(0x0c),
+    int(UTF8_GENERAL_CI, 2),
+    int(0, 4),
+    int(type, 1),
+    int(0, 2),
+    int(0, 1),
+    int(0, 2),
+  ]);
+
+const rowPayload = (fields, row) =>
+  Buffer.concat(
+    toRowValues(fields, row, ['1', '0']).map((v) =>
+      v === null ? Buffer.from([0xfb]) : lenencString(v)
+    )
+  );
+
+const okRes = (options) => (bytes) => encode(bytes, [okPayload(options)]);
+
+const errorRes =
+  ({ errno = 1105, sqlState = 'HY000', message = '' } = {}) =>
+  (bytes) =>
+    encode(bytes, [
+      Buffer.concat([
+        Buffer.from([0xff]),
+        int(errno, 2),
+        Buffer.from(`#${sqlState}${message}`, 'utf8'),
+      ]),
+    ]);
+
+const resultRes =
+  ({ fields = [], rows = [] } = {}) =>
+  (bytes) => {
+    const fs = fields.map(toField);
+
+    return encode(bytes, [
+      lenencInt(fs.length),
+      ...fs.map(columnDefinition),
+      eofPayload(),
+      ...rows.map((row) => rowPayload(fs, row)),
+      eofPayload(),
+    ]);
+  };
+
+// The server speaks first on a new connection, offering to authenticate with
+// mysql_native_password. Whatever the client answers, it'll need a mock to
+// reply with `res.ok()`.
+const handshake = ({ serverVersion = '8.0.0', connectionId = 1 } = {}) => {
+  const scramble = Buffer.from('wirepig-scramble-val', 'utf8');
+
+  return encode(Buffer.from([]), [
+    Buffer.concat([
+      Buffer.from([0x0a]),
+      Buffer.from(`${serverVersion}\0`, 'utf8'),
+      int(connectionId, 4),
+      scramble.subarray(0, 8),
+      Buffer.from([0]),
+      int(CAPABILITIES & 0xffff, 2),
+      int(UTF8_GENERAL_CI, 1),
+      int(SERVER_STATUS_AUTOCOMMIT, 2),
+      int(CAPABILITIES >>> 16, 2),
+      int(scramble.length + 1, 1),
+      Buffer.alloc(10),
+      scramble.subarray(8),
+      Buffer.from([0]),
+      Buffer.from('mysql_native_password\0', 'utf8'),
+    ]),
+  ]);
+};
+
+export default {
+  consume,
+  handshake,
+  match: {
+    query: queryMatch,
+  },
+  res: {
+    ok: okRes,
+    error: errorRes,
+    result: resultRes,
+  },
+};
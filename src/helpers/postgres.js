@@ -0,0 +1,342 @@
+import { Buffer } from 'node:buffer';
+
+import {
+  compare,
+  isInteger,
+  isString,
+  toIntBytes,
+  toRowValues,
+} from '../lib.js';
+
+const PROTOCOL_VERSION = 196608;
+const SSL_REQUEST = 80877103;
+const GSSENC_REQUEST = 80877104;
+
+// Messages a client sends as part of the extended query protocol, which it
+// follows with a Sync.
+const EXTENDED = 'PBDECH';
+
+const OIDS = {
+  bool: 16,
+  bytea: 17,
+  int8: 20,
+  int2: 21,
+  int4: 23,
+  text: 25,
+  json: 114,
+  float4: 700,
+  float8: 701,
+  varchar: 1043,
+  date: 1082,
+  timestamp: 1114,
+  timestamptz: 1184,
+  numeric: 1700,
+  uuid: 2950,
+  jsonb: 3802,
+};
+
+const PARAMETERS = {
+  server_version: '14.0',
+  server_encoding: 'UTF8',
+  client_encoding: 'UTF8',
+  DateStyle: 'ISO, MDY',
+  TimeZone: 'UTC',
+  integer_datetimes: 'on',
+  standard_conforming_strings: 'on',
+};
+
+// Messages sent before startup (like the StartupMessage itself) have no type
+// byte, and are recognized by their length's leading zero.
+const parseMessage = (bytes, start = 0) => {
+  const typed = bytes[start] !== 0;
+  const offset = typed ? start + 1 : start;
+  if (bytes.length < offset + 4) {
+    return undefined;
+  }
+
+  const end = offset + bytes.readInt32BE(offset);
+  if (bytes.length < end) {
+    return undefined;
+  }
+
+  return {
+    type: typed ? String.fromCharCode(bytes[start]) : undefined,
+    body: bytes.subarray(offset + 4, end),
+    end,
+  };
+};
+
+// A request is a single message, or for the extended query protocol, every
+// message through the next Sync.
+const request = (bytes) => {
+  const first = parseMessage(bytes);
+  if (first === undefined) {
+    return undefined;
+  }
+
+  if (first.type === undefined || !EXTENDED.includes(first.type)) {
+    return { messages: [first], end: first.end };
+  }
+
+  const messages = [];
+  for (let m = first; m !== undefined; m = parseMessage(bytes, m.end)) {
+    messages.push(m);
+
+    if (m.type === 'S') {
+      return { messages, end: m.end };
+    }
+  }
+
+  return undefined;
+};
+
+const consume = (bytes) => request(bytes)?.end;
+
+// The complete request making up all of `bytes`, or undefined.
+const wholeRequest = (bytes) => {
+  const r = request(bytes);
+  return r === undefined || r.end !== bytes.length ? undefined : r;
+};
+
+const cstrings = (body, count, start = 0) => {
+  const values = [];
+  let offset = start;
+
+  for (let i = 0; i < count; i++) {
+    const end = body.indexOf(0, offset);
+    values.push(body.toString('utf8', offset, end));
+    offset = end + 1;
+  }
+
+  return { values, end: offset };
+};
+
+// Values bound to a prepared statement are left as Buffers, since they may be
+// sent in binary. NULLs are null.
+const bindValues = (body) => {
+  let { end: offset } = cstrings(body, 2);
+
+  const formatCount = body.readInt16BE(offset);
+  offset += 2 + formatCount * 2;
+
+  const values = [];
+  const valueCount = body.readInt16BE(offset);
+  offset += 2;
+
+  for (let i = 0; i < valueCount; i++) {
+    const length = body.readInt32BE(offset);
+    offset += 4;
+
+    if (length === -1) {
+      values.push(null);
+    } else {
+      values.push(body.subarray(offset, offset + length));
+      offset += length;
+    }
+  }
+
+  return values;
+};
+
+const queryMatch = (sql, params) => (bytes) => {
+  const r = wholeRequest(bytes);
+  if (r === undefined) {
+    return false;
+  }
+
+  const [first] = r.messages;
+  if (first.type === 'Q') {
+    return (
+      params === undefined && compare(sql, cstrings(first.body, 1).values[0])
+    );
+  }
+
+  const parse = r.messages.find((m) => m.type === 'P');
+  if (parse === undefined || !compare(sql, cstrings(parse.body, 2).values[1])) {
+    return false;
+  }
+
+  if (params === undefined) {
+    return true;
+  }
+
+  const bind = r.messages.find((m) => m.type === 'B');
+  if (bind === undefined) {
+    return false;
+  }
+
+  const values = bindValues(bind.body);
+  return (
+    values.length === params.length &&
+    params.every((p, i) =>
+      p === null ? values[i] === null : compare(p, values[i])
+    )
+  );
+};
+
+const int16 = (n) => toIntBytes(n, 2, { signed: true });
+
+const int32 = (n) => toIntBytes(n, 4, { signed: true });
+
+const cstring = (s) => Buffer.from(`${s}\0`, 'utf8');
+
+const encode = (type, ...parts) => {
+  const body = Buffer.concat(parts);
+  return Buffer.concat([
+    Buffer.from(type, 'utf8'),
+    int32(body.length + 4),
+    body,
+  ]);
+};
+
+const readyForQuery = () => encode('Z', Buffer.from('I', 'utf8'));
+
+const toField = (f) => {
+  const { name, type = 'text' } = isString(f) ? { name: f } : f;
+  return { name, oid: isInteger(type) ? type : OIDS[type] };
+};
+
+const rowDescription = (fields) =>
+  encode(
+    'T',
+    int16(fields.length),
+    ...fields.flatMap(({ name, oid }) => [
+      cstring(name),
+      int32(0),
+      int16(0),
+      int32(oid),
+      int16(-1),
+      int32(-1),
+      int16(0),
+    ])
+  );
+
+const dataRow = (fields, row) => {
+  const values = toRowValues(fields, row, ['t', 'f']);
+
+  return encode(
+    'D',
+    int16(values.length),
+    ...values.flatMap((v) => (v === null ? [int32(-1)] : [int32(v.length), v]))
+  );
+};
+
+const commandComplete = (tag) => encode('C', cstring(tag));
+
+// A query's response depends on whether it was sent as a simple Query or with
+// the extended protocol, where each message of the request gets its own reply.
+const resultRes =
+  ({ fields, rows = [], command = `SELECT ${rows.length}` } = {}) =>
+  (bytes) => {
+    const fs = fields?.map(toField);
+    const description = fs === undefined ? [] : [rowDescription(fs)];
+    const results = [
+      ...rows.map((row) => dataRow(fs ?? [], row)),
+      commandComplete(command),
+    ];
+
+    const r = request(bytes);
+    if (r === undefined || r.messages[0].type === 'Q') {
+      return Buffer.concat([...description, ...results, readyForQuery()]);
+    }
+
+    return Buffer.concat(
+      r.messages.flatMap(({ type, body }) => {
+        switch (type) {
+          case 'P':
+            return [encode('1')];
+          case 'B':
+            return [encode('2')];
+          case 'C':
+            return [encode('3')];
+          case 'D':
+            return [
+              ...(body[0] === 0x53 ? [encode('t', int16(0))] : []),
+              ...(fs === undefined ? [encode('n')] : description),
+            ];
+          case 'E':
+            return results;
+          case 'S':
+            return [readyForQuery()];
+          default:
+            return [];
+        }
+      })
+    );
+  };
+
+const errorRes = ({
+  code = 'XX000',
+  message,
+  severity = 'ERROR',
+  detail,
+} = {}) =>
+  Buffer.concat([
+    encode(
+      'E',
+      cstring(`S${severity}`),
+      cstring(`V${severity}`),
+      cstring(`C${code}`),
+      cstring(`M${message}`),
+      ...(detail === undefined ? [] : [cstring(`D${detail}`)]),
+      Buffer.from([0])
+    ),
+    readyForQuery(),
+  ]);
+
+const isHandshake = (bytes) => {
+  const r = wholeRequest(bytes);
+  return (
+    r !== undefined &&
+    (r.messages[0].type === undefined || r.messages[0].type === 'X')
+  );
+};
+
+// SSL and GSSAPI encryption are declined, the connection is trusted without a
+// password, and termination needs no reply.
+const handshakeRes = (parameters) => (bytes) => {
+  const { type, body } = parseMessage(bytes);
+  if (type !== undefined) {
+    return Buffer.from([]);
+  }
+
+  const code = body.readInt32BE(0);
+  if (code === SSL_REQUEST || code === GSSENC_REQUEST) {
+    return Buffer.from('N', 'utf8');
+  }
+
+  if (code !== PROTOCOL_VERSION) {
+    return Buffer.from([]);
+  }
+
+  return Buffer.concat([
+    encode('R', int32(0)),
+    ...Object.entries({ ...PARAMETERS, ...parameters }).map(([k, v]) =>
+      encode('S', cstring(k), cstring(v))
+    ),
+    encode('K', int32(1), int32(0)),
+    readyForQuery(),
+  ]);
+};
+
+// Answers the messages a client sends to start and end a session, on any
+// number of connections.
+const handshake = ({ parameters } = {}) => ({
+  req: isHandshake,
+  res: handshakeRes(parameters),
+  consume,
+  persist: true,
+  optional: true,
+});
+
+export default {
+  consume,
+  handshake,
+  match: {
+    query: queryMatch,
+  },
+  res: {
+    result: resultRes,
+    error: errorRes,
+  },
+};
@@ -0,0 +1,246 @@
+import { Buffer } from 'node:buffer';
+
+import { compare, isArray, isBuffer, isInteger, isString } from '../lib.js';
+
+const CRLF = '\r\n';
+const TYPES = '+-:_#,($!=*~>%|';
+
+const line = (bytes, start) => {
+  const end = bytes.indexOf(CRLF, start);
+  return end === -1
+    ? undefined
+    : { value: bytes.toString('utf8', start, end), end: end + 2 };
+};
+
+const aggregate = (bytes, start, count) => {
+  const values = [];
+  let end = start;
+
+  for (let i = 0; i < count; i++) {
+    const element = parse(bytes, end);
+    if (element === undefined) {
+      return undefined;
+    }
+
+    values.push(element.value);
+    end = element.end;
+  }
+
+  return { value: values, end };
+};
+
+// Blob strings are left as Buffers so binary values can be compared exactly.
+// Anything not starting with a type marker is an inline command.
+export const parse = (bytes, start = 0) => {
+  if (bytes.length <= start) {
+    return undefined;
+  }
+
+  const type = String.fromCharCode(bytes[start]);
+  const header = line(bytes, TYPES.includes(type) ? start + 1 : start);
+  if (header === undefined) {
+    return undefined;
+  }
+
+  switch (type) {
+    case '+':
+    case '-':
+    case ',':
+    case '(':
+      return header;
+    case ':':
+      return { value: parseInt(header.value, 10), end: header.end };
+    case '_':
+      return { value: null, end: header.end };
+    case '#':
+      return { value: header.value === 't', end: header.end };
+    case '$':
+    case '!':
+    case '=': {
+      const length = parseInt(header.value, 10);
+      if (length === -1) {
+        return { value: null, end: header.end };
+      }
+
+      const end = header.end + length + 2;
+      return bytes.length < end
+        ? undefined
+        : { value: bytes.subarray(header.end, end - 2), end };
+    }
+    case '*':
+    case '~':
+    case '>': {
+      const count = parseInt(header.value, 10);
+      return count === -1
+        ? { value: null, end: header.end }
+        : aggregate(bytes, header.end, count);
+    }
+    case '%':
+    case '|': {
+      const pairs = aggregate(
+        bytes,
+        header.end,
+        parseInt(header.value, 10) * 2
+      );
+      if (pairs === undefined || type === '%') {
+        return pairs;
+      }
+
+      // Attributes describe the value that follows them, which is what we're
+      // really after.
+      return parse(bytes, pairs.end);
+    }
+    default:
+      return {
+        value: header.value
+          .split(' ')
+          .filter((a) => a !== '')
+          .map((a) => Buffer.from(a, 'utf8')),
+        end: header.end,
+      };
+  }
+};
+
+const consume = (bytes) => parse(bytes)?.end;
+
+const commandMatch =
+  (name, ...args) =>
+  (bytes) => {
+    const parsed = parse(bytes);
+    if (parsed === undefined || parsed.end !== bytes.length) {
+      return false;
+    }
+
+    const command = parsed.value;
+    if (!isArray(command) || command.length !== args.length + 1) {
+      return false;
+    }
+
+    const [actualName, ...actualArgs] = command;
+    const nameMatches = isString(name)
+      ? isBuffer(actualName) &&
+        actualName.toString('utf8').toUpperCase() === name.toUpperCase()
+      : compare(name, actualName);
+
+    return nameMatches && args.every((a, i) => compare(a, actualArgs[i]));
+  };
+
+const simpleRes = (s) => Buffer.from(`+${s}${CRLF}`, 'utf8');
+
+const errorRes = (message) => Buffer.from(`-${message}${CRLF}`, 'utf8');
+
+const integerRes = (n) => Buffer.from(`:${n}${CRLF}`, 'utf8');
+
+const nullRes = () => Buffer.from(`$-1${CRLF}`, 'utf8');
+
+const bulkRes = (value) => {
+  if (value === null || value === undefined) {
+    return nullRes();
+  }
+
+  const bytes = isBuffer(value) ? value : Buffer.from(`${value}`, 'utf8');
+
+  return Buffer.concat([
+    Buffer.from(`$${bytes.length}${CRLF}`, 'utf8'),
+    bytes,
+    Buffer.from(CRLF, 'utf8'),
+  ]);
+};
+
+// Buffers are assumed to already be encoded (for example, by another of these
+// helpers) and are included as-is. Strings are encoded as bulk strings and
+// integers as integers.
+const arrayRes = (values) => {
+  if (values === null || values === undefined) {
+    return Buffer.from(`*-1${CRLF}`, 'utf8');
+  }
+
+  return Buffer.concat([
+    Buffer.from(`*${values.length}${CRLF}`, 'utf8'),
+    ...values.map((v) => {
+      if (isBuffer(v)) {
+        return v;
+      }
+
+      if (isInteger(v)) {
+        return integerRes(v);
+      }
+
+      if (isArray(v)) {
+        return arrayRes(v);
+      }
+
+      return bulkRes(v);
+    }),
+  ]);
+};
+
+// The upper-cased command name and subcommand of a complete command.
+const commandNames = (bytes) => {
+  const parsed = parse(bytes);
+  if (parsed === undefined || parsed.end !== bytes.length) {
+    return [];
+  }
+
+  return isArray(parsed.value)
+    ? parsed.value
+        .slice(0, 2)
+        .map((v) => (isBuffer(v) ? v.toString('utf8').toUpperCase() : v))
+    : [];
+};
+
+const isHandshake = (bytes) => {
+  const [command, subcommand] = commandNames(bytes);
+  return (
+    command === 'HELLO' || (command === 'CLIENT' && subcommand === 'SETINFO')
+  );
+};
+
+const handshakeRes = (bytes) => {
+  if (commandNames(bytes)[0] !== 'HELLO') {
+    return simpleRes('OK');
+  }
+
+  return arrayRes([
+    'server',
+    'redis',
+    'version',
+    '7.0.0',
+    'proto',
+    2,
+    'id',
+    1,
+    'mode',
+    'standalone',
+    'role',
+    'master',
+    'modules',
+    [],
+  ]);
+};
+
+// Answers the `HELLO` and `CLIENT SETINFO` commands clients send when they
+// connect, on any number of connections.
+const handshake = () => ({
+  req: isHandshake,
+  res: handshakeRes,
+  consume,
+  persist: true,
+  optional: true,
+});
+
+export default {
+  consume,
+  handshake,
+  match: {
+    command: commandMatch,
+  },
+  res: {
+    simple: simpleRes,
+    error: errorRes,
+    integer: integerRes,
+    bulk: bulkRes,
+    array: arrayRes,
+    null: nullRes,
+  },
+};
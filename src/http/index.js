@@ -1,43 +1,83 @@
-import { createServer } from 'node:http';
-import { URL } from 'node:url';
+import { createServer, ServerResponse } from 'node:http';
+import { createServer as createSecureServer } from 'node:https';
+import { URL, URLSearchParams } from 'node:url';
 import { Buffer } from 'node:buffer';
 
-import { mockSchema, httpSchema } from './schema.js';
+import {
+  mockSchema,
+  wsMockSchema,
+  messageMockSchema,
+  httpSchema,
+} from './schema.js';
+import { connection, handshake, isUpgrade } from './ws.js';
+import { forward, toRecording, toMockOptions } from './proxy.js';
 import {
   D,
   compare,
+  matchRoute,
   toHTTPRes,
+  toWSRes,
+  toListenOptions,
+  toServerAddress,
   wait,
   printMock,
+  valueToString,
   isString,
+  isBuffer,
   isUndefined,
+  isPlainObject,
+  isArray,
+  isFunction,
 } from '../lib.js';
 import { conform } from '../validate.js';
-import { PendingMockError } from '../errors.js';
+import { toTLSOptions } from '../tls.js';
+import { Recorder, load } from '../record.js';
+import {
+  PendingMockError,
+  UnmatchedRequestError,
+  UnexpectedRequestError,
+} from '../errors.js';
 
 const printHTTP = printMock('HTTP');
+const printWS = printMock('WS');
+const printMessage = printMock('WSMessage');
 
-const headers = (req) => {
+// Collects key/value pairs into a plain object, where repeated keys hold an
+// array of their values in order.
+const collect = (entries) => {
   const res = {};
 
-  let currentKey;
-  for (const [i, v] of req.rawHeaders.entries()) {
-    if (i % 2 === 0) {
-      currentKey = v;
+  for (const [k, v] of entries) {
+    if (isUndefined(res[k])) {
+      res[k] = v;
+    } else if (isString(res[k])) {
+      res[k] = [res[k], v];
     } else {
-      if (isUndefined(res[currentKey])) {
-        res[currentKey] = v;
-      } else if (isString(res[currentKey])) {
-        res[currentKey] = [res[currentKey], v];
-      } else {
-        res[currentKey] = [...res[currentKey], v];
-      }
+      res[k] = [...res[k], v];
     }
   }
 
   return res;
 };
 
+const headers = (req) =>
+  collect(
+    req.rawHeaders
+      .filter((_, i) => i % 2 === 0)
+      .map((k, i) => [k, req.rawHeaders[i * 2 + 1]])
+  );
+
+const queryParams = (search) => collect(new URLSearchParams(search));
+
+// Header names differing only in case are merged into a single lower-cased
+// name, keeping their values in the order they were received.
+const lowerCaseHeaders = (headers) =>
+  collect(
+    Object.entries(headers).flatMap(([k, v]) =>
+      (isArray(v) ? v : [v]).map((aV) => [k.toLowerCase(), aV])
+    )
+  );
+
 const parseReq = (req) => {
   const parsed = new URL(req.url, `http://${req.headers.host}`);
 
@@ -51,6 +91,87 @@ const parseReq = (req) => {
 
 const printReq = (req) => `[${req.method} ${req.url} HTTP/${req.httpVersion}]`;
 
+const reqFields = ['method', 'pathname', 'query', 'headers', 'body'];
+
+const diffReq = (desired, actual) => {
+  if (!isPlainObject(desired)) {
+    return [
+      { path: 'req', desired, actual, matched: compare(desired, actual) },
+    ];
+  }
+
+  return reqFields.flatMap((field) => {
+    const [d, a] = [desired[field], actual[field]];
+
+    if (field === 'pathname' && !isUndefined(desired.route)) {
+      return [
+        {
+          path: 'route',
+          desired: desired.route,
+          actual: a,
+          matched: !isUndefined(matchRoute(desired.route, a)),
+        },
+      ];
+    }
+
+    if ((field === 'headers' || field === 'query') && isPlainObject(d)) {
+      return Object.entries(d).map(([k, v]) => ({
+        path: `${field}.${k}`,
+        desired: v,
+        actual: a[k],
+        matched: compare(v, a[k]),
+      }));
+    }
+
+    return [{ path: field, desired: d, actual: a, matched: compare(d, a) }];
+  });
+};
+
+// A function at `req` is compared against the whole request, so a mismatch
+// there is as far off as a mismatch on every field.
+const diffScore = (diff) =>
+  diff
+    .filter(({ matched }) => !matched)
+    .reduce(
+      (acc, { path }) => acc + (path === 'req' ? reqFields.length : 1),
+      0
+    );
+
+const printActual = (v) => {
+  if (isBuffer(v)) {
+    return valueToString(v.toString('utf8'));
+  }
+
+  if (isPlainObject(v) && isBuffer(v.body)) {
+    return valueToString({ ...v, body: v.body.toString('utf8') });
+  }
+
+  return valueToString(v);
+};
+
+const printDiff = (diff) =>
+  diff
+    .map(({ path, desired, actual, matched }) =>
+      matched
+        ? `  * \`${path}\` matched`
+        : `  * \`${path}\` expected ${valueToString(
+            desired
+          )} (got ${printActual(actual)})`
+    )
+    .join('\n');
+
+const unmatchedMessage = (printedReq, closest) => {
+  const message = `No matching mock was found for ${printedReq}`;
+
+  if (closest === undefined) {
+    return message;
+  }
+
+  return `${message}, closest mock was ${closest.mock}:\n${printDiff(
+    closest.diff
+  )}`;
+};
+
 const readBody = (req) =>
   new Promise((resolve) => {
     const body = [];
@@ -59,34 +180,293 @@ const readBody = (req) =>
     req.on('end', () => resolve(Buffer.concat(body)));
   });
 
-const Mock = (o) => {
+// Decodes a chunked body at the start of `b`, or returns undefined if its last
+// chunk hasn't been received.
+const decodeChunked = (b) => {
+  const chunks = [];
+
+  for (let i = 0; ; ) {
+    const eol = b.indexOf('\r\n', i);
+    if (eol === -1) {
+      return undefined;
+    }
+
+    const size = parseInt(b.toString('latin1', i, eol), 16);
+    if (Number.isNaN(size)) {
+      throw new Error(`malformed chunk size at byte ${i}`);
+    }
+
+    if (size === 0) {
+      // Any trailers end with an empty line.
+      return b.indexOf('\r\n\r\n', eol) === -1
+        ? undefined
+        : Buffer.concat(chunks);
+    }
+
+    const start = eol + 2;
+    if (b.length < start + size + 2) {
+      return undefined;
+    }
+
+    chunks.push(b.subarray(start, start + size));
+    i = start + size + 2;
+  }
+};
+
+// Node leaves the body of a request with an Upgrade header unread, so it's read
+// from the socket, following `head`, until its content-length is reached or
+// its last chunk arrives.
+const readUpgradeBody = (req, socket, head) =>
+  new Promise((resolve, reject) => {
+    const chunked = /\bchunked\b/i.test(req.headers['transfer-encoding']);
+    const length = parseInt(req.headers['content-length'], 10) || 0;
+    let received = head;
+
+    const done = (f, v) => {
+      socket.off('data', onData);
+      socket.off('close', onClose);
+      f(v);
+    };
+
+    const check = () => {
+      try {
+        const body = chunked
+          ? decodeChunked(received)
+          : received.length >= length
+          ? received.subarray(0, length)
+          : undefined;
+
+        if (body !== undefined) {
+          done(resolve, body);
+        }
+      } catch (e) {
+        done(reject, e);
+      }
+    };
+
+    const onData = (b) => {
+      received = Buffer.concat([received, b]);
+      check();
+    };
+
+    const onClose = () =>
+      done(reject, new Error('socket closed before body was received'));
+
+    socket.on('data', onData);
+    socket.on('close', onClose);
+    check();
+  });
+
+// Node added resetAndDestroy() in v16.17.0, before which a socket can only be
+// closed gracefully.
+const resetSocket = (res) => {
+  if (isFunction(res.socket?.resetAndDestroy)) {
+    res.socket.resetAndDestroy();
+  } else {
+    res.destroy();
+  }
+};
+
+// Replaces any content-length, and closes the connection once the response is
+// written so the client can't wait on the bytes it was promised.
+const withContentLength = (headers, length) => [
+  ...headers.filter(
+    (_, i) =>
+      !['content-length', 'connection'].includes(
+        headers[i - (i % 2)].toLowerCase()
+      )
+  ),
+  'content-length',
+  `${length}`,
+  'connection',
+  'close',
+];
+
+// Headers are sent straight away, and without a content-length each chunk is
+// written with chunked transfer encoding. A stream that throws cuts the
+// response short, as does a `truncate` fault once `bytes` have been written.
+// With `raw`, chunks are written to the socket itself, since some versions of
+// node hold a response's body to its content-length.
+const writeChunks = async (res, chunks, { truncate, raw = false } = {}) => {
+  const write = raw
+    ? (data, cb) => res.socket.write(data, cb)
+    : (data, cb) => res.write(data, cb);
+
+  res.flushHeaders();
+
+  let written = 0;
+
+  try {
+    for await (const { data, delay } of chunks) {
+      if (delay > 0) {
+        D('delaying writing chunk by %dms', delay);
+        await wait(delay);
+      }
+
+      if (res.destroyed) {
+        D('socket closed before body was written');
+        return;
+      }
+
+      if (truncate !== undefined && written + data.length >= truncate.bytes) {
+        D('truncating body after %d bytes', truncate.bytes);
+        write(data.subarray(0, truncate.bytes - written), () => res.destroy());
+        return;
+      }
+
+      D('writing chunk %s', data);
+      write(data);
+      written += data.length;
+    }
+  } catch (e) {
+    D('body stream threw, destroying socket: %s', e);
+    res.destroy();
+    return;
+  }
+
+  if (truncate !== undefined) {
+    D('truncating body after %d bytes', written);
+    res.destroy();
+    return;
+  }
+
+  if (raw) {
+    res.socket.end();
+  } else {
+    res.end();
+  }
+};
+
+// Every scenario starts out in the `started` state, and moves between states as
+// the mocks declared in it match requests.
+const Scenarios = () => {
+  let states = {};
+
+  const state = (name) => states[name] ?? 'started';
+
+  const transition = (name, to) => {
+    D('moving scenario %s from %s to %s', name, state(name), to);
+    states[name] = to;
+  };
+
+  const reset = () => {
+    states = {};
+  };
+
+  return { state, transition, reset };
+};
+
+const Mock = (o, { caseSensitiveHeaders = false, scenarios } = {}) => {
   const options = conform(mockSchema(o, ['options'])) ?? {};
 
-  let done = false;
+  const {
+    times = 1,
+    persist = false,
+    optional = false,
+    scenario,
+    whenState,
+    toState,
+  } = options;
+
+  const desired =
+    !caseSensitiveHeaders && isPlainObject(options.req?.headers)
+      ? {
+          ...options.req,
+          headers: Object.fromEntries(
+            Object.entries(options.req.headers).map(([k, v]) => [
+              k.toLowerCase(),
+              v,
+            ])
+          ),
+        }
+      : options.req;
+
+  // A route template isn't a field of the request, so it's matched against the
+  // pathname separately from the rest of `req`.
+  const { route, ...rest } = isPlainObject(desired) ? desired : {};
+  const desiredReq = isUndefined(route) ? desired : rest;
+
+  // A query described by an object is compared against the parsed query
+  // params, rather than the raw querystring.
+  const toActual = (parsedReq) => ({
+    ...parsedReq,
+    query: isPlainObject(desiredReq?.query)
+      ? queryParams(parsedReq.query)
+      : parsedReq.query,
+    headers: caseSensitiveHeaders
+      ? parsedReq.headers
+      : lowerCaseHeaders(parsedReq.headers),
+  });
 
-  const match = () => {
-    done = true;
+  let matchCount = 0;
+  const calls = [];
+
+  const match = (parsedReq) => {
+    matchCount += 1;
+    calls.push(parsedReq);
+
+    if (!isUndefined(toState)) {
+      scenarios.transition(scenario, toState);
+    }
   };
 
-  const toString = () => printHTTP({ req: o?.req, res: o?.res });
+  const toString = () =>
+    printHTTP({
+      req: o?.req,
+      res: o?.res,
+      times: o?.times,
+      persist: o?.persist,
+      optional: o?.optional,
+      scenario: o?.scenario,
+      whenState: o?.whenState,
+      toState: o?.toState,
+    });
+
+  const isInState = () =>
+    isUndefined(whenState) || scenarios.state(scenario) === whenState;
 
-  const isMatch = (req, body) => {
-    if (!isPending()) {
+  const isMatch = (parsedReq) => {
+    if (isExhausted() || !isInState()) {
       return false;
     }
 
-    const { method, pathname, query, headers } = parseReq(req);
+    if (!isUndefined(route) && isUndefined(params(parsedReq))) {
+      return false;
+    }
 
-    return compare(options.req, {
-      method,
-      pathname,
-      query,
-      headers,
-      body,
-    });
+    return compare(desiredReq, toActual(parsedReq));
   };
 
-  const isPending = () => done === false;
+  const params = (parsedReq) =>
+    isUndefined(route) ? {} : matchRoute(route, parsedReq.pathname);
+
+  const diff = (parsedReq) => [
+    ...diffReq(desired, toActual(parsedReq)),
+    ...(isUndefined(whenState)
+      ? []
+      : [
+          {
+            path: `scenario.${scenario}`,
+            desired: whenState,
+            actual: scenarios.state(scenario),
+            matched: isInState(),
+          },
+        ]),
+  ];
+
+  // A persisted mock can match any number of times, otherwise it's used up
+  // once it has matched `times` requests.
+  const isExhausted = () => !persist && matchCount >= times;
+
+  // Optional mocks are never pending. Persisted mocks are satisfied by a single
+  // match, and all others by matching exactly `times` requests.
+  const isPending = () => {
+    if (optional) {
+      return false;
+    }
+
+    return persist ? matchCount === 0 : matchCount < times;
+  };
 
   const assertDone = () => {
     if (isPending()) {
@@ -99,57 +479,323 @@ const Mock = (o) => {
     match,
     toString,
     isMatch,
+    params,
+    diff,
+    isExhausted,
     isPending,
     assertDone,
+    get calls() {
+      return [...calls];
+    },
+    get lastCall() {
+      return calls[calls.length - 1];
+    },
   };
 };
 
-const MockSet = () => {
+const MessageMock = (o) => {
+  const options = conform(messageMockSchema(o, ['options'])) ?? {};
+
+  const { persist = false, optional = false } = options;
+
+  let matchCount = 0;
+
+  const match = () => {
+    matchCount += 1;
+  };
+
+  const toString = () =>
+    printMessage({
+      req: o?.req,
+      res: o?.res,
+      persist: o?.persist,
+      optional: o?.optional,
+    });
+
+  const isExhausted = () => !persist && matchCount > 0;
+
+  const isMatch = (message) => !isExhausted() && compare(options.req, message);
+
+  const isPending = () => !optional && matchCount === 0;
+
+  const assertDone = () => {
+    if (isPending()) {
+      throw new PendingMockError(`Mock is still pending: ${toString()}`);
+    }
+  };
+
+  return {
+    options,
+    match,
+    toString,
+    isMatch,
+    isPending,
+    assertDone,
+  };
+};
+
+// A WebSocket mock matches an upgrade request like any HTTP mock, then answers
+// messages on the connections it accepted with the message mocks declared on
+// it, in order.
+const WSMock = (o, { caseSensitiveHeaders = false } = {}) => {
+  const options = conform(wsMockSchema(o, ['options'])) ?? {};
+  const upgrade = Mock(
+    { req: o?.req, persist: o?.persist, optional: o?.optional },
+    { caseSensitiveHeaders }
+  );
+
+  const init = isArray(options.init) ? options.init : [options.init];
+
+  let messageMocks = [];
+  let connections = [];
+
+  const toString = () =>
+    printWS({
+      req: o?.req,
+      res: o?.res,
+      init: o?.init,
+      persist: o?.persist,
+      optional: o?.optional,
+    });
+
+  const mock = (mo) => {
+    const m = MessageMock(mo);
+    messageMocks.push(m);
+    D('registering mock %s on %s', m, toString());
+    return m;
+  };
+
+  const onMessage = async (message, conn) => {
+    try {
+      D('received message %s', valueToString(message));
+
+      const m = messageMocks.find((m) => m.isMatch(message));
+      if (m === undefined) {
+        D('no matching mock was found for message %s', valueToString(message));
+        return;
+      }
+
+      D('found matching mock %s', m);
+      m.match();
+
+      const r = toWSRes(m.options.res, message);
+
+      if (r.bodyDelay > 0) {
+        D('delaying reply by %dms', r.bodyDelay);
+        await wait(r.bodyDelay);
+      }
+
+      if (r.destroySocket) {
+        D('purposefully destroying socket');
+        conn.destroy();
+        return;
+      }
+
+      if (r.body !== undefined) {
+        D('replying %s', valueToString(r.body));
+        conn.send(r.body);
+      }
+
+      if (r.close !== undefined) {
+        D('closing with code %d', r.close.code);
+        conn.close(r.close.code, r.close.reason);
+      }
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  const open = (socket, head) => {
+    const conn = connection(socket, head, {
+      onMessage,
+      onClose: () => {
+        connections = connections.filter((c) => c !== conn);
+      },
+    });
+    connections.push(conn);
+
+    for (const message of init.filter((m) => !isUndefined(m))) {
+      conn.send(message);
+    }
+  };
+
+  return {
+    options,
+    match: upgrade.match,
+    isMatch: upgrade.isMatch,
+    params: upgrade.params,
+    diff: upgrade.diff,
+    isExhausted: upgrade.isExhausted,
+    isPending: upgrade.isPending,
+    toString,
+    open,
+    mock,
+    send: (data) => connections.forEach((c) => c.send(data)),
+    ping: (data) => connections.forEach((c) => c.ping(data)),
+    close: (code, reason) => connections.forEach((c) => c.close(code, reason)),
+    assertDone: () => {
+      if (upgrade.isPending()) {
+        throw new PendingMockError(`Mock is still pending: ${toString()}`);
+      }
+    },
+    get messageMocks() {
+      return [...messageMocks];
+    },
+    get calls() {
+      return upgrade.calls;
+    },
+    get lastCall() {
+      return upgrade.lastCall;
+    },
+  };
+};
+
+const MockSet = ({
+  strict = false,
+  caseSensitiveHeaders = false,
+  proxy,
+  recorder,
+} = {}) => {
   let mocks = [];
+  let wsMocks = [];
+  let requests = [];
+  let unmatchedRequests = [];
+  let unmatchedMessages = [];
+  const scenarios = Scenarios();
 
   const reset = ({ throwOnPending = true } = {}) => {
-    const pending = mocks.filter((m) => m.isPending());
+    const pending = [
+      ...mocks,
+      ...wsMocks.flatMap((w) => [w, ...w.messageMocks]),
+    ].filter((m) => m.isPending());
+    const messages = unmatchedMessages;
     mocks = [];
+    wsMocks = [];
+    requests = [];
+    unmatchedRequests = [];
+    unmatchedMessages = [];
+    scenarios.reset();
 
     if (pending.length !== 0) {
-      if (throwOnPending) {
-        throw new PendingMockError(
-          `The following mocks are still pending: ${pending.join(', ')}`
+      const message = `The following mocks are still pending: ${pending.join(
+        ', '
+      )}`;
+
+      if (throwOnPending && messages.length !== 0) {
+        throw new UnmatchedRequestError(
+          `${message}\nThe following requests were not matched:\n${messages.join(
+            '\n'
+          )}`
         );
       }
 
+      if (throwOnPending) {
+        throw new PendingMockError(message);
+      }
+
       D('discarding the following mocks: %s', pending.join(', '));
     }
+
+    if (strict && messages.length !== 0) {
+      throw new UnexpectedRequestError(
+        `The following requests were not expected:\n${messages.join('\n')}`
+      );
+    }
   };
 
   const add = (o) => {
-    const m = Mock(o);
+    const m = Mock(o, { caseSensitiveHeaders, scenarios });
     mocks.push(m);
     D('registering mock %s', m);
     return m;
   };
 
-  const handler = async (req, res) => {
+  // Each recorded exchange becomes a mock, declared in the order it was
+  // recorded, with any `options` applied to all of them.
+  const replay = (file, options = {}) =>
+    load(file).map((entry) => add({ ...toMockOptions(entry), ...options }));
+
+  const addWS = (o) => {
+    const m = WSMock(o, { caseSensitiveHeaders });
+    wsMocks.push(m);
+    D('registering mock %s', m);
+    return m;
+  };
+
+  const closestMock = (parsedReq, candidates = mocks) => {
+    let closest;
+
+    for (const m of candidates.filter((m) => !m.isExhausted())) {
+      const diff = m.diff(parsedReq);
+      const score = diffScore(diff);
+
+      if (closest === undefined || score < closest.score) {
+        closest = { mock: m, diff, score };
+      }
+    }
+
+    return closest;
+  };
+
+  // A request no mock matched is answered by the proxy target instead, so it
+  // isn't unexpected unless the target couldn't be reached.
+  const forwardReq = async (req, res, parsedReq) => {
+    D('forwarding request %s to %s', printReq(req), proxy);
+    unmatchedRequests.push(parsedReq);
+
+    let r;
+
+    try {
+      r = await forward(proxy, req, parsedReq.body);
+    } catch (e) {
+      const message = `Failed to forward ${printReq(req)} to ${proxy}: ${
+        e.message
+      }`;
+
+      D('%s', message);
+      unmatchedMessages.push(message);
+
+      res.writeHead(502, { 'Content-Type': 'text/plain' });
+      res.end(message);
+      return;
+    }
+
+    D('relaying response with status code %d', r.statusCode);
+    recorder?.add(toRecording(parsedReq, r));
+
+    res.writeHead(r.statusCode, r.headers);
+    res.end(r.body);
+  };
+
+  const handler = async (req, res, body) => {
     try {
-      const reqBody = await readBody(req);
+      const reqBody = body ?? (await readBody(req));
       D('received request %s', printReq(req));
 
-      const m = mocks.find((m) => m.isMatch(req, reqBody));
+      const parsedReq = { ...parseReq(req), body: reqBody };
+      requests.push(parsedReq);
+
+      const m = mocks.find((m) => m.isMatch(parsedReq));
 
       if (m !== undefined) {
         D('found matching mock %s', m);
-        m.match();
+        m.match(parsedReq);
 
-        const r = toHTTPRes(m.options.res, req, reqBody);
+        const r = toHTTPRes(m.options.res, req, reqBody, m.params(parsedReq));
 
         if (r.headerDelay > 0) {
           D('delaying writing headers by %dms', r.headerDelay);
           await wait(r.headerDelay);
         }
 
+        const headers =
+          r.fault?.type === 'contentLength'
+            ? withContentLength(r.headers, r.fault.length)
+            : r.headers;
+
         D('writing status code %d', r.statusCode);
-        D('writing headers %s', r.headers);
-        res.writeHead(r.statusCode, r.headers);
+        D('writing headers %s', headers);
+        res.writeHead(r.statusCode, headers);
 
         if (r.bodyDelay > 0) {
           D('delaying writing body by %dms', r.bodyDelay);
@@ -163,50 +809,201 @@ const MockSet = () => {
           return;
         }
 
-        D('writing body %s', r.body);
-        res.end(r.body);
+        if (r.fault?.type === 'reset') {
+          D('purposefully resetting socket');
+          resetSocket(res);
+          return;
+        }
+
+        if (r.fault?.type === 'stall') {
+          D('purposefully stalling after headers');
+          res.flushHeaders();
+          return;
+        }
+
+        const chunks = isBuffer(r.body) ? [{ data: r.body, delay: 0 }] : r.body;
+
+        if (r.fault?.type === 'truncate') {
+          await writeChunks(res, chunks, { truncate: r.fault });
+        } else if (r.fault?.type === 'contentLength') {
+          await writeChunks(res, chunks, { raw: true });
+        } else if (isBuffer(r.body)) {
+          D('writing body %s', r.body);
+          res.end(r.body);
+        } else {
+          await writeChunks(res, r.body);
+        }
+      } else if (proxy !== undefined) {
+        await forwardReq(req, res, parsedReq);
       } else {
-        D('no matching mock was found for %s', printReq(req));
+        const message = unmatchedMessage(printReq(req), closestMock(parsedReq));
+
+        D('%s', message);
+        unmatchedRequests.push(parsedReq);
+        unmatchedMessages.push(message);
 
         res.writeHead(404, { 'Content-Type': 'text/plain' });
-        res.end(`No matching mock was found for ${printReq(req)}`);
+        res.end(message);
       }
     } catch (e) {
       console.error(e);
     }
   };
 
-  return { reset, add, handler };
+  // Node hands every request with an Upgrade header to the upgrade handler,
+  // along with whatever followed its headers. Those that aren't WebSocket
+  // handshakes are answered like any other request once their body is read.
+  const upgradeHandler = async (req, socket, head) => {
+    if (!isUpgrade(req)) {
+      socket.on('error', (e) => D('received error %s', e));
+
+      let body;
+      try {
+        body = await readUpgradeBody(req, socket, head);
+      } catch (e) {
+        D('failed to read upgrade request body: %s', e);
+        socket.destroy();
+        return;
+      }
+
+      const res = new ServerResponse(req);
+      res.shouldKeepAlive = false;
+      res.assignSocket(socket);
+      res.on('finish', () => {
+        res.detachSocket(socket);
+        socket.end();
+      });
+
+      await handler(req, res, body);
+      return;
+    }
+
+    try {
+      D('received upgrade request %s', printReq(req));
+
+      const parsedReq = { ...parseReq(req), body: Buffer.from([]) };
+      requests.push(parsedReq);
+
+      const m = wsMocks.find((m) => m.isMatch(parsedReq));
+
+      if (m === undefined) {
+        const message = unmatchedMessage(
+          printReq(req),
+          closestMock(parsedReq, wsMocks)
+        );
+
+        D('%s', message);
+        unmatchedRequests.push(parsedReq);
+        unmatchedMessages.push(message);
+
+        socket.end(
+          `HTTP/1.1 404 Not Found\r\nContent-Type: text/plain\r\nContent-Length: ${Buffer.byteLength(
+            message
+          )}\r\nConnection: close\r\n\r\n${message}`
+        );
+        return;
+      }
+
+      D('found matching mock %s', m);
+      m.match(parsedReq);
+
+      const r = toHTTPRes(
+        m.options.res,
+        req,
+        parsedReq.body,
+        m.params(parsedReq)
+      );
+
+      if (r.headerDelay > 0) {
+        D('delaying handshake by %dms', r.headerDelay);
+        await wait(r.headerDelay);
+      }
+
+      if (r.destroySocket) {
+        D('purposefully destroying socket');
+        socket.destroy();
+        return;
+      }
+
+      D('completing handshake');
+      socket.write(handshake(req, r.headers));
+      m.open(socket, head);
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  return {
+    reset,
+    add,
+    replay,
+    addWS,
+    handler,
+    upgradeHandler,
+    requests: () => [...requests],
+    unmatchedRequests: () => [...unmatchedRequests],
+    scenario: (name) => ({
+      get state() {
+        return scenarios.state(name);
+      },
+    }),
+  };
 };
 
 const http = (o) => {
   const options = conform(httpSchema(o, ['options'])) ?? {};
-  const { port = 0 } = options;
+  const { strict = false, caseSensitiveHeaders = false, proxy } = options;
+  const tls = toTLSOptions(options.tls);
+  const recorder =
+    options.record === undefined ? undefined : Recorder(options.record);
 
   // closeAllConnections() added in v18.2.0
   const connections = [];
 
-  return new Promise((resolve) => {
-    const ms = MockSet();
-    const server = createServer(ms.handler);
-    D('launching http server');
+  return new Promise((resolve, reject) => {
+    const ms = MockSet({ strict, caseSensitiveHeaders, proxy, recorder });
+    const server =
+      tls === undefined
+        ? createServer(ms.handler)
+        : createSecureServer(tls, ms.handler);
+    D('launching %s server', tls === undefined ? 'http' : 'https');
 
-    server.listen({ port });
+    server.listen(toListenOptions(options));
     server.on('listening', () => {
-      D('http server listening on port %d', server.address().port);
+      const address = toServerAddress(server);
+      D('http server listening on %s', address.path ?? address.port);
 
       resolve({
-        port: server.address().port,
+        ...address,
+        ca: tls?.cert,
         teardown: () => {
           D('closing http server');
           connections.forEach((c) => c.destroy());
-          return new Promise((r) => server.close(() => r()));
+          return Promise.all([
+            new Promise((r) => server.close(() => r())),
+            recorder?.flush(),
+          ]).then(() => undefined);
         },
         reset: (o) => ms.reset(o),
         mock: (o) => ms.add(o),
+        replay: (file, o) => ms.replay(file, o),
+        ws: (o) => ms.addWS(o),
+        scenario: (name) => ms.scenario(name),
+        get requests() {
+          return ms.requests();
+        },
+        get unmatchedRequests() {
+          return ms.unmatchedRequests();
+        },
       });
     });
 
+    server.on('error', (e) => {
+      reject(e);
+      D('received error %s', e);
+    });
+
+    server.on('upgrade', ms.upgradeHandler);
     server.on('connection', (c) => connections.push(c));
     server.on('close', () => D('http server closed'));
   });
@@ -0,0 +1,88 @@
+import { request as httpRequest } from 'node:http';
+import { request as httpsRequest } from 'node:https';
+import { URL } from 'node:url';
+import { Buffer } from 'node:buffer';
+
+import { encodeBytes, decodeBytes } from '../record.js';
+
+// Headers describing a single connection rather than the message are never
+// forwarded. Lengths are dropped too, since bodies are read in full and sent
+// with a length of their own.
+const HOP_BY_HOP = [
+  'connection',
+  'keep-alive',
+  'proxy-connection',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+  'content-length',
+];
+
+const endToEnd = (rawHeaders, exclude = []) =>
+  rawHeaders
+    .filter((_, i) => i % 2 === 0)
+    .map((k, i) => [k, rawHeaders[i * 2 + 1]])
+    .filter(([k]) => ![...HOP_BY_HOP, ...exclude].includes(k.toLowerCase()));
+
+// Repeated header names hold an array of their values in order.
+const toHeaders = (pairs) => {
+  const res = {};
+
+  for (const [k, v] of pairs) {
+    res[k] = k in res ? [].concat(res[k], v) : v;
+  }
+
+  return res;
+};
+
+// Forwards a request, whose body has already been read, to `target`, its path
+// following the target's. Resolves with the complete response, its headers as
+// a flat list of names and values.
+export const forward = (target, req, body) =>
+  new Promise((resolve, reject) => {
+    const base = new URL(target);
+    const url = new URL(`${base.pathname.replace(/\/$/, '')}${req.url}`, base);
+    const request = url.protocol === 'https:' ? httpsRequest : httpRequest;
+
+    const headers = {
+      ...toHeaders(endToEnd(req.rawHeaders, ['host'])),
+      host: url.host,
+      ...(body.length > 0 ? { 'content-length': `${body.length}` } : {}),
+    };
+
+    const upstream = request(url, { method: req.method, headers }, (res) => {
+      const chunks = [];
+
+      res.on('data', (c) => chunks.push(c));
+      res.on('error', reject);
+      res.on('end', () =>
+        resolve({
+          statusCode: res.statusCode,
+          headers: endToEnd(res.rawHeaders).flat(),
+          body: Buffer.concat(chunks),
+        })
+      );
+    });
+
+    upstream.on('error', reject);
+    upstream.end(body);
+  });
+
+// Request headers are left out of a recording, so credentials sent upstream
+// never end up in a fixture.
+export const toRecording = ({ method, pathname, query, body }, res) => ({
+  req: { method, pathname, query, body: encodeBytes(body) },
+  res: {
+    statusCode: res.statusCode,
+    headers: toHeaders(endToEnd(res.headers)),
+    body: encodeBytes(res.body),
+  },
+});
+
+export const toMockOptions = ({ req, res }) => ({
+  req: { ...req, body: decodeBytes(req.body) },
+  res: { ...res, body: decodeBytes(res.body) },
+});
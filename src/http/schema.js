@@ -1,3 +1,5 @@
+import { URL } from 'node:url';
+
 import {
   error,
   always,
@@ -12,12 +14,14 @@ import {
   isUndefined,
   isInteger,
   isArray,
+  isAsyncIterable,
   isPlainObject,
   isFunction,
   alias,
   branch,
   branchWithFunction,
   keyvals,
+  exclusive,
 } from '../validate.js';
 
 export const optComparable = alias(
@@ -37,6 +41,12 @@ const reqHeaders = branch(
   'if defined must be plain object or function'
 );
 
+const reqQuery = branch(
+  [isPlainObject, optComparable],
+  [keyvals(always, headerComparable), always],
+  'if defined must be string, buffer, regular expression, function, or plain object'
+);
+
 export const optBufferable = alias(
   or(isString, isBuffer, isUndefined),
   'if defined must be string or buffer'
@@ -79,6 +89,21 @@ const isPositive = (value, path = []) => [
 
 export const isPositiveInt = and(isInteger, isPositive);
 
+export const isNonZero = (value, path = []) => [
+  value,
+  value !== 0 ? [] : error(path, 'must not be zero', value),
+];
+
+const times = alias(
+  or(and(isPositiveInt, isNonZero), isUndefined),
+  'if defined must be positive, non-zero integer'
+);
+
+export const optBoolean = alias(
+  or(isBoolean, isUndefined),
+  'if defined must be boolean'
+);
+
 export const delay = branchWithFunction(
   [isPositiveInt, isUndefined],
   [always, always],
@@ -91,13 +116,19 @@ export const destroySocket = branchWithFunction(
   'if defined must be boolean'
 );
 
-const reqObj = obj({
-  method: optComparable,
-  pathname: optComparable,
-  query: optComparable,
-  headers: reqHeaders,
-  body: optComparable,
-});
+const route = alias(or(isString, isUndefined), 'if defined must be string');
+
+const reqObj = and(
+  obj({
+    method: optComparable,
+    pathname: optComparable,
+    route,
+    query: reqQuery,
+    headers: reqHeaders,
+    body: optComparable,
+  }),
+  exclusive(['pathname'], ['route'])
+);
 
 const req = branch(
   [isPlainObject, isFunction(isBoolean), isUndefined],
@@ -105,13 +136,73 @@ const req = branch(
   'if defined must be plain object or function'
 );
 
+const optPositiveInt = alias(
+  or(isPositiveInt, isUndefined),
+  'if defined must be positive integer'
+);
+
+const bufferable = alias(or(isString, isBuffer), 'must be string or buffer');
+
+const chunk = branch(
+  [bufferable, isPlainObject],
+  [always, obj({ data: bufferable, delay: optPositiveInt })],
+  'must be string, buffer, or plain object'
+);
+
+// A body given as chunks, or an async iterable of them, is streamed.
+const resBody = branchWithFunction(
+  [optBufferable, isArray, isAsyncIterable],
+  [always, arr(chunk), always],
+  'if defined must be string, buffer, array, or async iterable'
+);
+
+const FAULT_TYPES = ['truncate', 'contentLength', 'reset', 'stall'];
+
+const faultType = (value, path = []) => [
+  value,
+  FAULT_TYPES.includes(value)
+    ? []
+    : error(
+        path,
+        "must be one of 'truncate', 'contentLength', 'reset', or 'stall'",
+        value
+      ),
+];
+
+const isLengthDefined = (value, path = []) => [
+  value,
+  value.type !== 'contentLength' || value.length !== undefined
+    ? []
+    : error(
+        [...path, 'length'],
+        "must be defined when `type` is 'contentLength'",
+        value.length
+      ),
+];
+
+const faultObj = and(
+  obj({
+    type: faultType,
+    bytes: optPositiveInt,
+    length: optPositiveInt,
+  }),
+  isLengthDefined
+);
+
+const fault = branchWithFunction(
+  [isPlainObject, isUndefined],
+  [faultObj, always],
+  'if defined must be plain object'
+);
+
 const resObj = obj({
-  body: funcOptBufferable,
+  body: resBody,
   headers: resHeaders,
   statusCode: statusCode,
   headerDelay: delay,
   bodyDelay: delay,
   destroySocket,
+  fault,
 });
 
 const res = branchWithFunction(
@@ -120,9 +211,38 @@ const res = branchWithFunction(
   'if defined must be plain object'
 );
 
+const optString = alias(or(isString, isUndefined), 'if defined must be string');
+
+const isScenarioDefined = (value, path = []) => [
+  value,
+  value.scenario !== undefined ||
+  (value.whenState === undefined && value.toState === undefined)
+    ? []
+    : error(
+        [...path, 'scenario'],
+        'must be defined when `whenState` or `toState` is',
+        value.scenario
+      ),
+];
+
+const mockSchemaObj = and(
+  obj({
+    req,
+    res,
+    times,
+    persist: optBoolean,
+    optional: optBoolean,
+    scenario: optString,
+    whenState: optString,
+    toState: optString,
+  }),
+  exclusive(['times'], ['persist']),
+  isScenarioDefined
+);
+
 export const mockSchema = branch(
   [isPlainObject, isUndefined],
-  [obj({ req, res }), always],
+  [mockSchemaObj, always],
   'if defined must be plain object'
 );
 
@@ -131,8 +251,146 @@ export const port = alias(
   'if defined must be positive integer'
 );
 
+export const host = alias(
+  or(isString, isUndefined),
+  'if defined must be string'
+);
+
+export const socketPath = alias(
+  or(isString, isUndefined),
+  'if defined must be string'
+);
+
+// A server listens on either a Unix domain socket or a port.
+export const listenExclusive = exclusive(['path'], ['port', 'host']);
+
+export const tls = branch(
+  [isBoolean, isPlainObject, isUndefined],
+  [always, obj({ key: bufferable, cert: bufferable }), always],
+  'if defined must be boolean or plain object'
+);
+
+const isHTTPURL = (value, path = []) => {
+  let url;
+
+  try {
+    url = new URL(value);
+  } catch (e) {
+    url = undefined;
+  }
+
+  return [
+    value,
+    ['http:', 'https:'].includes(url?.protocol)
+      ? []
+      : error(path, 'must be http or https URL', value),
+  ];
+};
+
+const proxy = alias(
+  or(and(isString, isHTTPURL), isUndefined),
+  'if defined must be http or https URL'
+);
+
+export const record = alias(
+  or(isString, isUndefined),
+  'if defined must be string'
+);
+
+// There's only something to record when requests are being proxied.
+export const isProxyDefined = (value, path = []) => [
+  value,
+  value.record === undefined || value.proxy !== undefined
+    ? []
+    : error(
+        [...path, 'proxy'],
+        'must be defined when `record` is',
+        value.proxy
+      ),
+];
+
+const httpSchemaObj = and(
+  obj({
+    port,
+    host,
+    path: socketPath,
+    strict: optBoolean,
+    tls,
+    caseSensitiveHeaders: optBoolean,
+    proxy,
+    record,
+  }),
+  listenExclusive,
+  isProxyDefined
+);
+
 export const httpSchema = branch(
   [isPlainObject, isUndefined],
-  [obj({ port }), always],
+  [httpSchemaObj, always],
+  'if defined must be plain object'
+);
+
+const wsRes = branchWithFunction(
+  [isPlainObject, isUndefined],
+  [obj({ headers: resHeaders, headerDelay: delay, destroySocket }), always],
+  'if defined must be plain object'
+);
+
+const wsInit = branch(
+  [isArray, optBufferable],
+  [arr(bufferable), always],
+  'if defined must be string, buffer, or array of same'
+);
+
+export const wsMockSchema = branch(
+  [isPlainObject, isUndefined],
+  [
+    obj({
+      req,
+      res: wsRes,
+      init: wsInit,
+      persist: optBoolean,
+      optional: optBoolean,
+    }),
+    always,
+  ],
+  'if defined must be plain object'
+);
+
+const closeCode = alias(
+  or(isPositiveInt, isUndefined),
+  'if defined must be positive integer'
+);
+
+const close = branchWithFunction(
+  [isBoolean, isPlainObject, isUndefined],
+  [always, obj({ code: closeCode, reason: optBufferable }), always],
+  'if defined must be boolean or plain object'
+);
+
+const messageResObj = obj({
+  body: funcOptBufferable,
+  bodyDelay: delay,
+  destroySocket,
+  close,
+});
+
+const messageRes = branchWithFunction(
+  [isPlainObject, optBufferable],
+  [messageResObj, always],
+  'if defined must be object, string, or buffer'
+);
+
+export const messageMockSchema = branch(
+  [isPlainObject, isUndefined],
+  [
+    obj({
+      req: optComparable,
+      res: messageRes,
+      persist: optBoolean,
+      optional: optBoolean,
+    }),
+    always,
+  ],
   'if defined must be plain object'
 );
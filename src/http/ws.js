@@ -0,0 +1,209 @@
+import { Buffer } from 'node:buffer';
+import { createHash } from 'node:crypto';
+
+import { D, isString } from '../lib.js';
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+  continuation: 0x0,
+  text: 0x1,
+  binary: 0x2,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xa,
+};
+
+const acceptKey = (key) =>
+  createHash('sha1').update(`${key}${GUID}`).digest('base64');
+
+// Parses the frame at the start of `bytes`, unmasking its payload, along with
+// the offset just past it. Returns undefined if it hasn't been completely
+// received.
+const parseFrame = (bytes) => {
+  if (bytes.length < 2) {
+    return undefined;
+  }
+
+  const masked = (bytes[1] & 0x80) !== 0;
+  let length = bytes[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (bytes.length < 4) {
+      return undefined;
+    }
+
+    length = bytes.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (bytes.length < 10) {
+      return undefined;
+    }
+
+    length = Number(bytes.readBigUInt64BE(2));
+    offset = 10;
+  }
+
+  const mask = masked ? bytes.subarray(offset, offset + 4) : undefined;
+  offset += masked ? 4 : 0;
+
+  const end = offset + length;
+  if (bytes.length < end) {
+    return undefined;
+  }
+
+  const payload = Buffer.from(bytes.subarray(offset, end));
+  if (mask !== undefined) {
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+  }
+
+  return {
+    fin: (bytes[0] & 0x80) !== 0,
+    opcode: bytes[0] & 0x0f,
+    payload,
+    end,
+  };
+};
+
+// Frames sent by a server are never masked.
+const encodeFrame = (opcode, payload = Buffer.from([])) => {
+  let header;
+
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 0x10000) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+};
+
+const toPayload = (data) =>
+  isString(data) ? Buffer.from(data, 'utf8') : data ?? Buffer.from([]);
+
+const closePayload = (code, reason = '') => {
+  const b = Buffer.alloc(2);
+  b.writeUInt16BE(code);
+  return Buffer.concat([b, toPayload(reason)]);
+};
+
+// Speaks the WebSocket protocol over an upgraded socket, reassembling
+// fragmented messages and answering pings and closes. Each complete message is
+// passed to `onMessage` along with the connection, as a string if it was sent
+// as text or a Buffer if it was sent as binary.
+export const connection = (socket, head, { onMessage, onClose }) => {
+  let recv = Buffer.from([]);
+  let fragments = [];
+  let fragmentOpcode;
+  let closing = false;
+
+  const write = (opcode, payload) => {
+    if (!socket.destroyed && socket.writable) {
+      socket.write(encodeFrame(opcode, payload));
+    }
+  };
+
+  // Strings are sent as text messages, and Buffers as binary.
+  const send = (data) =>
+    write(isString(data) ? OPCODES.text : OPCODES.binary, toPayload(data));
+
+  const ping = (data) => write(OPCODES.ping, toPayload(data));
+
+  const close = (code = 1000, reason) => {
+    if (!closing) {
+      closing = true;
+      write(OPCODES.close, closePayload(code, reason));
+    }
+  };
+
+  const destroy = () => socket.destroy();
+
+  const self = { send, ping, close, destroy };
+
+  const onFrame = ({ fin, opcode, payload }) => {
+    switch (opcode) {
+      case OPCODES.ping:
+        write(OPCODES.pong, payload);
+        return;
+      case OPCODES.pong:
+        return;
+      case OPCODES.close:
+        if (!closing) {
+          closing = true;
+          write(OPCODES.close, payload.subarray(0, 2));
+        }
+        socket.end();
+        return;
+      case OPCODES.continuation:
+        fragments.push(payload);
+        break;
+      default:
+        fragmentOpcode = opcode;
+        fragments = [payload];
+    }
+
+    if (fin) {
+      const message = Buffer.concat(fragments);
+      fragments = [];
+      onMessage(
+        fragmentOpcode === OPCODES.text ? message.toString('utf8') : message,
+        self
+      );
+    }
+  };
+
+  const onData = (b) => {
+    recv = Buffer.concat([recv, b]);
+
+    for (let f = parseFrame(recv); f !== undefined; f = parseFrame(recv)) {
+      recv = recv.subarray(f.end);
+      onFrame(f);
+    }
+  };
+
+  socket.on('data', onData);
+  socket.on('close', () => onClose());
+  socket.on('error', (e) => D('received error %s', e));
+
+  if (head.length > 0) {
+    onData(head);
+  }
+
+  return self;
+};
+
+// Accepts an upgrade request, agreeing to the first subprotocol the client
+// offered unless `headers` (a flat list of names and values) names one.
+export const handshake = (req, headers = []) => {
+  const names = headers
+    .filter((_, i) => i % 2 === 0)
+    .map((k) => k.toLowerCase());
+  const offered = req.headers['sec-websocket-protocol'];
+
+  const lines = [
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${acceptKey(req.headers['sec-websocket-key'])}`,
+    ...(offered !== undefined && !names.includes('sec-websocket-protocol')
+      ? [`Sec-WebSocket-Protocol: ${offered.split(',')[0].trim()}`]
+      : []),
+    ...names.map((k, i) => `${headers[i * 2]}: ${headers[i * 2 + 1]}`),
+  ];
+
+  return Buffer.from(`${lines.join('\r\n')}\r\n\r\n`, 'utf8');
+};
+
+export const isUpgrade = (req) =>
+  req.headers.upgrade?.toLowerCase() === 'websocket' &&
+  isString(req.headers['sec-websocket-key']);
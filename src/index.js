@@ -1,4 +1,6 @@
 export { default as http } from './http/index.js';
 export { default as tcp } from './tcp/index.js';
+export { default as udp } from './udp/index.js';
+export { default as dns } from './dns/index.js';
 export { default as helpers } from './helpers.js';
 export * as errors from './errors.js';
@@ -11,11 +11,12 @@ export const isArray = (v) => Array.isArray(v);
 export const isInteger = (v) => Number.isInteger(v);
 export const isRegExp = (v) => v instanceof RegExp;
 export const isUndefined = (v) => v === undefined;
+export const isAsyncIterable = (v) => isFunction(v?.[Symbol.asyncIterator]);
 
 export const D = debuglog('wirepig');
 export const DM = debuglog('wirepig.match');
 
-const valueToString = (v, opts) =>
+export const valueToString = (v, opts) =>
   inspect(v, { depth: 3, breakLength: Infinity, ...opts });
 
 const safeInvoke = (f, defaultValue, ...args) => {
@@ -101,6 +102,42 @@ export const compare = (desired, actual) => {
   return res;
 };
 
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (e) {
+    return segment;
+  }
+};
+
+// Matches a pathname against a route template like `/users/:id`, where each
+// `:name` segment matches any one non-empty path segment. Returns the decoded
+// values of the named segments, or undefined when the pathname doesn't match.
+export const matchRoute = (template, pathname) => {
+  const templateSegments = template.split('/');
+  const segments = pathname.split('/');
+
+  if (templateSegments.length !== segments.length) {
+    return undefined;
+  }
+
+  const params = {};
+
+  for (const [i, t] of templateSegments.entries()) {
+    if (t.startsWith(':')) {
+      if (segments[i] === '') {
+        return undefined;
+      }
+
+      params[t.slice(1)] = decodeSegment(segments[i]);
+    } else if (t !== segments[i]) {
+      return undefined;
+    }
+  }
+
+  return params;
+};
+
 const toStatusCode = (value, ...args) => {
   value = safeInvoke(value, undefined, ...args);
   return isInteger(value) ? value : 200;
@@ -149,24 +186,135 @@ const toDelay = (value, ...args) => {
   return isInteger(value) ? value : 0;
 };
 
-const toDestroySocket = (value, ...args) => {
+const toBoolean = (value, ...args) => {
   value = safeInvoke(value, undefined, ...args);
   return isBoolean(value) ? value : false;
 };
 
-export const toHTTPRes = (res, req, reqBody) => {
-  res = safeInvoke(res, undefined, req, reqBody);
+const toChunk = (chunk) =>
+  isPlainObject(chunk)
+    ? { data: toBuffer(chunk.data), delay: toDelay(chunk.delay) }
+    : { data: toBuffer(chunk), delay: 0 };
+
+async function* toChunks(iterable) {
+  for await (const chunk of iterable) {
+    yield toChunk(chunk);
+  }
+}
+
+// A body given as an array or async iterable of chunks is streamed, so it's
+// resolved to an iterable of `{ data, delay }` rather than a single Buffer.
+const toBody = (value, ...args) => {
+  value = safeInvoke(value, undefined, ...args);
+
+  if (isArray(value)) {
+    return value.map(toChunk);
+  }
+
+  if (isAsyncIterable(value)) {
+    return toChunks(value);
+  }
+
+  return toBuffer(value);
+};
+
+const toFault = (value, ...args) => {
+  value = safeInvoke(value, undefined, ...args);
+
+  if (!isPlainObject(value)) {
+    return undefined;
+  }
+
+  return {
+    type: value.type,
+    bytes: value.bytes ?? 0,
+    length: value.length,
+  };
+};
+
+export const toHTTPRes = (res, req, reqBody, params = {}) => {
+  res = safeInvoke(res, undefined, req, reqBody, params);
 
   return {
-    body: toBuffer(res?.body, req, reqBody),
-    statusCode: toStatusCode(res?.statusCode, req, reqBody),
-    headers: toHeaders(res?.headers, req, reqBody),
-    headerDelay: toDelay(res?.headerDelay, req, reqBody),
-    bodyDelay: toDelay(res?.bodyDelay, req, reqBody),
-    destroySocket: toDestroySocket(res?.destroySocket, req, reqBody),
+    body: toBody(res?.body, req, reqBody, params),
+    statusCode: toStatusCode(res?.statusCode, req, reqBody, params),
+    headers: toHeaders(res?.headers, req, reqBody, params),
+    headerDelay: toDelay(res?.headerDelay, req, reqBody, params),
+    bodyDelay: toDelay(res?.bodyDelay, req, reqBody, params),
+    destroySocket: toBoolean(res?.destroySocket, req, reqBody, params),
+    fault: toFault(res?.fault, req, reqBody, params),
   };
 };
 
+// Resolves how many bytes at the front of `bytes` a TCP mock would match,
+// consuming them from the receive buffer. By default a mock considers the whole
+// buffer. Returns undefined when not enough has been received yet.
+export const toConsumed = (consume, bytes) => {
+  if (isUndefined(consume)) {
+    return bytes.length;
+  }
+
+  if (isInteger(consume)) {
+    return consume <= bytes.length ? consume : undefined;
+  }
+
+  if (isString(consume) || isBuffer(consume)) {
+    const i = bytes.indexOf(consume);
+    return i === -1 ? undefined : i + Buffer.byteLength(consume);
+  }
+
+  const n = safeInvoke(consume, undefined, bytes);
+  return isInteger(n) && n > 0 && n <= bytes.length ? n : undefined;
+};
+
+// Finds the first complete frame at the front of `bytes` under the TCP server's
+// `framing`, returning the frame itself and how many bytes it spans. Returns
+// undefined when not enough has been received yet.
+export const toFrame = (framing, bytes) => {
+  if (framing === 'line') {
+    const i = bytes.indexOf('\n');
+    if (i === -1) {
+      return undefined;
+    }
+
+    const end = i > 0 && bytes[i - 1] === 0x0d ? i - 1 : i;
+    return { frame: bytes.subarray(0, end), length: i + 1 };
+  }
+
+  if (isPlainObject(framing) && !isUndefined(framing.delimiter)) {
+    const i = bytes.indexOf(framing.delimiter);
+    if (i === -1) {
+      return undefined;
+    }
+
+    return {
+      frame: bytes.subarray(0, i),
+      length: i + Buffer.byteLength(framing.delimiter),
+    };
+  }
+
+  if (isPlainObject(framing)) {
+    const n = framing.lengthPrefix;
+    if (bytes.length < n) {
+      return undefined;
+    }
+
+    const length = n + bytes.readUIntBE(0, n);
+    if (bytes.length < length) {
+      return undefined;
+    }
+
+    return { frame: bytes.subarray(n, length), length };
+  }
+
+  const length = toConsumed(framing, bytes);
+  if (length === undefined) {
+    return undefined;
+  }
+
+  return { frame: bytes.subarray(0, length), length };
+};
+
 export const toTCPRes = (res, req) => {
   res = safeInvoke(res, undefined, req);
 
@@ -177,10 +325,126 @@ export const toTCPRes = (res, req) => {
   return {
     body: toBuffer(res?.body, req),
     bodyDelay: toDelay(res?.bodyDelay, req),
-    destroySocket: toDestroySocket(res?.destroySocket, req),
+    destroySocket: toBoolean(res?.destroySocket, req),
+    upgradeTLS: toBoolean(res?.upgradeTLS, req),
+  };
+};
+
+// A reply is only sent when there's a body to send and it isn't dropped.
+export const toUDPRes = (res, req) => {
+  res = safeInvoke(res, undefined, req);
+
+  if (!isPlainObject(res)) {
+    res = { body: res };
+  }
+
+  const body = safeInvoke(res?.body, undefined, req);
+
+  return {
+    body: toBuffer(body),
+    bodyDelay: toDelay(res?.bodyDelay, req),
+    drop: body === undefined || toBoolean(res?.drop, req),
+  };
+};
+
+const toClose = (value, ...args) => {
+  value = safeInvoke(value, undefined, ...args);
+
+  if (value === true) {
+    return { code: 1000, reason: '' };
+  }
+
+  if (isPlainObject(value)) {
+    return { code: value.code ?? 1000, reason: value.reason ?? '' };
+  }
+
+  return undefined;
+};
+
+// A WebSocket reply keeps its body's type, since strings are sent as text
+// messages and Buffers as binary.
+export const toWSRes = (res, message) => {
+  res = safeInvoke(res, undefined, message);
+
+  if (!isPlainObject(res)) {
+    res = { body: res };
+  }
+
+  const body = safeInvoke(res?.body, undefined, message);
+
+  return {
+    body: isString(body) || isBuffer(body) ? body : undefined,
+    bodyDelay: toDelay(res?.bodyDelay, message),
+    destroySocket: toBoolean(res?.destroySocket, message),
+    close: toClose(res?.close, message),
+  };
+};
+
+export const toDNSRes = (res, question) => {
+  res = safeInvoke(res, undefined, question);
+
+  const answers = safeInvoke(res?.answers, undefined, question);
+  const rcode = safeInvoke(res?.rcode, undefined, question);
+
+  return {
+    answers: isArray(answers) ? answers : [],
+    rcode:
+      isString(rcode) || (isInteger(rcode) && rcode >= 0 && rcode <= 15)
+        ? rcode
+        : 'NOERROR',
+    delay: toDelay(res?.delay, question),
+    drop: toBoolean(res?.drop, question),
   };
 };
 
+// Encodes an integer in `size` bytes, big-endian unless `littleEndian`.
+export const toIntBytes = (
+  n,
+  size,
+  { signed = false, littleEndian = false } = {}
+) => {
+  const b = Buffer.alloc(size);
+  b[`write${signed ? 'Int' : 'UInt'}${littleEndian ? 'LE' : 'BE'}`](n, 0, size);
+  return b;
+};
+
+const toRowText = (value, [t, f]) => {
+  if (isBuffer(value)) {
+    return value;
+  }
+
+  if (isBoolean(value)) {
+    return Buffer.from(value ? t : f, 'utf8');
+  }
+
+  if (isPlainObject(value) || isArray(value)) {
+    return Buffer.from(JSON.stringify(value), 'utf8');
+  }
+
+  return Buffer.from(`${value}`, 'utf8');
+};
+
+// Rows of query results may be arrays of values in field order, or objects
+// keyed by field name. Each value is encoded as text, with `booleans` spelling
+// true and false, or is null when missing.
+export const toRowValues = (fields, row, booleans) =>
+  (isArray(row) ? row : fields.map(({ name }) => row[name])).map((v) =>
+    v === null || v === undefined ? null : toRowText(v, booleans)
+  );
+
+export const toListenOptions = ({ port = 0, host, path }) =>
+  path === undefined ? { port, host } : { path };
+
+// A server listening on a Unix domain socket has a path rather than an address
+// and port.
+export const toServerAddress = (server) => {
+  const a = server.address();
+
+  return isString(a)
+    ? { port: undefined, address: undefined, path: a }
+    : { port: a.port, address: a.address, path: undefined };
+};
+
 export const wait = (m) => new Promise((r) => setTimeout(() => r(), m));
 
 export const printMock = (mockType) => (obj) => {
@@ -0,0 +1,50 @@
+import { Buffer } from 'node:buffer';
+import { readFileSync } from 'node:fs';
+import { writeFile } from 'node:fs/promises';
+
+import { D, isString } from './lib.js';
+
+// Bytes are kept readable in a recording where they can be, and base64 encoded
+// where they can't.
+export const encodeBytes = (bytes) => {
+  const s = bytes.toString('utf8');
+  return Buffer.from(s, 'utf8').equals(bytes)
+    ? s
+    : { base64: bytes.toString('base64') };
+};
+
+export const decodeBytes = (value) =>
+  isString(value)
+    ? Buffer.from(value, 'utf8')
+    : Buffer.from(value.base64, 'base64');
+
+// Collects entries into a JSON file, rewriting it as each is added. Writes are
+// made one at a time, so the file always holds a complete recording. The first
+// write to fail is kept, so that flushing rejects with it.
+export const Recorder = (file) => {
+  const entries = [];
+  let writing = Promise.resolve();
+  let failure;
+
+  const add = (entry) => {
+    entries.push(entry);
+
+    writing = writing
+      .then(() => writeFile(file, `${JSON.stringify(entries, null, 2)}\n`))
+      .catch((e) => {
+        D('failed to write recording %s: %s', file, e);
+        failure = failure ?? e;
+      });
+  };
+
+  const flush = () =>
+    writing.then(() => {
+      if (failure !== undefined) {
+        throw failure;
+      }
+    });
+
+  return { add, flush };
+};
+
+export const load = (file) => JSON.parse(readFileSync(file, 'utf8'));
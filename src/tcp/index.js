@@ -1,24 +1,51 @@
 import { createServer } from 'node:net';
+import {
+  createServer as createSecureServer,
+  createSecureContext,
+  TLSSocket,
+} from 'node:tls';
 import { Buffer } from 'node:buffer';
 
-import { mockSchema, tcpSchema } from './schema.js';
-import { D, DM, compare, toTCPRes, wait, printMock } from '../lib.js';
+import { mockSchema, isUpgradeSupported, tcpSchema } from './schema.js';
+import { relay, toRecording, toMockOptions } from './proxy.js';
+import {
+  D,
+  DM,
+  compare,
+  toConsumed,
+  toFrame,
+  toTCPRes,
+  toListenOptions,
+  toServerAddress,
+  wait,
+  printMock,
+  valueToString,
+} from '../lib.js';
 import { conform } from '../validate.js';
-import { PendingMockError } from '../errors.js';
+import { toTLSOptions } from '../tls.js';
+import { Recorder, load } from '../record.js';
+import { PendingMockError, UnexpectedRequestError } from '../errors.js';
+import redisFake from '../fakes/redis.js';
 
 const printTCP = printMock('TCP');
 
-const Mock = (o, addToMockSet) => {
+const Mock = (o, addToMockSet, { upgradable = false } = {}) => {
   const options = conform(mockSchema(o, ['options'])) ?? {};
 
-  let done = false;
+  if (!upgradable) {
+    conform(isUpgradeSupported(o, ['options']));
+  }
+
+  const { persist = false, optional = false } = options;
+
+  let matchCount = 0;
   let [isHeadMock, pinnedTo] =
     options._pinnedTo === undefined
       ? [true, { connection: null }]
       : [false, options._pinnedTo];
 
   const match = (connection) => {
-    done = true;
+    matchCount += 1;
 
     if (isHeadMock) {
       D('pinning head mock %s to port %s', toString(), connection.remotePort);
@@ -26,10 +53,25 @@ const Mock = (o, addToMockSet) => {
     }
   };
 
-  const toString = () => printTCP({ init: o?.init, req: o?.req, res: o?.res });
+  const toString = () =>
+    printTCP({
+      init: o?.init,
+      req: o?.req,
+      res: o?.res,
+      consume: o?.consume,
+      persist: o?.persist,
+      optional: o?.optional,
+    });
+
+  const consumed = (bytes) => toConsumed(options.consume, bytes);
 
   const isMatch = (bytes, connection) => {
-    if (isInit() || !isPending() || !compare(options.req, bytes)) {
+    if (isInit() || isExhausted()) {
+      return false;
+    }
+
+    const n = consumed(bytes);
+    if (n === undefined || !compare(options.req, bytes.subarray(0, n))) {
       return false;
     }
 
@@ -53,7 +95,11 @@ const Mock = (o, addToMockSet) => {
 
   const isInit = () => options.init !== undefined;
 
-  const isPending = () => done === false;
+  // A persisted mock can match any number of times, otherwise it's used up
+  // after its first match.
+  const isExhausted = () => !persist && matchCount > 0;
+
+  const isPending = () => !optional && matchCount === 0;
 
   const assertDone = () => {
     if (isPending()) {
@@ -68,21 +114,49 @@ const Mock = (o, addToMockSet) => {
     match,
     toString,
     isMatch,
+    consumed,
     isInit,
+    isExhausted,
     isPending,
     assertDone,
     mock,
   };
 };
 
-const MockSet = () => {
+const printUnexpected = ({ port, bytes }) =>
+  `[port=${port}] ${valueToString(bytes.toString('utf8'))}`;
+
+const MockSet = ({
+  strict = false,
+  secureContext,
+  framing,
+  fake,
+  proxy,
+  recorder,
+} = {}) => {
   let mocks = [];
-  let connections = [];
+  let sessions = [];
+  let relays = [];
+  let unexpected = [];
 
   const reset = ({ throwOnPending = true } = {}) => {
     const pending = mocks.filter((m) => m.isPending());
     mocks = [];
 
+    const leftovers = [...unexpected];
+    unexpected = [];
+
+    fake?.reset?.();
+
+    // Any data still buffered on an open connection was never matched by a
+    // mock. It's cleared so that it isn't reported again by the next reset.
+    if (strict) {
+      for (const session of sessions.filter((s) => s.recv.length > 0)) {
+        leftovers.push({ port: session.remotePort, bytes: session.recv });
+        session.recv = Buffer.from([]);
+      }
+    }
+
     if (pending.length !== 0) {
       if (throwOnPending) {
         throw new PendingMockError(
@@ -92,79 +166,225 @@ const MockSet = () => {
 
       D('discarding the following mocks: %s', pending.join(', '));
     }
+
+    if (strict && leftovers.length !== 0) {
+      throw new UnexpectedRequestError(
+        `The following data was not expected:\n${leftovers
+          .map((l) => `  * ${printUnexpected(l)}`)
+          .join('\n')}`
+      );
+    }
   };
 
   const add = (o) => {
-    const m = Mock(o, add);
+    const m = Mock(o, add, { upgradable: secureContext !== undefined });
     mocks.push(m);
     D('registering mock %s', m);
     return m;
   };
 
+  // Each recorded connection becomes a mock for its first turn, with the rest
+  // pinned to the same connection in the order they were recorded. Any
+  // `options` are applied to all of them.
+  const replay = (file, options = {}) =>
+    load(file).flatMap((entry) => {
+      const [first, ...rest] = toMockOptions(entry).map((o) => ({
+        ...o,
+        ...options,
+      }));
+
+      if (first === undefined) {
+        return [];
+      }
+
+      const head = add(first);
+      return [head, ...rest.map((o) => head.mock(o))];
+    });
+
   const handler = (conn) => {
     const DPort = (message, ...args) =>
       D(`[port=${conn.remotePort}] ${message}`, ...args);
 
     DPort('new connection established');
-    connections.push(conn);
-    let recv = Buffer.from([]);
 
-    const iM = mocks.find((m) => m.isInit() && m.isPending());
+    // Mocks aren't consulted at all when proxying, since the backend may speak
+    // first and has to be connected to straight away.
+    if (proxy !== undefined) {
+      DPort('relaying connection to %s:%s', proxy.host, proxy.port);
+
+      const r = relay(conn, proxy, (turns) => {
+        DPort('relayed connection closed');
+        relays = relays.filter((other) => other !== r);
+
+        if (turns.length > 0) {
+          recorder?.add(toRecording(turns));
+        }
+      });
+      relays.push(r);
+
+      conn.on('error', (e) => DPort('received error %s', e));
+      return;
+    }
+
+    // The session outlives any one socket, since a connection upgraded to TLS
+    // continues on a new socket wrapping the original. Mocks are pinned to the
+    // session accordingly.
+    const session = {
+      socket: conn,
+      remotePort: conn.remotePort,
+      recv: Buffer.from([]),
+      responding: Promise.resolve(),
+    };
+    sessions.push(session);
+
+    const upgrade = () => {
+      if (secureContext === undefined) {
+        DPort('unable to upgrade connection without a startTLS certificate');
+        return;
+      }
+
+      DPort('upgrading connection to tls');
+      session.socket.removeListener('data', onData);
+      session.socket = new TLSSocket(session.socket, {
+        isServer: true,
+        secureContext,
+      });
+
+      session.socket.on('data', onData);
+      session.socket.on('error', (e) => DPort('received error %s', e));
+    };
+
+    const iM = mocks.find((m) => m.isInit() && !m.isExhausted());
     if (iM !== undefined) {
       DPort('found matching init mock %s', iM);
-      iM.match(conn);
+      iM.match(session);
       DPort('writing "%s"', iM.options.init);
       conn.write(iM.options.init);
     }
 
-    conn.on('data', async (b) => {
-      try {
-        recv = Buffer.concat([recv, b]);
-        DPort('received data "%s"', b);
-        DPort('internal receive buffer is now "%s"', recv);
+    // Mocks that consume only part of the buffer leave the rest for the next
+    // mock, so a single write can satisfy many mocks in turn. The buffer is
+    // either the session's receive buffer, or a single frame when the server
+    // was started with `framing`. Requests no mock matched are answered by
+    // the fake, if there is one.
+    const respond = async (buffer) => {
+      const m = mocks.find((m) => m.isMatch(buffer.recv, session));
+      if (m === undefined && fake === undefined) {
+        DPort('no matching mock was found for "%s"', buffer.recv);
+        return;
+      }
 
-        const m = mocks.find((m) => m.isMatch(recv, conn));
-        if (m !== undefined) {
-          DPort('found matching mock %s', m);
-          m.match(conn);
+      let n;
+      if (m === undefined) {
+        n = fake.consume(buffer.recv);
+        if (n === undefined) {
+          DPort('no complete request for the fake in "%s"', buffer.recv);
+          return;
+        }
 
-          const r = toTCPRes(m.options.res, recv);
-          recv = Buffer.from('');
+        DPort('answering with the fake');
+      } else {
+        DPort('found matching mock %s', m);
+        m.match(session);
+        n = m.consumed(buffer.recv);
+      }
 
-          if (r.bodyDelay > 0) {
-            DPort('delaying write by %dms', r.bodyDelay);
-            await wait(r.bodyDelay);
-          }
+      const bytes = buffer.recv.subarray(0, n);
+      buffer.recv = buffer.recv.subarray(n);
 
-          if (r.destroySocket) {
-            DPort('purposefully destroying socket');
-            conn.destroy();
-            return;
-          }
+      const r = toTCPRes(m === undefined ? fake.respond : m.options.res, bytes);
+
+      if (r.bodyDelay > 0) {
+        DPort('delaying write by %dms', r.bodyDelay);
+        await wait(r.bodyDelay);
+      }
+
+      if (r.destroySocket) {
+        DPort('purposefully destroying socket');
+        session.socket.destroy();
+        return;
+      }
+
+      DPort('writing "%s"', r.body);
+      session.socket.write(r.body);
+
+      if (r.upgradeTLS) {
+        upgrade();
+      }
+
+      if (buffer.recv.length > 0) {
+        DPort('remaining buffer is now "%s"', buffer.recv);
+        await respond(buffer);
+      }
+    };
+
+    // Complete frames are taken off the receive buffer and matched one at a
+    // time. Whatever part of a frame no mock matched is discarded.
+    const respondToFrames = async () => {
+      const frames = [];
+      for (
+        let f = toFrame(framing, session.recv);
+        f !== undefined;
+        f = toFrame(framing, session.recv)
+      ) {
+        frames.push({ recv: f.frame });
+        session.recv = session.recv.subarray(f.length);
+      }
 
-          DPort('writing "%s"', r.body);
-          conn.write(r.body);
-        } else {
-          DPort('no matching mock was found for "%s"', recv);
+      for (const frame of frames) {
+        DPort('received frame "%s"', frame.recv);
+        await respond(frame);
+
+        if (strict && frame.recv.length > 0) {
+          unexpected.push({ port: session.remotePort, bytes: frame.recv });
         }
-      } catch (e) {
-        console.error(e);
       }
-    });
+    };
+
+    // Replies are written in the order requests were received, so data is only
+    // matched once the reply to whatever came before it has been written.
+    const onData = (b) => {
+      session.recv = Buffer.concat([session.recv, b]);
+      DPort('received data "%s"', b);
+      DPort('internal receive buffer is now "%s"', session.recv);
+
+      session.responding = session.responding
+        .then(async () => {
+          if (framing !== undefined) {
+            await respondToFrames();
+          } else if (session.recv.length > 0) {
+            await respond(session);
+          }
+        })
+        .catch((e) => console.error(e));
+    };
 
-    conn.on('close', () => DPort('connection closed'));
+    conn.on('data', onData);
+    conn.on('close', () => {
+      DPort('connection closed');
+      sessions = sessions.filter((s) => s !== session);
+
+      if (strict && session.recv.length > 0) {
+        unexpected.push({ port: session.remotePort, bytes: session.recv });
+      }
+    });
     conn.on('error', (e) => DPort('received error %s', e));
   };
 
   const teardown = () => {
-    for (const c of connections) {
-      c.destroy();
+    for (const { socket } of sessions) {
+      socket.destroy();
+    }
+
+    for (const r of relays) {
+      r.close();
     }
   };
 
   return {
     reset,
     add,
+    replay,
     handler,
     teardown,
   };
@@ -172,28 +392,48 @@ const MockSet = () => {
 
 const tcp = (o) => {
   const options = conform(tcpSchema(o, ['options'])) ?? {};
-  const { port = 0 } = options;
+  const { strict = false, framing, proxy } = options;
+  const fake = options.fake === 'redis' ? redisFake() : options.fake;
+  const tls = toTLSOptions(options.tls);
+  const startTLS = toTLSOptions(options.startTLS);
+  const recorder =
+    options.record === undefined ? undefined : Recorder(options.record);
 
   return new Promise((resolve, reject) => {
-    const ms = MockSet();
-    const server = createServer({ noDelay: true }, ms.handler);
-    D('launching tcp server');
+    const ms = MockSet({
+      strict,
+      framing,
+      fake,
+      proxy,
+      recorder,
+      secureContext: startTLS && createSecureContext(startTLS),
+    });
+
+    const server =
+      tls === undefined
+        ? createServer({ noDelay: true }, ms.handler)
+        : createSecureServer({ noDelay: true, ...tls }, ms.handler);
+    D('launching %s server', tls === undefined ? 'tcp' : 'tls');
 
-    server.listen({ port });
+    server.listen(toListenOptions(options));
     server.on('listening', () => {
-      D('tcp server listening on port %d', server.address().port);
+      const address = toServerAddress(server);
+      D('tcp server listening on %s', address.path ?? address.port);
 
       resolve({
-        port: server.address().port,
+        ...address,
+        ca: (tls ?? startTLS)?.cert,
+        fake,
         teardown: () => {
           D('closing tcp server');
           return new Promise((r) => {
             ms.teardown();
             server.close(r);
-          });
+          }).then(() => recorder?.flush());
         },
         reset: (o) => ms.reset(o),
         mock: (o) => ms.add(o),
+        replay: (file, o) => ms.replay(file, o),
       });
     });
 
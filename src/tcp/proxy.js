@@ -0,0 +1,92 @@
+import { connect } from 'node:net';
+import { Buffer } from 'node:buffer';
+
+import { D } from '../lib.js';
+import { encodeBytes, decodeBytes } from '../record.js';
+
+// Relays a connection to `target` in both directions, collecting what each side
+// sent as a list of turns. Consecutive writes from the same side are merged into
+// a single turn, timed in milliseconds from when the connection was accepted.
+// Once either side closes, both are, and `onClose` is passed the turns.
+export const relay = (socket, target, onClose) => {
+  const started = Date.now();
+  const turns = [];
+  let closed = false;
+
+  const upstream = connect({ host: target.host, port: target.port });
+
+  const collect = (from) => (b) => {
+    const last = turns[turns.length - 1];
+
+    if (last?.from === from) {
+      last.chunks.push(b);
+    } else {
+      turns.push({ from, at: Date.now() - started, chunks: [b] });
+    }
+  };
+
+  const close = () => {
+    if (closed) {
+      return;
+    }
+
+    closed = true;
+    socket.destroy();
+    upstream.destroy();
+
+    onClose(
+      turns.map(({ from, at, chunks }) => ({
+        from,
+        at,
+        data: Buffer.concat(chunks),
+      }))
+    );
+  };
+
+  socket.on('data', collect('client'));
+  upstream.on('data', collect('server'));
+  socket.pipe(upstream);
+  upstream.pipe(socket);
+
+  socket.on('close', close);
+  upstream.on('close', close);
+  upstream.on('error', (e) =>
+    D('failed to relay to %s:%s: %s', target.host, target.port, e)
+  );
+
+  return { close };
+};
+
+export const toRecording = (turns) => ({
+  turns: turns.map(({ from, at, data }) => ({
+    from,
+    at,
+    data: encodeBytes(data),
+  })),
+});
+
+// What the server sent before the client's first write becomes an init mock.
+// Every client turn after that becomes a mock consuming exactly those bytes,
+// answered with the server turn that followed it after the same delay.
+export const toMockOptions = ({ turns }) => {
+  const options = [];
+  let clientAt = 0;
+
+  for (const { from, at, data } of turns) {
+    const bytes = decodeBytes(data);
+
+    if (from === 'client') {
+      options.push({ req: bytes, consume: bytes.length });
+      clientAt = at;
+    } else if (options.length === 0) {
+      options.push({ init: bytes });
+    } else {
+      options[options.length - 1].res = {
+        body: bytes,
+        bodyDelay: Math.max(at - clientAt, 0),
+      };
+    }
+  }
+
+  return options;
+};
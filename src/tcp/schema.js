@@ -1,11 +1,17 @@
 import {
+  error,
   alias,
   always,
   or,
   and,
   obj,
+  isString,
+  isBuffer,
   isUndefined,
   isPlainObject,
+  isBoolean,
+  isFunction,
+  isInteger,
   branch,
   branchWithFunction,
   exclusive,
@@ -18,12 +24,28 @@ import {
   delay,
   destroySocket,
   port,
+  host,
+  socketPath,
+  listenExclusive,
+  optBoolean,
+  tls,
+  isPositiveInt,
+  isNonZero,
+  record,
+  isProxyDefined,
 } from '../http/schema.js';
 
+const upgradeTLS = branchWithFunction(
+  [isBoolean, isUndefined],
+  [always, always],
+  'if defined must be boolean'
+);
+
 const resObj = obj({
   body: funcOptBufferable,
   bodyDelay: delay,
   destroySocket,
+  upgradeTLS,
 });
 
 const res = branchWithFunction(
@@ -32,6 +54,26 @@ const res = branchWithFunction(
   'if defined must be object, string, or buffer'
 );
 
+const isNonEmpty = (value, path = []) => [
+  value,
+  value.length > 0 ? [] : error(path, 'must not be empty', value),
+];
+
+const consumed = alias(
+  or(isPositiveInt, isUndefined),
+  'if defined must be positive integer'
+);
+
+const consume = alias(
+  or(
+    and(isPositiveInt, isNonZero),
+    and(or(isString, isBuffer), isNonEmpty),
+    isFunction(consumed),
+    isUndefined
+  ),
+  'if defined must be positive, non-zero integer, non-empty string or buffer, or function'
+);
+
 const connectionPinned = alias(
   exclusive(['init'], ['_pinnedTo']),
   'init not supported on a connection-pinned mock'
@@ -43,19 +85,130 @@ export const mockSchemaObj = and(
     init: optBufferable,
     req: optComparable,
     res,
+    consume,
+    persist: optBoolean,
+    optional: optBoolean,
   }),
-  exclusive(['init'], ['req', 'res']),
+  exclusive(['init'], ['req', 'res', 'consume']),
   connectionPinned
 );
 
+// A connection can only be upgraded with the certificate the server was started
+// with.
+export const isUpgradeSupported = (value, path = []) => [
+  value,
+  value?.res?.upgradeTLS === undefined || value.res.upgradeTLS === false
+    ? []
+    : error(
+        [...path, 'res', 'upgradeTLS'],
+        'requires the server to be started with startTLS',
+        value.res.upgradeTLS
+      ),
+];
+
 export const mockSchema = branch(
   [isPlainObject, isUndefined],
   [mockSchemaObj, always],
   'if defined must be plain object'
 );
 
+const isLine = (value, path = []) => [
+  value,
+  value === 'line' ? [] : error(path, "must be 'line'", value),
+];
+
+const isBetween =
+  (min, max) =>
+  (value, path = []) =>
+    [
+      value,
+      value >= min && value <= max
+        ? []
+        : error(path, `must be between ${min} and ${max}`, value),
+    ];
+
+const isFraming = (value, path = []) => [
+  value,
+  value.delimiter === undefined && value.lengthPrefix === undefined
+    ? error(path, 'must define delimiter or lengthPrefix', value)
+    : [],
+];
+
+const framingObj = and(
+  obj({
+    delimiter: alias(
+      or(and(or(isString, isBuffer), isNonEmpty), isUndefined),
+      'if defined must be non-empty string or buffer'
+    ),
+    lengthPrefix: alias(
+      or(and(isInteger, isBetween(1, 6)), isUndefined),
+      'if defined must be integer between 1 and 6'
+    ),
+  }),
+  exclusive(['delimiter'], ['lengthPrefix']),
+  isFraming
+);
+
+const framing = branch(
+  [isString, isPlainObject, isFunction(consumed), isUndefined],
+  [isLine, framingObj, always, always],
+  "if defined must be 'line', plain object, or function"
+);
+
+const isFakeName = (value, path = []) => [
+  value,
+  value === 'redis' ? [] : error(path, "must be 'redis'", value),
+];
+
+// Fakes are used as-is, since they hold state of their own.
+const isFake = (value, path = []) => [
+  value,
+  [value.consume, value.respond].every((f) => typeof f === 'function')
+    ? []
+    : error(path, 'must define consume and respond functions', value),
+];
+
+const fake = branch(
+  [isString, isPlainObject, isUndefined],
+  [isFakeName, isFake, always],
+  "if defined must be 'redis' or plain object"
+);
+
+const proxy = branch(
+  [isPlainObject, isUndefined],
+  [
+    obj({
+      host: isString,
+      port: alias(
+        and(isPositiveInt, isNonZero),
+        'must be positive, non-zero integer'
+      ),
+    }),
+    always,
+  ],
+  'if defined must be plain object'
+);
+
+const tcpSchemaObj = and(
+  obj({
+    port,
+    host,
+    path: socketPath,
+    strict: optBoolean,
+    tls,
+    startTLS: tls,
+    framing,
+    fake,
+    proxy,
+    record,
+  }),
+  exclusive(['tls'], ['startTLS']),
+  listenExclusive,
+  isProxyDefined
+);
+
 export const tcpSchema = branch(
   [isPlainObject, isUndefined],
-  [obj({ port }), always],
+  [tcpSchemaObj, always],
   'if defined must be plain object'
 );
@@ -0,0 +1,167 @@
+import { Buffer } from 'node:buffer';
+import { generateKeyPairSync, randomBytes, sign } from 'node:crypto';
+
+import { isPlainObject } from './lib.js';
+
+// Just enough DER encoding to assemble an X.509 certificate. Node can generate
+// keys and signatures, but has no API for issuing certificates, so we build
+// one by hand.
+const derLength = (length) => {
+  if (length < 0x80) {
+    return Buffer.from([length]);
+  }
+
+  const bytes = [];
+  for (let l = length; l > 0; l = Math.floor(l / 256)) {
+    bytes.unshift(l % 256);
+  }
+
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+};
+
+const der = (tag, ...contents) => {
+  const body = Buffer.concat(contents);
+  return Buffer.concat([Buffer.from([tag]), derLength(body.length), body]);
+};
+
+const sequence = (...contents) => der(0x30, ...contents);
+const set = (...contents) => der(0x31, ...contents);
+const integer = (bytes) => der(0x02, bytes);
+const bitString = (bytes) => der(0x03, Buffer.from([0]), bytes);
+const octetString = (bytes) => der(0x04, bytes);
+const utf8String = (s) => der(0x0c, Buffer.from(s, 'utf8'));
+const bool = (b) => der(0x01, Buffer.from([b ? 0xff : 0]));
+
+const oid = (s) => {
+  const [first, second, ...rest] = s.split('.').map((n) => parseInt(n, 10));
+  const bytes = [first * 40 + second];
+
+  for (const n of rest) {
+    const encoded = [n & 0x7f];
+    for (let v = n >> 7; v > 0; v = v >> 7) {
+      encoded.unshift(0x80 | (v & 0x7f));
+    }
+
+    bytes.push(...encoded);
+  }
+
+  return der(0x06, Buffer.from(bytes));
+};
+
+const utcTime = (date) => {
+  const iso = date.toISOString();
+  const digits = iso.slice(2, 19).replace(/[-T:]/g, '');
+  return der(0x17, Buffer.from(`${digits}Z`, 'utf8'));
+};
+
+const ipAddress = (ip) => {
+  if (ip.includes(':')) {
+    const [head, tail = ''] = ip.split('::');
+    const headParts = head === '' ? [] : head.split(':');
+    const tailParts = tail === '' ? [] : tail.split(':');
+    const zeros = Array(8 - headParts.length - tailParts.length).fill('0');
+
+    return Buffer.from(
+      [...headParts, ...zeros, ...tailParts].flatMap((p) => {
+        const v = parseInt(p, 16);
+        return [v >> 8, v & 0xff];
+      })
+    );
+  }
+
+  return Buffer.from(ip.split('.').map((p) => parseInt(p, 10)));
+};
+
+const ECDSA_WITH_SHA256 = '1.2.840.10045.4.3.2';
+const COMMON_NAME = '2.5.4.3';
+const BASIC_CONSTRAINTS = '2.5.29.19';
+const KEY_USAGE = '2.5.29.15';
+const SUBJECT_ALT_NAME = '2.5.29.17';
+
+const toPEM = (label, bytes) => {
+  const lines = bytes.toString('base64').match(/.{1,64}/g);
+  return `-----BEGIN ${label}-----\n${lines.join(
+    '\n'
+  )}\n-----END ${label}-----\n`;
+};
+
+export const selfSignedCertificate = ({
+  commonName = 'wirepig',
+  dnsNames = ['localhost'],
+  ipAddresses = ['127.0.0.1', '::1'],
+} = {}) => {
+  const { publicKey, privateKey } = generateKeyPairSync('ec', {
+    namedCurve: 'prime256v1',
+  });
+
+  // Serial numbers must be positive, so clear the high bit. Setting the low bit
+  // keeps the leading byte non-zero, which DER requires of integers.
+  const serial = randomBytes(16);
+  serial[0] = (serial[0] & 0x7f) | 0x01;
+
+  const now = Date.now();
+  const day = 24 * 60 * 60 * 1000;
+  const name = sequence(
+    set(sequence(oid(COMMON_NAME), utf8String(commonName)))
+  );
+  const algorithm = sequence(oid(ECDSA_WITH_SHA256));
+
+  const altNames = [
+    ...dnsNames.map((n) => der(0x82, Buffer.from(n, 'utf8'))),
+    ...ipAddresses.map((ip) => der(0x87, ipAddress(ip))),
+  ];
+
+  const extensions = der(
+    0xa3,
+    sequence(
+      sequence(
+        oid(BASIC_CONSTRAINTS),
+        bool(true),
+        octetString(sequence(bool(true)))
+      ),
+      // digitalSignature and keyCertSign
+      sequence(
+        oid(KEY_USAGE),
+        bool(true),
+        octetString(der(0x03, Buffer.from([0x02, 0x84])))
+      ),
+      sequence(oid(SUBJECT_ALT_NAME), octetString(sequence(...altNames)))
+    )
+  );
+
+  const tbs = sequence(
+    der(0xa0, integer(Buffer.from([2]))),
+    integer(serial),
+    algorithm,
+    name,
+    sequence(utcTime(new Date(now - day)), utcTime(new Date(now + 365 * day))),
+    name,
+    publicKey.export({ type: 'spki', format: 'der' }),
+    extensions
+  );
+
+  const certificate = sequence(
+    tbs,
+    algorithm,
+    bitString(sign('sha256', tbs, privateKey))
+  );
+
+  return {
+    key: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    cert: toPEM('CERTIFICATE', certificate),
+  };
+};
+
+// Resolves the `tls` server option to the key and certificate to serve, where
+// `true` asks for a freshly generated self-signed certificate.
+export const toTLSOptions = (tls) => {
+  if (tls === true) {
+    return selfSignedCertificate();
+  }
+
+  if (isPlainObject(tls)) {
+    return { key: tls.key, cert: tls.cert };
+  }
+
+  return undefined;
+};
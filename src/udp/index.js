@@ -0,0 +1,176 @@
+import { mockSchema, udpSchema } from './schema.js';
+import { bindSocket } from './socket.js';
+import {
+  D,
+  compare,
+  toUDPRes,
+  wait,
+  printMock,
+  valueToString,
+} from '../lib.js';
+import { conform } from '../validate.js';
+import { PendingMockError, UnexpectedRequestError } from '../errors.js';
+
+const printUDP = printMock('UDP');
+
+const Mock = (o) => {
+  const options = conform(mockSchema(o, ['options'])) ?? {};
+
+  const { persist = false, optional = false } = options;
+
+  let matchCount = 0;
+
+  const match = () => {
+    matchCount += 1;
+  };
+
+  const toString = () =>
+    printUDP({
+      req: o?.req,
+      res: o?.res,
+      persist: o?.persist,
+      optional: o?.optional,
+    });
+
+  const isExhausted = () => !persist && matchCount > 0;
+
+  const isMatch = (datagram) =>
+    !isExhausted() && compare(options.req, datagram);
+
+  const isPending = () => !optional && matchCount === 0;
+
+  const assertDone = () => {
+    if (isPending()) {
+      throw new PendingMockError(`Mock is still pending: ${toString()}`);
+    }
+  };
+
+  return {
+    options,
+    match,
+    toString,
+    isMatch,
+    isPending,
+    assertDone,
+  };
+};
+
+const printUnexpected = ({ address, port, datagram }) =>
+  `[${address}:${port}] ${valueToString(datagram.toString('utf8'))}`;
+
+const MockSet = ({ strict = false } = {}) => {
+  let mocks = [];
+  let unexpected = [];
+
+  const reset = ({ throwOnPending = true } = {}) => {
+    const pending = mocks.filter((m) => m.isPending());
+    mocks = [];
+
+    const leftovers = unexpected;
+    unexpected = [];
+
+    if (pending.length !== 0) {
+      if (throwOnPending) {
+        throw new PendingMockError(
+          `The following mocks are still pending: ${pending.join(', ')}`
+        );
+      }
+
+      D('discarding the following mocks: %s', pending.join(', '));
+    }
+
+    if (strict && leftovers.length !== 0) {
+      throw new UnexpectedRequestError(
+        `The following data was not expected:\n${leftovers
+          .map((l) => `  * ${printUnexpected(l)}`)
+          .join('\n')}`
+      );
+    }
+  };
+
+  const add = (o) => {
+    const m = Mock(o);
+    mocks.push(m);
+    D('registering mock %s', m);
+    return m;
+  };
+
+  // Each datagram is matched on its own, and any reply is sent back to the
+  // address it came from.
+  const handler =
+    (socket) =>
+    async (datagram, { address, port }) => {
+      const DRemote = (message, ...args) =>
+        D(`[${address}:${port}] ${message}`, ...args);
+
+      try {
+        DRemote('received datagram "%s"', datagram);
+
+        const m = mocks.find((m) => m.isMatch(datagram));
+        if (m === undefined) {
+          DRemote('no matching mock was found for "%s"', datagram);
+          unexpected.push({ address, port, datagram });
+          return;
+        }
+
+        DRemote('found matching mock %s', m);
+        m.match();
+
+        const r = toUDPRes(m.options.res, datagram);
+
+        if (r.drop) {
+          DRemote('not replying');
+          return;
+        }
+
+        if (r.bodyDelay > 0) {
+          DRemote('delaying reply by %dms', r.bodyDelay);
+          await wait(r.bodyDelay);
+        }
+
+        DRemote('replying "%s"', r.body);
+        socket.send(r.body, port, address);
+      } catch (e) {
+        console.error(e);
+      }
+    };
+
+  return {
+    reset,
+    add,
+    handler,
+  };
+};
+
+const udp = (o) => {
+  const options = conform(udpSchema(o, ['options'])) ?? {};
+  const { port = 0, strict = false } = options;
+
+  const ms = MockSet({ strict });
+  D('launching udp server');
+
+  return bindSocket(port, ms.handler).then(
+    (socket) => {
+      D('udp server listening on port %d', socket.address().port);
+
+      socket.on('error', (e) => D('received error %s', e));
+      socket.on('close', () => D('udp server closed'));
+
+      return {
+        port: socket.address().port,
+        teardown: () => {
+          D('closing udp server');
+          return new Promise((r) => socket.close(r));
+        },
+        reset: (o) => ms.reset(o),
+        mock: (o) => ms.add(o),
+      };
+    },
+    (e) => {
+      D('received error %s', e);
+      throw e;
+    }
+  );
+};
+
+export default udp;
@@ -0,0 +1,56 @@
+import {
+  always,
+  obj,
+  isUndefined,
+  isPlainObject,
+  isBoolean,
+  branch,
+  branchWithFunction,
+} from '../validate.js';
+
+import {
+  optComparable,
+  optBufferable,
+  funcOptBufferable,
+  delay,
+  port,
+  optBoolean,
+} from '../http/schema.js';
+
+const drop = branchWithFunction(
+  [isBoolean, isUndefined],
+  [always, always],
+  'if defined must be boolean'
+);
+
+const resObj = obj({
+  body: funcOptBufferable,
+  bodyDelay: delay,
+  drop,
+});
+
+const res = branchWithFunction(
+  [isPlainObject, optBufferable],
+  [resObj, always],
+  'if defined must be object, string, or buffer'
+);
+
+export const mockSchema = branch(
+  [isPlainObject, isUndefined],
+  [
+    obj({
+      req: optComparable,
+      res,
+      persist: optBoolean,
+      optional: optBoolean,
+    }),
+    always,
+  ],
+  'if defined must be plain object'
+);
+
+export const udpSchema = branch(
+  [isPlainObject, isUndefined],
+  [obj({ port, strict: optBoolean }), always],
+  'if defined must be plain object'
+);
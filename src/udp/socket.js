@@ -0,0 +1,34 @@
+import { createSocket } from 'node:dgram';
+
+import { D } from '../lib.js';
+
+// The errors binding an IPv6 socket fails with on a host without IPv6.
+const NO_IPV6 = ['EAFNOSUPPORT', 'EADDRNOTAVAIL'];
+
+// Binds a socket to `port`, passing its datagrams to the listener `handler`
+// returns for it. An IPv6 socket also receives datagrams sent over IPv4, so one
+// is preferred, but an IPv4 socket is bound instead on hosts without IPv6.
+export const bindSocket = (port, handler, type = 'udp6') =>
+  new Promise((resolve, reject) => {
+    const socket = createSocket(type);
+    socket.on('message', handler(socket));
+
+    const onError = (e) => {
+      socket.close();
+
+      if (type === 'udp6' && NO_IPV6.includes(e.code)) {
+        D('unable to bind an ipv6 socket, falling back to ipv4: %s', e);
+        resolve(bindSocket(port, handler, 'udp4'));
+      } else {
+        reject(e);
+      }
+    };
+
+    socket.once('error', onError);
+    socket.once('listening', () => {
+      socket.off('error', onError);
+      resolve(socket);
+    });
+
+    socket.bind(port);
+  });
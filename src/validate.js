@@ -11,6 +11,7 @@ import {
   isRegExp as _isRegExp,
   isInteger as _isInteger,
   isUndefined as _isUndefined,
+  isAsyncIterable as _isAsyncIterable,
 } from './lib.js';
 
 import { ValidationError } from './errors.js';
@@ -90,6 +91,13 @@ export const isArray = (value, path = []) => {
   return r(value, _isArray(value) ? [] : error(path, 'must be array', value));
 };
 
+export const isAsyncIterable = (value, path = []) => {
+  return r(
+    value,
+    _isAsyncIterable(value) ? [] : error(path, 'must be async iterable', value)
+  );
+};
+
 export const obj = (o) => {
   assert(_isPlainObject(o), 'schema must be plain object');
   assertPredicates(Object.values(o));
@@ -0,0 +1,452 @@
+import assert from 'node:assert';
+import { Buffer } from 'node:buffer';
+import { promises } from 'node:dns';
+import { createServer } from 'node:net';
+
+import { dns } from '../src/index.js';
+import { asyncSocket } from './helpers/index.js';
+
+describe('dns', function () {
+  before(async function () {
+    this.dep = await dns();
+    this.resolver = new promises.Resolver({ timeout: 100, tries: 1 });
+    this.resolver.setServers([`127.0.0.1:${this.dep.port}`]);
+  });
+
+  afterEach(function () {
+    this.dep.reset();
+  });
+
+  after(async function () {
+    await this.dep.teardown();
+  });
+
+  describe('schema', function () {
+    it('expects valid dns arguments', function () {
+      for (const [options, error] of [
+        [/bloop/, '`options` if defined must be plain object (got /bloop/)'],
+        [
+          { port: -2 },
+          '`options.port` if defined must be positive integer (got -2)',
+        ],
+        [
+          { strict: 'yes' },
+          "`options.strict` if defined must be boolean (got 'yes')",
+        ],
+      ]) {
+        assert.throws(() => dns(options), {
+          name: 'ValidationError',
+          message: `Validation failed. Resolve the following issues:\n  * ${error}`,
+        });
+      }
+    });
+
+    it('expects a valid mock', function () {
+      for (const [options, error] of [
+        [1, '`options` if defined must be plain object (got 1)'],
+        [
+          { req: 1 },
+          '`options.req` if defined must be plain object or function (got 1)',
+        ],
+        [
+          { req: { name: 1 } },
+          '`options.req.name` if defined must be string, buffer, regular expression, or function (got 1)',
+        ],
+        [
+          { res: 'bloop' },
+          "`options.res` if defined must be plain object or function returning same (got 'bloop')",
+        ],
+        [
+          { res: { answers: {} } },
+          '`options.res.answers` if defined must be array or function returning same (got {})',
+        ],
+        [
+          { res: { answers: [{ type: 'MX' }] } },
+          "`options.res.answers.0.type` if defined must be one of 'A', 'AAAA', 'CNAME', 'SRV', or 'TXT' (got 'MX')",
+        ],
+        [
+          { res: { answers: [{ ttl: -1 }] } },
+          '`options.res.answers.0.ttl` if defined must be positive integer (got -1)',
+        ],
+        [
+          { res: { answers: [{ entries: ['a', 1] }] } },
+          '`options.res.answers.0.entries.1` must be string (got 1)',
+        ],
+        [
+          { res: { answers: [{ entries: ['a'.repeat(256)] }] } },
+          `\`options.res.answers.0.entries.0\` must be at most 255 bytes (got '${'a'.repeat(
+            256
+          )}')`,
+        ],
+        [
+          { res: { answers: [{ address: '10.0.0' }] } },
+          "`options.res.answers.0.address` if defined must be IPv4 or IPv6 address (got '10.0.0')",
+        ],
+        [
+          { res: { answers: [{ type: 'A', address: 'fd00::1' }] } },
+          "`options.res.answers.0.address` must be IPv4 address for a A record (got 'fd00::1')",
+        ],
+        [
+          { res: { answers: [{ type: 'AAAA', address: '10.0.0.1' }] } },
+          "`options.res.answers.0.address` must be IPv6 address for a AAAA record (got '10.0.0.1')",
+        ],
+        [
+          { res: { answers: [{ name: 'a.api.internal', priority: 65536 }] } },
+          '`options.res.answers.0.priority` if defined must be integer between 0 and 65535 (got 65536)',
+        ],
+        [
+          { res: { answers: [{ name: 'a.api.internal', weight: 70000 }] } },
+          '`options.res.answers.0.weight` if defined must be integer between 0 and 65535 (got 70000)',
+        ],
+        [
+          { res: { answers: [{ name: 'a.api.internal', port: 65536 }] } },
+          '`options.res.answers.0.port` if defined must be integer between 0 and 65535 (got 65536)',
+        ],
+        [
+          { res: { answers: [{ ttl: 5 }] } },
+          '`options.res.answers.0` must define address, value, name, or entries (got { ttl: 5 })',
+        ],
+        [
+          { res: { answers: [{ type: 'AAAA', value: 'fd00::1' }] } },
+          '`options.res.answers.0.address` must be defined for a AAAA record (got undefined)',
+        ],
+        [
+          { res: { answers: [{ type: 'CNAME', name: 'api.internal' }] } },
+          '`options.res.answers.0.value` must be defined for a CNAME record (got undefined)',
+        ],
+        [
+          { res: { answers: [{ type: 'SRV', port: 8080 }] } },
+          '`options.res.answers.0.name` must be defined for a SRV record (got undefined)',
+        ],
+        [
+          { res: { rcode: 99 } },
+          '`options.res.rcode` must be between 0 and 15 (got 99)',
+        ],
+        [
+          { res: { rcode: 'NOPE' } },
+          "`options.res.rcode` must be one of 'NOERROR', 'FORMERR', 'SERVFAIL', 'NXDOMAIN', 'NOTIMP', 'REFUSED' (got 'NOPE')",
+        ],
+        [
+          { res: { rcode: true } },
+          '`options.res.rcode` if defined must be string or integer or function returning same (got true)',
+        ],
+        [
+          { res: { delay: -1 } },
+          '`options.res.delay` if defined must be positive integer or function returning same (got -1)',
+        ],
+        [
+          { persist: 'yes' },
+          "`options.persist` if defined must be boolean (got 'yes')",
+        ],
+      ]) {
+        assert.throws(() => this.dep.mock(options), {
+          name: 'ValidationError',
+          message: `Validation failed. Resolve the following issues:\n  * ${error}`,
+        });
+      }
+    });
+  });
+
+  describe('basics', function () {
+    it('answers A and AAAA queries', async function () {
+      this.dep.mock({
+        req: { name: 'api.internal', type: 'A' },
+        res: {
+          answers: [{ address: '10.0.0.1', ttl: 30 }, { address: '10.0.0.2' }],
+        },
+      });
+      this.dep.mock({
+        req: { name: 'api.internal', type: 'AAAA' },
+        res: { answers: [{ address: 'fd00::1' }] },
+      });
+
+      assert.deepStrictEqual(
+        await this.resolver.resolve4('api.internal', { ttl: true }),
+        [
+          { address: '10.0.0.1', ttl: 30 },
+          { address: '10.0.0.2', ttl: 60 },
+        ]
+      );
+      assert.deepStrictEqual(await this.resolver.resolve6('api.internal'), [
+        'fd00::1',
+      ]);
+    });
+
+    it('answers SRV, TXT, and CNAME queries', async function () {
+      this.dep.mock({
+        req: { name: '_http._tcp.api.internal', type: 'SRV' },
+        res: {
+          answers: [
+            { priority: 10, weight: 5, port: 8080, name: 'a.api.internal' },
+            { priority: 20, weight: 5, port: 8080, name: 'b.api.internal' },
+          ],
+        },
+      });
+      this.dep.mock({
+        req: { type: 'TXT' },
+        res: { answers: [{ entries: ['v=1', 'region=east'] }] },
+      });
+      this.dep.mock({
+        req: { type: 'CNAME' },
+        res: { answers: [{ value: 'api.internal' }] },
+      });
+
+      assert.deepStrictEqual(
+        await this.resolver.resolveSrv('_http._tcp.api.internal'),
+        [
+          { name: 'a.api.internal', port: 8080, priority: 10, weight: 5 },
+          { name: 'b.api.internal', port: 8080, priority: 20, weight: 5 },
+        ]
+      );
+      // Older versions of node join a record's strings into one.
+      assert.deepStrictEqual(
+        (await this.resolver.resolveTxt('api.internal')).map((r) => r.join('')),
+        ['v=1region=east']
+      );
+      assert.deepStrictEqual(await this.resolver.resolveCname('www.internal'), [
+        'api.internal',
+      ]);
+    });
+
+    it('follows records after a CNAME', async function () {
+      this.dep.mock({
+        req: { name: 'www.internal', type: 'A' },
+        res: {
+          answers: [
+            { type: 'CNAME', value: 'api.internal' },
+            { address: '10.0.0.1' },
+          ],
+        },
+      });
+
+      assert.deepStrictEqual(await this.resolver.resolve4('www.internal'), [
+        '10.0.0.1',
+      ]);
+    });
+
+    it('matches questions like any other value', async function () {
+      const m = this.dep.mock({
+        req: { name: /\.internal$/, type: (t) => t === 'A' },
+      });
+      const n = this.dep.mock({
+        req: ({ name }) => name === 'api.internal',
+      });
+
+      await assert.rejects(() => this.resolver.resolve4('API.internal'), {
+        code: 'ENODATA',
+      });
+      await assert.rejects(() => this.resolver.resolve6('api.internal'), {
+        code: 'ENODATA',
+      });
+
+      m.assertDone();
+      n.assertDone();
+    });
+
+    it('replies with an rcode', async function () {
+      this.dep.mock({ res: { rcode: 'NXDOMAIN' } });
+      this.dep.mock({ res: { rcode: 'SERVFAIL' } });
+      this.dep.mock({ res: { rcode: () => 5 } });
+
+      await assert.rejects(() => this.resolver.resolve4('api.internal'), {
+        code: 'ENOTFOUND',
+      });
+      await assert.rejects(() => this.resolver.resolve4('api.internal'), {
+        code: 'ESERVFAIL',
+      });
+      await assert.rejects(() => this.resolver.resolve4('api.internal'), {
+        code: 'EREFUSED',
+      });
+    });
+
+    it('answers from a function', async function () {
+      this.dep.mock({
+        res: ({ name }) => ({
+          answers: [{ type: 'TXT', entries: [name] }],
+        }),
+      });
+
+      assert.deepStrictEqual(await this.resolver.resolveTxt('api.internal'), [
+        ['api.internal'],
+      ]);
+    });
+
+    it('fails answers without the data of the question type', async function () {
+      this.dep.mock({ res: { answers: [{ value: 'api.internal' }] } });
+
+      await assert.rejects(() => this.resolver.resolve4('api.internal'), {
+        code: 'ESERVFAIL',
+      });
+    });
+
+    it('fails answers with an address of another family', async function () {
+      this.dep.mock({ res: { answers: [{ address: 'fd00::1' }] } });
+
+      await assert.rejects(() => this.resolver.resolve4('api.internal'), {
+        code: 'ESERVFAIL',
+      });
+    });
+
+    it('delays a reply', async function () {
+      this.dep.mock({
+        res: { answers: [{ address: '10.0.0.1' }], delay: 50 },
+      });
+
+      const start = Date.now();
+      assert.deepStrictEqual(await this.resolver.resolve4('api.internal'), [
+        '10.0.0.1',
+      ]);
+      assert(Date.now() - start >= 50);
+    });
+
+    it('drops a reply', async function () {
+      const m = this.dep.mock({ res: { drop: true } });
+
+      await assert.rejects(() => this.resolver.resolve4('api.internal'), {
+        code: 'ETIMEOUT',
+      });
+
+      m.assertDone();
+    });
+
+    it('refuses unmatched queries', async function () {
+      await assert.rejects(() => this.resolver.resolve4('api.internal'), {
+        code: 'EREFUSED',
+      });
+    });
+
+    it('consumes mocks in order', async function () {
+      this.dep.mock({ res: { answers: [{ address: '10.0.0.1' }] } });
+      this.dep.mock({ res: { answers: [{ address: '10.0.0.2' }] } });
+
+      assert.deepStrictEqual(await this.resolver.resolve4('api.internal'), [
+        '10.0.0.1',
+      ]);
+      assert.deepStrictEqual(await this.resolver.resolve4('api.internal'), [
+        '10.0.0.2',
+      ]);
+    });
+
+    it('matches a persisted mock any number of times', async function () {
+      const m = this.dep.mock({
+        res: { answers: [{ address: '10.0.0.1' }] },
+        persist: true,
+      });
+
+      await this.resolver.resolve4('a.internal');
+      await this.resolver.resolve4('b.internal');
+
+      m.assertDone();
+    });
+
+    it('truncates large replies over udp and answers over tcp', async function () {
+      const entries = [...Array(20).keys()].map((i) => `${i}`.repeat(100));
+      const m = this.dep.mock({
+        req: { type: 'TXT' },
+        res: { answers: entries.map((e) => ({ entries: [e] })) },
+      });
+
+      assert.deepStrictEqual(
+        await this.resolver.resolveTxt('api.internal'),
+        entries.map((e) => [e])
+      );
+
+      m.assertDone();
+    });
+
+    it('answers length-prefixed queries over tcp', async function () {
+      this.dep.mock({
+        req: { name: 'api.internal', type: 'A' },
+        res: { answers: [{ address: '10.0.0.1' }] },
+      });
+
+      const query = Buffer.concat([
+        Buffer.from([0x12, 0x34, 0x01, 0x00, 0, 1, 0, 0, 0, 0, 0, 0]),
+        Buffer.from('\x03api\x08internal\x00', 'utf8'),
+        Buffer.from([0, 1, 0, 1]),
+      ]);
+      const length = Buffer.alloc(2);
+      length.writeUInt16BE(query.length);
+
+      const client = await asyncSocket({ port: this.dep.port });
+      try {
+        await client.write(Buffer.concat([length, query]));
+        const reply = await client.read();
+
+        assert.strictEqual(reply.readUInt16BE(0), reply.length - 2);
+        assert.strictEqual(reply.readUInt16BE(2), 0x1234);
+        assert.strictEqual(reply.readUInt16BE(4), 0x8580);
+        assert.deepStrictEqual([...reply.subarray(-4)], [10, 0, 0, 1]);
+      } finally {
+        client.end();
+      }
+    });
+
+    it('never considers an optional mock pending', function () {
+      const m = this.dep.mock({ optional: true });
+
+      assert(!m.isPending());
+      m.assertDone();
+    });
+
+    it('reset() fails with unmatched mocks', function () {
+      const m = this.dep.mock({ req: { name: 'api.internal' } });
+
+      assert(m.isPending());
+      assert.throws(() => m.assertDone(), {
+        name: 'PendingMockError',
+        message: "Mock is still pending: DNS{req={ name: 'api.internal' }}",
+      });
+      assert.throws(() => this.dep.reset(), {
+        name: 'PendingMockError',
+        message:
+          "The following mocks are still pending: DNS{req={ name: 'api.internal' }}",
+      });
+    });
+
+    it('reset({ throwOnPending: false }) succeeds with unmatched mocks', function () {
+      this.dep.mock({ req: { name: 'api.internal' } });
+      this.dep.reset({ throwOnPending: false });
+    });
+
+    it('fails to listen on a given port already taken for tcp', async function () {
+      const server = createServer();
+      await new Promise((r) => server.listen(0, r));
+
+      try {
+        await assert.rejects(() => dns({ port: server.address().port }), {
+          code: 'EADDRINUSE',
+        });
+      } finally {
+        await new Promise((r) => server.close(r));
+      }
+    });
+  });
+
+  describe('strict', function () {
+    before(async function () {
+      this.strictDep = await dns({ strict: true });
+      this.strictResolver = new promises.Resolver({ timeout: 100, tries: 1 });
+      this.strictResolver.setServers([`127.0.0.1:${this.strictDep.port}`]);
+    });
+
+    after(async function () {
+      await this.strictDep.teardown();
+    });
+
+    it('reset() fails with unmatched queries', async function () {
+      this.strictDep.mock({ req: { name: 'api.internal' } });
+
+      await this.strictResolver.resolve4('api.internal').catch(() => {});
+      await this.strictResolver.resolveSrv('db.internal').catch(() => {});
+
+      assert.throws(() => this.strictDep.reset(), {
+        name: 'UnexpectedRequestError',
+        message:
+          /^The following queries were not expected:\n {2}\* \[::ffff:127\.0\.0\.1:\d+\] SRV db\.internal$/,
+      });
+
+      this.strictDep.reset();
+    });
+  });
+});
@@ -2,7 +2,7 @@ import assert from 'node:assert';
 import { Buffer } from 'node:buffer';
 
 import { helpers } from '../src/index.js';
-const { match, res } = helpers;
+const { match, res, redis, postgres, mysql, memcached, fakes } = helpers;
 
 describe('helpers', function () {
   describe('match', function () {
@@ -138,5 +138,706 @@ describe('helpers', function () {
         );
       });
     });
+
+    describe('sse', function () {
+      it('produces a streamed event response description', function () {
+        assert.deepStrictEqual(
+          res.sse([
+            'bleep',
+            { event: 'bloop', id: '2', retry: 100, data: 'one\ntwo' },
+            { data: { bloop: [1] }, delay: 50 },
+          ]),
+          {
+            body: [
+              { data: 'data: bleep\n\n', delay: undefined },
+              {
+                data: 'event: bloop\nid: 2\nretry: 100\ndata: one\ndata: two\n\n',
+                delay: undefined,
+              },
+              { data: 'data: {"bloop":[1]}\n\n', delay: 50 },
+            ],
+            headers: {
+              'cache-control': 'no-cache',
+              'content-type': 'text/event-stream',
+            },
+            statusCode: 200,
+          }
+        );
+
+        assert.deepStrictEqual(
+          res.sse([], { statusCode: 201, headers: { 'x-bloop': 'true' } }),
+          {
+            body: [],
+            headers: {
+              'cache-control': 'no-cache',
+              'content-type': 'text/event-stream',
+              'x-bloop': 'true',
+            },
+            statusCode: 201,
+          }
+        );
+      });
+
+      it('accepts an async iterable of events', async function () {
+        async function* events() {
+          yield 'bleep';
+          yield { event: 'bloop', delay: 10 };
+        }
+
+        const chunks = [];
+        for await (const c of res.sse(events()).body) {
+          chunks.push(c);
+        }
+
+        assert.deepStrictEqual(chunks, [
+          { data: 'data: bleep\n\n', delay: undefined },
+          { data: 'event: bloop\n\n', delay: 10 },
+        ]);
+      });
+    });
+  });
+
+  describe('redis', function () {
+    const command = (...args) =>
+      Buffer.from(
+        [
+          `*${args.length}`,
+          ...args.flatMap((a) => [`$${a.length}`, a]),
+          '',
+        ].join('\r\n'),
+        'utf8'
+      );
+
+    describe('match.command', function () {
+      it('matches a command and its arguments', function () {
+        const get = redis.match.command('GET', 'ns:bloop');
+
+        assert(get(command('GET', 'ns:bloop')));
+        assert(get(command('get', 'ns:bloop')));
+        assert(get(Buffer.from('GET ns:bloop\r\n', 'utf8')));
+
+        assert(!get(command('GET', 'ns:bleep')));
+        assert(!get(command('SET', 'ns:bloop')));
+        assert(!get(command('GET')));
+        assert(!get(command('GET', 'ns:bloop', 'extra')));
+        assert(!get(command('GET', 'ns:bloop').subarray(0, 10)));
+        assert(
+          !get(Buffer.concat([command('GET', 'ns:bloop'), command('GET')]))
+        );
+      });
+
+      it('compares arguments like any other value', function () {
+        const set = redis.match.command(
+          /^set$/i,
+          /^ns:/,
+          Buffer.from('\x00\xff', 'latin1'),
+          (v) => v.length === 2
+        );
+
+        assert(
+          set(
+            Buffer.concat([
+              Buffer.from('*4\r\n$3\r\nset\r\n$5\r\nns:ab\r\n$2\r\n', 'utf8'),
+              Buffer.from([0, 0xff]),
+              Buffer.from('\r\n$2\r\nEX\r\n', 'utf8'),
+            ])
+          )
+        );
+
+        assert(!set(command('SET', 'ns:ab', 'cd', 'EX')));
+      });
+    });
+
+    describe('consume', function () {
+      it('finds the end of the first complete value', function () {
+        const get = command('GET', 'bloop');
+
+        assert.strictEqual(redis.consume(get), get.length);
+        assert.strictEqual(
+          redis.consume(Buffer.concat([get, command('PING')])),
+          get.length
+        );
+        assert.strictEqual(
+          redis.consume(get.subarray(0, get.length - 1)),
+          undefined
+        );
+        assert.strictEqual(redis.consume(Buffer.from([])), undefined);
+        assert.strictEqual(redis.consume(Buffer.from('PING\r\nPI')), 6);
+      });
+
+      it('understands resp3 types', function () {
+        for (const value of [
+          '_\r\n',
+          '#t\r\n',
+          ',1.5\r\n',
+          '(12345678901234567890\r\n',
+          '!3\r\nERR\r\n',
+          '=7\r\ntxt:abc\r\n',
+          '%1\r\n+a\r\n:1\r\n',
+          '~2\r\n+a\r\n+b\r\n',
+          '>2\r\n+a\r\n+b\r\n',
+          '|1\r\n+ttl\r\n:3\r\n+bloop\r\n',
+          '*2\r\n*1\r\n$-1\r\n*-1\r\n',
+        ]) {
+          assert.strictEqual(
+            redis.consume(Buffer.from(`${value}+next\r\n`, 'utf8')),
+            value.length,
+            value
+          );
+        }
+      });
+    });
+
+    describe('res', function () {
+      it('encodes simple values', function () {
+        const encoded = (b) => b.toString('utf8');
+
+        assert.strictEqual(encoded(redis.res.simple('OK')), '+OK\r\n');
+        assert.strictEqual(
+          encoded(redis.res.error('ERR oops')),
+          '-ERR oops\r\n'
+        );
+        assert.strictEqual(encoded(redis.res.integer(-12)), ':-12\r\n');
+        assert.strictEqual(encoded(redis.res.null()), '$-1\r\n');
+        assert.strictEqual(encoded(redis.res.bulk('bloop')), '$5\r\nbloop\r\n');
+        assert.strictEqual(encoded(redis.res.bulk('')), '$0\r\n\r\n');
+        assert.strictEqual(encoded(redis.res.bulk(null)), '$-1\r\n');
+        assert.deepStrictEqual(
+          redis.res.bulk(Buffer.from([0, 0xff])),
+          Buffer.from([0x24, 0x32, 0x0d, 0x0a, 0, 0xff, 0x0d, 0x0a])
+        );
+      });
+
+      it('encodes arrays', function () {
+        assert.strictEqual(
+          redis.res
+            .array(['a', 1, null, ['b'], redis.res.simple('OK')])
+            .toString('utf8'),
+          '*5\r\n$1\r\na\r\n:1\r\n$-1\r\n*1\r\n$1\r\nb\r\n+OK\r\n'
+        );
+
+        assert.strictEqual(redis.res.array([]).toString('utf8'), '*0\r\n');
+        assert.strictEqual(redis.res.array(null).toString('utf8'), '*-1\r\n');
+      });
+    });
+
+    describe('handshake', function () {
+      it('answers connection handshakes', function () {
+        const { req, res, consume, persist, optional } = redis.handshake();
+
+        assert(persist);
+        assert(optional);
+        assert.strictEqual(consume, redis.consume);
+
+        const setinfo = command('CLIENT', 'SETINFO', 'LIB-NAME', 'node-redis');
+        assert(req(setinfo));
+        assert.strictEqual(res(setinfo).toString('utf8'), '+OK\r\n');
+
+        const hello = command('HELLO', '2');
+        assert(req(hello));
+        assert.match(res(hello).toString('utf8'), /^\*14\r\n\$6\r\nserver\r\n/);
+
+        assert(!req(command('CLIENT', 'SETNAME', 'bloop')));
+        assert(!req(command('GET', 'bloop')));
+      });
+    });
+  });
+
+  describe('postgres', function () {
+    const message = (type, ...parts) => {
+      const body = Buffer.concat(
+        parts.map((p) => (Buffer.isBuffer(p) ? p : Buffer.from(p, 'utf8')))
+      );
+      const length = Buffer.alloc(4);
+      length.writeInt32BE(body.length + 4);
+      return Buffer.concat([Buffer.from(type, 'utf8'), length, body]);
+    };
+
+    const startup = (code) => {
+      const b = Buffer.alloc(8);
+      b.writeInt32BE(8);
+      b.writeInt32BE(code, 4);
+      return b;
+    };
+
+    const query = (sql) => message('Q', `${sql}\0`);
+
+    // Parse, Bind with a text and a NULL value, Describe, Execute, Sync.
+    const extended = (sql) =>
+      Buffer.concat([
+        message('P', `\0${sql}\0`, Buffer.from([0, 0])),
+        message(
+          'B',
+          '\0\0',
+          Buffer.from([0, 0, 0, 2, 0, 0, 0, 1]),
+          '2',
+          Buffer.from([0xff, 0xff, 0xff, 0xff, 0, 0])
+        ),
+        message('D', 'P\0'),
+        message('E', '\0', Buffer.from([0, 0, 0, 0])),
+        message('S'),
+      ]);
+
+    const types = (b) => {
+      const found = [];
+      for (let i = 0; i < b.length; i += 1 + b.readInt32BE(i + 1)) {
+        found.push(String.fromCharCode(b[i]));
+      }
+
+      return found.join('');
+    };
+
+    describe('match.query', function () {
+      it('matches a simple query by its sql', function () {
+        const select = postgres.match.query('SELECT 1');
+
+        assert(select(query('SELECT 1')));
+        assert(!select(query('SELECT 2')));
+        assert(!select(query('SELECT 1').subarray(0, 5)));
+        assert(!select(Buffer.concat([query('SELECT 1'), query('SELECT 1')])));
+        assert(postgres.match.query(/^select/i)(query('SELECT 1')));
+      });
+
+      it('matches an extended query by its sql and parameters', function () {
+        const sql = 'SELECT * FROM users WHERE id = $1 AND name = $2';
+        const bytes = extended(sql);
+
+        assert(postgres.match.query(sql)(bytes));
+        assert(postgres.match.query(sql, ['2', null])(bytes));
+        assert(postgres.match.query(/users/, [/^\d$/, null])(bytes));
+
+        assert(!postgres.match.query(sql, ['3', null])(bytes));
+        assert(!postgres.match.query(sql, ['2'])(bytes));
+        assert(!postgres.match.query(sql, ['2', 'bloop'])(bytes));
+        assert(!postgres.match.query(sql)(bytes.subarray(0, bytes.length - 5)));
+        assert(!postgres.match.query(sql, [])(query(sql)));
+      });
+    });
+
+    describe('consume', function () {
+      it('finds the end of the first complete request', function () {
+        const select = query('SELECT 1');
+        const batch = extended('SELECT $1');
+
+        assert.strictEqual(postgres.consume(select), select.length);
+        assert.strictEqual(
+          postgres.consume(Buffer.concat([select, batch])),
+          select.length
+        );
+        assert.strictEqual(
+          postgres.consume(Buffer.concat([batch, select])),
+          batch.length
+        );
+        assert.strictEqual(
+          postgres.consume(batch.subarray(0, batch.length - 1)),
+          undefined
+        );
+        assert.strictEqual(postgres.consume(startup(80877103)), 8);
+        assert.strictEqual(postgres.consume(Buffer.from([])), undefined);
+      });
+    });
+
+    describe('res', function () {
+      it('encodes a result set for a simple query', function () {
+        const res = postgres.res.result({
+          fields: ['a', { name: 'b', type: 'int4' }],
+          rows: [['x', 1], { a: null, b: 2 }],
+        })(query('SELECT a, b FROM t'));
+
+        assert.strictEqual(types(res), 'TDDCZ');
+        assert(res.includes(Buffer.from('SELECT 2\0', 'utf8')));
+        assert(res.includes(Buffer.from([0, 0, 0, 0x17])));
+        assert(res.includes(Buffer.from([0xff, 0xff, 0xff, 0xff])));
+      });
+
+      it('encodes a result set for an extended query', function () {
+        const res = postgres.res.result({
+          fields: ['a'],
+          rows: [[true]],
+        })(extended('SELECT $1'));
+
+        assert.strictEqual(types(res), '12TDCZ');
+        assert(res.includes(Buffer.from([0, 0, 0, 1, 0x74])));
+      });
+
+      it('encodes a command without a result set', function () {
+        const res = postgres.res.result({ command: 'INSERT 0 1' });
+
+        assert.strictEqual(types(res(query('INSERT'))), 'CZ');
+        assert.strictEqual(types(res(extended('INSERT'))), '12nCZ');
+        assert(res(query('INSERT')).includes('INSERT 0 1\0'));
+      });
+
+      it('encodes an error', function () {
+        const res = postgres.res.error({
+          code: '42P01',
+          message: 'relation "t" does not exist',
+        });
+
+        assert.strictEqual(types(res), 'EZ');
+        assert(res.includes('C42P01\0'));
+        assert(res.includes('Mrelation "t" does not exist\0'));
+        assert(res.includes('SERROR\0'));
+      });
+    });
+
+    describe('handshake', function () {
+      it('answers connection handshakes', function () {
+        const { req, res, consume, persist, optional } = postgres.handshake({
+          parameters: { server_version: '16.1' },
+        });
+
+        assert(persist);
+        assert(optional);
+        assert.strictEqual(consume, postgres.consume);
+
+        const ssl = startup(80877103);
+        assert(req(ssl));
+        assert.strictEqual(res(ssl).toString('utf8'), 'N');
+
+        const start = Buffer.concat([
+          Buffer.from([0, 0, 0, 0x14, 0, 3, 0, 0]),
+          Buffer.from('user\0bloop\0\0', 'utf8'),
+        ]);
+        assert(req(start));
+        assert.match(types(res(start)), /^RS+KZ$/);
+        assert(res(start).includes('server_version\x0016.1\0'));
+
+        const terminate = message('X');
+        assert(req(terminate));
+        assert.strictEqual(res(terminate).length, 0);
+
+        assert(!req(query('SELECT 1')));
+      });
+    });
+  });
+
+  describe('mysql', function () {
+    const packet = (sequenceId, ...parts) => {
+      const payload = Buffer.concat(
+        parts.map((p) => (Buffer.isBuffer(p) ? p : Buffer.from(p, 'utf8')))
+      );
+      const header = Buffer.alloc(4);
+      header.writeUIntLE(payload.length, 0, 3);
+      header[3] = sequenceId;
+      return Buffer.concat([header, payload]);
+    };
+
+    const query = (sql) => packet(0, Buffer.from([0x03]), sql);
+
+    // Each packet's sequence id and first payload byte.
+    const packets = (b) => {
+      const found = [];
+      for (let i = 0; i < b.length; i += 4 + b.readUIntLE(i, 3)) {
+        found.push([b[i + 3], b[i + 4]]);
+      }
+
+      return found;
+    };
+
+    describe('match.query', function () {
+      it('matches a query by its sql', function () {
+        const select = mysql.match.query('SELECT 1');
+
+        assert(select(query('SELECT 1')));
+        assert(!select(query('SELECT 2')));
+        assert(!select(query('SELECT 1').subarray(0, 6)));
+        assert(!select(Buffer.concat([query('SELECT 1'), query('SELECT 1')])));
+        assert(!select(packet(0, Buffer.from([0x16]), 'SELECT 1')));
+        assert(mysql.match.query(/^select/i)(query('SELECT 1')));
+      });
+    });
+
+    describe('consume', function () {
+      it('finds the end of the first complete packet', function () {
+        const select = query('SELECT 1');
+
+        assert.strictEqual(mysql.consume(select), select.length);
+        assert.strictEqual(
+          mysql.consume(Buffer.concat([select, query('SELECT 2')])),
+          select.length
+        );
+        assert.strictEqual(
+          mysql.consume(select.subarray(0, select.length - 1)),
+          undefined
+        );
+        assert.strictEqual(mysql.consume(Buffer.from([])), undefined);
+      });
+    });
+
+    describe('res', function () {
+      it('continues the sequence of the request', function () {
+        assert.deepStrictEqual(packets(mysql.res.ok()(packet(1, 'auth'))), [
+          [2, 0x00],
+        ]);
+        assert.deepStrictEqual(packets(mysql.res.error()(query('SELECT 1'))), [
+          [1, 0xff],
+        ]);
+      });
+
+      it('encodes an ok packet', function () {
+        assert.deepStrictEqual(
+          mysql.res.ok({ affectedRows: 1, insertId: 300 })(query('INSERT')),
+          Buffer.from([9, 0, 0, 1, 0, 1, 0xfc, 0x2c, 0x01, 2, 0, 0, 0])
+        );
+      });
+
+      it('encodes an error packet', function () {
+        const res = mysql.res.error({
+          errno: 1146,
+          sqlState: '42S02',
+          message: "Table 'users' doesn't exist",
+        })(query('SELECT 1'));
+
+        assert.deepStrictEqual(
+          res.subarray(4, 7),
+          Buffer.from([0xff, 0x7a, 4])
+        );
+        assert.strictEqual(
+          res.toString('utf8', 7),
+          "#42S02Table 'users' doesn't exist"
+        );
+      });
+
+      it('encodes a result set', function () {
+        const res = mysql.res.result({
+          fields: ['a', { name: 'b', type: 'long' }],
+          rows: [['x', 1], { a: null, b: 2 }],
+        })(query('SELECT a, b FROM t'));
+
+        assert.deepStrictEqual(packets(res), [
+          [1, 2],
+          [2, 3],
+          [3, 3],
+          [4, 0xfe],
+          [5, 1],
+          [6, 0xfb],
+          [7, 0xfe],
+        ]);
+        assert(res.includes(Buffer.from([1, 0x78, 1, 0x31])));
+        assert(res.includes(Buffer.from([0xfb, 1, 0x32])));
+      });
+    });
+
+    describe('handshake', function () {
+      it('greets a connection', function () {
+        const init = mysql.handshake({ serverVersion: '5.7.0' });
+
+        assert.strictEqual(mysql.consume(init), init.length);
+        assert.deepStrictEqual(packets(init), [[0, 0x0a]]);
+        assert(init.includes('5.7.0\0'));
+        assert(init.includes('mysql_native_password\0'));
+      });
+    });
+  });
+
+  describe('memcached', function () {
+    const b = (s) => Buffer.from(s, 'utf8');
+
+    describe('match', function () {
+      it('matches retrieval commands by their keys', function () {
+        assert(memcached.match.get('bloop')(b('get bloop\r\n')));
+        assert(memcached.match.get('a', /^b/)(b('get a bc\r\n')));
+        assert(memcached.match.gets('bloop')(b('gets bloop\r\n')));
+
+        assert(!memcached.match.get('bloop')(b('get bloop bleep\r\n')));
+        assert(!memcached.match.get('bloop')(b('gets bloop\r\n')));
+        assert(!memcached.match.get('bloop')(b('get bloop')));
+        assert(!memcached.match.get('bloop')(b('get bloop\r\nget a\r\n')));
+      });
+
+      it('matches storage commands by their key and value', function () {
+        const set = memcached.match.set('bloop', 'big one');
+
+        assert(set(b('set bloop 0 0 7\r\nbig one\r\n')));
+        assert(set(b('set bloop 1 60 7 noreply\r\nbig one\r\n')));
+        assert(memcached.match.set('bloop')(b('set bloop 0 0 1\r\nx\r\n')));
+        assert(memcached.match.add(/^bl/, 12)(b('add bloop 0 0 2\r\n12\r\n')));
+
+        assert(!set(b('set bloop 0 0 7\r\nbig two\r\n')));
+        assert(!set(b('set bloop 0 0 7\r\nbig one')));
+        assert(!set(b('add bloop 0 0 7\r\nbig one\r\n')));
+      });
+
+      it('matches other commands by their arguments', function () {
+        assert(memcached.match.delete('bloop')(b('delete bloop\r\n')));
+        assert(memcached.match.delete('bloop')(b('delete bloop noreply\r\n')));
+        assert(memcached.match.incr('count', 2)(b('incr count 2\r\n')));
+        assert(memcached.match.incr('count')(b('incr count 5\r\n')));
+
+        assert(!memcached.match.delete('bloop')(b('delete bleep\r\n')));
+        assert(!memcached.match.incr('count', 2)(b('incr count 3\r\n')));
+      });
+
+      it('matches meta commands by their key and flags', function () {
+        assert(memcached.match.mg('bloop')(b('mg bloop v t\r\n')));
+        assert(memcached.match.mg('bloop', 't', 'v')(b('mg bloop v t\r\n')));
+        assert(memcached.match.md('bloop', 'q')(b('md bloop q\r\n')));
+        assert(
+          memcached.match.ms('bloop', 'hi', /^T/)(b('ms bloop 2 T60\r\nhi\r\n'))
+        );
+
+        assert(!memcached.match.mg('bloop', 'c')(b('mg bloop v t\r\n')));
+        assert(!memcached.match.md('bloop')(b('mg bloop\r\n')));
+        assert(!memcached.match.ms('bloop', 'ho')(b('ms bloop 2\r\nhi\r\n')));
+      });
+    });
+
+    describe('consume', function () {
+      it('finds the end of the first complete command', function () {
+        assert.strictEqual(memcached.consume(b('get a\r\nget b\r\n')), 7);
+        assert.strictEqual(
+          memcached.consume(b('set a 0 0 2\r\n\r\n\r\nget a\r\n')),
+          17
+        );
+        assert.strictEqual(memcached.consume(b('ms a 2 T0\r\nhi\r\n')), 15);
+        assert.strictEqual(memcached.consume(b('set a 0 0 2\r\nh')), undefined);
+        assert.strictEqual(memcached.consume(b('get a')), undefined);
+      });
+    });
+
+    describe('res', function () {
+      it('encodes retrieved values', function () {
+        const encoded = (r) => r.toString('utf8');
+
+        assert.strictEqual(
+          encoded(
+            memcached.res.values(
+              { key: 'a', value: 'bloop' },
+              { key: 'b', value: Buffer.from([0x31]), flags: 2, cas: 9 }
+            )
+          ),
+          'VALUE a 0 5\r\nbloop\r\nVALUE b 2 1 9\r\n1\r\nEND\r\n'
+        );
+        assert.strictEqual(encoded(memcached.res.values()), 'END\r\n');
+      });
+
+      it('encodes replies', function () {
+        const encoded = (r) => r.toString('utf8');
+
+        assert.strictEqual(encoded(memcached.res.stored()), 'STORED\r\n');
+        assert.strictEqual(
+          encoded(memcached.res.notStored()),
+          'NOT_STORED\r\n'
+        );
+        assert.strictEqual(encoded(memcached.res.exists()), 'EXISTS\r\n');
+        assert.strictEqual(encoded(memcached.res.notFound()), 'NOT_FOUND\r\n');
+        assert.strictEqual(encoded(memcached.res.deleted()), 'DELETED\r\n');
+        assert.strictEqual(encoded(memcached.res.number(3)), '3\r\n');
+        assert.strictEqual(encoded(memcached.res.error()), 'ERROR\r\n');
+        assert.strictEqual(
+          encoded(memcached.res.clientError('bad data chunk')),
+          'CLIENT_ERROR bad data chunk\r\n'
+        );
+        assert.strictEqual(
+          encoded(memcached.res.serverError('out of memory')),
+          'SERVER_ERROR out of memory\r\n'
+        );
+      });
+
+      it('encodes meta replies', function () {
+        const encoded = (r) => r.toString('utf8');
+
+        assert.strictEqual(
+          encoded(memcached.res.va('bloop', 't-1', 'c3')),
+          'VA 5 t-1 c3\r\nbloop\r\n'
+        );
+        assert.strictEqual(encoded(memcached.res.hd()), 'HD\r\n');
+        assert.strictEqual(encoded(memcached.res.hd('c3')), 'HD c3\r\n');
+        assert.strictEqual(encoded(memcached.res.en()), 'EN\r\n');
+        assert.strictEqual(encoded(memcached.res.ns()), 'NS\r\n');
+        assert.strictEqual(encoded(memcached.res.ex()), 'EX\r\n');
+        assert.strictEqual(encoded(memcached.res.nf()), 'NF\r\n');
+      });
+    });
+  });
+
+  describe('fakes.redis', function () {
+    const send = (fake, line) =>
+      fake.respond(Buffer.from(`${line}\r\n`, 'utf8')).toString('utf8');
+
+    it('answers commands from an in-memory keyspace', function () {
+      const fake = fakes.redis();
+
+      assert.strictEqual(send(fake, 'PING'), '+PONG\r\n');
+      assert.strictEqual(send(fake, 'SET a 1 GET'), '$-1\r\n');
+      assert.strictEqual(send(fake, 'SET a 2 XX GET'), '$1\r\n1\r\n');
+      assert.strictEqual(send(fake, 'APPEND a 3'), ':2\r\n');
+      assert.strictEqual(send(fake, 'SETNX a 4'), ':0\r\n');
+      assert.strictEqual(send(fake, 'GETDEL a'), '$2\r\n23\r\n');
+      assert.strictEqual(send(fake, 'TYPE a'), '+none\r\n');
+
+      assert.strictEqual(send(fake, 'MSET ns:a 1 ns:b 2 other 3'), '+OK\r\n');
+      assert.strictEqual(
+        send(fake, 'KEYS ns:[ab]'),
+        '*2\r\n$4\r\nns:a\r\n$4\r\nns:b\r\n'
+      );
+      assert.strictEqual(send(fake, 'DBSIZE'), ':3\r\n');
+
+      assert.strictEqual(send(fake, 'RPUSH l a b c'), ':3\r\n');
+      assert.strictEqual(
+        send(fake, 'RPOP l 2'),
+        '*2\r\n$1\r\nc\r\n$1\r\nb\r\n'
+      );
+      assert.strictEqual(send(fake, 'LINDEX l -1'), '$1\r\na\r\n');
+      assert.strictEqual(send(fake, 'LPOP l'), '$1\r\na\r\n');
+      assert.strictEqual(send(fake, 'EXISTS l'), ':0\r\n');
+
+      assert.strictEqual(send(fake, 'FLUSHALL'), '+OK\r\n');
+      assert.strictEqual(send(fake, 'DBSIZE'), ':0\r\n');
+    });
+
+    it('answers ranges of a list', function () {
+      const fake = fakes.redis();
+
+      send(fake, 'RPUSH l a b c');
+      assert.strictEqual(
+        send(fake, 'LRANGE l 0 -1'),
+        '*3\r\n$1\r\na\r\n$1\r\nb\r\n$1\r\nc\r\n'
+      );
+      assert.strictEqual(
+        send(fake, 'LRANGE l -100 1'),
+        '*2\r\n$1\r\na\r\n$1\r\nb\r\n'
+      );
+      assert.strictEqual(
+        send(fake, 'LRANGE l 1 100'),
+        '*2\r\n$1\r\nb\r\n$1\r\nc\r\n'
+      );
+      assert.strictEqual(send(fake, 'LRANGE l 0 -100'), '*0\r\n');
+      assert.strictEqual(send(fake, 'LRANGE l -100 -100'), '*0\r\n');
+      assert.strictEqual(send(fake, 'LRANGE l 2 1'), '*0\r\n');
+      assert.strictEqual(send(fake, 'LINDEX l -100'), '$-1\r\n');
+    });
+
+    it('answers with errors', function () {
+      const fake = fakes.redis();
+
+      assert.strictEqual(
+        send(fake, 'BLOOP'),
+        "-ERR unknown command 'BLOOP'\r\n"
+      );
+      assert.strictEqual(
+        send(fake, 'GET'),
+        "-ERR wrong number of arguments for 'get' command\r\n"
+      );
+      assert.strictEqual(send(fake, 'SET a 1 EX'), '-ERR syntax error\r\n');
+      assert.strictEqual(
+        send(fake, 'INCRBY a b'),
+        '-ERR value is not an integer or out of range\r\n'
+      );
+      assert.strictEqual(send(fake, 'HSET h a 1'), ':1\r\n');
+      assert.match(send(fake, 'LLEN h'), /^-WRONGTYPE/);
+    });
+
+    it('records and forgets commands', function () {
+      const fake = fakes.redis();
+
+      send(fake, 'SET a 1');
+      assert.deepStrictEqual(fake.calls, [['SET', 'a', '1']]);
+
+      fake.reset();
+      assert.deepStrictEqual(fake.calls, []);
+      assert.strictEqual(send(fake, 'GET a'), '$-1\r\n');
+    });
   });
 });
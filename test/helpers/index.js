@@ -1,7 +1,10 @@
 import http from 'node:http';
+import https from 'node:https';
 import { createConnection } from 'node:net';
+import { createSocket } from 'node:dgram';
+import { connect as tlsConnect } from 'node:tls';
 import { Buffer } from 'node:buffer';
-import { createHmac, createHash } from 'node:crypto';
+import { createHmac, createHash, randomBytes } from 'node:crypto';
 
 export const req = ({
   port,
@@ -12,6 +15,9 @@ export const req = ({
   jsonBody,
   bufferBody,
   onEvent,
+  onChunk,
+  ca,
+  socketPath,
 }) => {
   return new Promise((resolve, reject) => {
     let bodyBuffer = undefined;
@@ -55,12 +61,24 @@ export const req = ({
       path,
       method,
       headers,
+      ca,
+      socketPath,
     };
 
-    const request = http.request(options, (res) => {
+    const client = ca === undefined ? http : https;
+    const request = client.request(options, (res) => {
       onEvent?.('received-headers');
       let body = [];
-      res.on('data', (c) => body.push(c));
+      res.on('data', (c) => {
+        onChunk?.(c);
+        body.push(c);
+      });
+      res.on('error', reject);
+      // Before node 16, a response cut short emits `aborted` rather than an
+      // error.
+      res.on('aborted', () =>
+        reject(Object.assign(new Error('aborted'), { code: 'ECONNRESET' }))
+      );
       res.on('end', () => {
         const responseBody = Buffer.concat(body).toString('utf8');
         const json =
@@ -77,7 +95,24 @@ export const req = ({
   });
 };
 
-export const asyncSocket = async (options) => {
+// Sends a bare GET request, resolving with everything received once the server
+// hangs up, along with the error code if it reset the connection.
+export const rawReq = ({ port, pathname = '/' }) =>
+  new Promise((resolve) => {
+    const data = [];
+    const done = (code) =>
+      resolve({ data: Buffer.concat(data).toString('utf8'), code });
+
+    const client = createConnection({ port }, () =>
+      client.write(`GET ${pathname} HTTP/1.1\r\nHost: localhost\r\n\r\n`)
+    );
+
+    client.on('data', (d) => data.push(d));
+    client.on('error', (e) => done(e.code));
+    client.on('end', () => done(undefined));
+  });
+
+export const asyncSocket = async ({ ca, ...options }) => {
   let data = [];
   let awaitingData = [];
   let resolveClose;
@@ -85,8 +120,12 @@ export const asyncSocket = async (options) => {
     resolveClose = res;
   });
 
-  const client = await new Promise((r) => {
-    const c = createConnection(options, () => r(c));
+  let client = await new Promise((r) => {
+    if (ca === undefined) {
+      const c = createConnection(options, () => r(c));
+    } else {
+      const c = tlsConnect({ ...options, ca }, () => r(c));
+    }
   });
 
   const onData = (d) => {
@@ -101,6 +140,19 @@ export const asyncSocket = async (options) => {
 
   const end = () => client.end();
 
+  const startTLS = async ({ ca }) => {
+    client.removeListener('data', onData);
+
+    client = await new Promise((r) => {
+      const c = tlsConnect(
+        { socket: client, servername: 'localhost', ca },
+        () => r(c)
+      );
+    });
+
+    client.on('data', onData);
+  };
+
   const read = ({ timeout = 100 } = {}) => {
     const p = new Promise((r) => awaitingData.push(r));
     flush();
@@ -125,7 +177,224 @@ export const asyncSocket = async (options) => {
     }
   };
 
-  return { write, read, end, closeSignal };
+  return {
+    write,
+    read,
+    end,
+    startTLS,
+    closeSignal,
+    get encrypted() {
+      return client.encrypted === true;
+    },
+  };
+};
+
+export const udpSocket = async ({ type = 'udp4' } = {}) => {
+  const messages = [];
+  const awaitingMessages = [];
+
+  const socket = createSocket(type);
+  await new Promise((r) => socket.bind(0, r));
+
+  socket.on('message', (m) => {
+    messages.push(m);
+    flush();
+  });
+
+  const flush = () => {
+    while (messages.length > 0 && awaitingMessages.length > 0) {
+      awaitingMessages.shift()(messages.shift());
+    }
+  };
+
+  const send = (d, port, address = type === 'udp4' ? '127.0.0.1' : '::1') =>
+    new Promise((res, rej) =>
+      socket.send(d, port, address, (e) => (e ? rej(e) : res()))
+    );
+
+  const read = ({ timeout = 100 } = {}) =>
+    new Promise((res, rej) => {
+      const timer = setTimeout(() => {
+        awaitingMessages.splice(awaitingMessages.indexOf(resolve), 1);
+        rej(new Error('Read timeout'));
+      }, timeout);
+
+      const resolve = (m) => {
+        clearTimeout(timer);
+        res(m);
+      };
+
+      awaitingMessages.push(resolve);
+      flush();
+    });
+
+  const close = () => new Promise((r) => socket.close(r));
+
+  return { send, read, close };
+};
+
+// A bare-bones WebSocket client. Each frame read is returned on its own, with
+// text as a string, and close frames split into their code and reason.
+export const wsClient = async ({
+  port,
+  pathname = '/',
+  headers = {},
+  ...options
+}) => {
+  const frames = [];
+  const awaitingFrames = [];
+  let recv = Buffer.from([]);
+
+  const socket = await new Promise((r) => {
+    const c = createConnection({ port, ...options }, () => r(c));
+  });
+
+  const closeSignal = new Promise((r) => socket.on('close', r));
+
+  socket.write(
+    [
+      `GET ${pathname} HTTP/1.1`,
+      `Host: localhost:${port}`,
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Key: ${randomBytes(16).toString('base64')}`,
+      'Sec-WebSocket-Version: 13',
+      ...Object.entries(headers).map(([k, v]) => `${k}: ${v}`),
+      '',
+      '',
+    ].join('\r\n')
+  );
+
+  const response = await new Promise((r) => {
+    const onData = (d) => {
+      recv = Buffer.concat([recv, d]);
+
+      const i = recv.indexOf('\r\n\r\n');
+      if (i !== -1) {
+        socket.off('data', onData);
+        const [status, ...lines] = recv.toString('utf8', 0, i).split('\r\n');
+        recv = recv.subarray(i + 4);
+        r({
+          statusCode: parseInt(status.split(' ')[1], 10),
+          headers: Object.fromEntries(
+            lines.map((l) => {
+              const [k, ...v] = l.split(': ');
+              return [k.toLowerCase(), v.join(': ')];
+            })
+          ),
+        });
+      }
+    };
+
+    socket.on('data', onData);
+    socket.on('close', () => r({ statusCode: undefined, headers: {} }));
+  });
+
+  const parse = () => {
+    while (recv.length >= 2) {
+      let length = recv[1] & 0x7f;
+      let offset = 2;
+
+      if (length === 126) {
+        length = recv.readUInt16BE(2);
+        offset = 4;
+      }
+
+      if (recv.length < offset + length) {
+        return;
+      }
+
+      const opcode = recv[0] & 0x0f;
+      const payload = recv.subarray(offset, offset + length);
+      recv = recv.subarray(offset + length);
+
+      if (opcode === 0x8) {
+        frames.push({
+          type: 'close',
+          code: payload.length >= 2 ? payload.readUInt16BE(0) : undefined,
+          reason: payload.toString('utf8', 2),
+        });
+      } else {
+        const type = { 1: 'text', 2: 'binary', 9: 'ping', 10: 'pong' }[opcode];
+        frames.push({
+          type,
+          data: type === 'text' ? payload.toString('utf8') : payload,
+        });
+      }
+    }
+  };
+
+  const flush = () => {
+    while (frames.length > 0 && awaitingFrames.length > 0) {
+      awaitingFrames.shift()(frames.shift());
+    }
+  };
+
+  // A rejected upgrade is left with its body rather than frames.
+  if (response.statusCode === 101) {
+    socket.on('data', (d) => {
+      recv = Buffer.concat([recv, d]);
+      parse();
+      flush();
+    });
+    parse();
+  } else {
+    response.body = recv.toString('utf8');
+  }
+
+  // Clients mask everything they send.
+  const sendFrame = (opcode, data = Buffer.from([]), { fin = true } = {}) => {
+    const payload = Buffer.from(data);
+    const mask = randomBytes(4);
+    const header =
+      payload.length < 126
+        ? Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | payload.length])
+        : Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | 126, 0, 0]);
+
+    if (payload.length >= 126) {
+      header.writeUInt16BE(payload.length, 2);
+    }
+
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+
+    socket.write(Buffer.concat([header, mask, payload]));
+  };
+
+  const send = (data) => sendFrame(typeof data === 'string' ? 0x1 : 0x2, data);
+
+  const close = (code = 1000) => {
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    sendFrame(0x8, payload);
+  };
+
+  const read = ({ timeout = 100 } = {}) =>
+    new Promise((res, rej) => {
+      const timer = setTimeout(() => {
+        awaitingFrames.splice(awaitingFrames.indexOf(resolve), 1);
+        rej(new Error('Read timeout'));
+      }, timeout);
+
+      const resolve = (f) => {
+        clearTimeout(timer);
+        res(f);
+      };
+
+      awaitingFrames.push(resolve);
+      flush();
+    });
+
+  return {
+    ...response,
+    send,
+    sendFrame,
+    close,
+    read,
+    closeSignal,
+    destroy: () => socket.destroy(),
+  };
 };
 
 export const hexBuffer = (strings, ...intermediates) => {
@@ -1,13 +1,19 @@
 import assert from 'node:assert';
 import { Buffer } from 'node:buffer';
+import { readFileSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { Socket } from 'node:net';
+import { join } from 'node:path';
+import { pid } from 'node:process';
 import { parse as parseQs } from 'node:querystring';
 
 import { SQSClient, ReceiveMessageCommand } from '@aws-sdk/client-sqs';
 
 import { http, helpers } from '../src/index.js';
-import { wait } from '../src/lib.js';
+import { wait, isFunction } from '../src/lib.js';
 import { mockSchema } from '../src/http/schema.js';
-import { req, sqsResponse } from './helpers/index.js';
+import { req, rawReq, sqsResponse, wsClient } from './helpers/index.js';
+import { selfSignedCertificate } from '../src/tls.js';
 
 const { match, res: resp } = helpers;
 
@@ -44,6 +50,62 @@ describe('http', function () {
         message,
       });
 
+      message =
+        'Validation failed. Resolve the following issues:\n' +
+        "  * `options.strict` if defined must be boolean (got 'yes')";
+
+      assert.throws(() => http({ strict: 'yes' }), {
+        name: 'ValidationError',
+        message,
+      });
+
+      message =
+        'Validation failed. Resolve the following issues:\n' +
+        '  * `options.caseSensitiveHeaders` if defined must be boolean (got 1)';
+
+      assert.throws(() => http({ caseSensitiveHeaders: 1 }), {
+        name: 'ValidationError',
+        message,
+      });
+
+      message =
+        'Validation failed. Resolve the following issues:\n' +
+        '  * `options.tls` if defined must be boolean or plain object (got 1)';
+
+      assert.throws(() => http({ tls: 1 }), {
+        name: 'ValidationError',
+        message,
+      });
+
+      message =
+        'Validation failed. Resolve the following issues:\n' +
+        '  * `options.tls.key` must be string or buffer (got undefined)\n' +
+        '  * `options.tls.cert` must be string or buffer (got 1)';
+
+      assert.throws(() => http({ tls: { cert: 1 } }), {
+        name: 'ValidationError',
+        message,
+      });
+
+      message =
+        'Validation failed. Resolve the following issues:\n' +
+        '  * `options.host` if defined must be string (got 1)\n' +
+        '  * `options.path` if defined must be string (got 1)';
+
+      assert.throws(() => http({ host: 1, path: 1 }), {
+        name: 'ValidationError',
+        message,
+      });
+
+      message =
+        'Validation failed. Resolve the following issues:\n' +
+        "  * `options` path cannot be defined at the same time as port (got { port: 8080, path: '/tmp/bloop.sock' })";
+
+      assert.throws(() => http({ port: 8080, path: '/tmp/bloop.sock' }), {
+        name: 'ValidationError',
+        message,
+      });
+
       let server;
       try {
         server = await http({});
@@ -65,6 +127,34 @@ describe('http', function () {
       assert.deepStrictEqual(mockSchema({}, ['options']), [{}, []]);
     });
 
+    it('expects valid mock match counts', function () {
+      assert.deepStrictEqual(
+        mockSchema({ times: 0, persist: 'yes', optional: 1 }, ['options'])[1],
+        [
+          '`options.times` if defined must be positive, non-zero integer (got 0)',
+          "`options.persist` if defined must be boolean (got 'yes')",
+          '`options.optional` if defined must be boolean (got 1)',
+        ]
+      );
+
+      assert.deepStrictEqual(
+        mockSchema({ times: 2, persist: true }, ['options'])[1],
+        [
+          '`options` times cannot be defined at the same time as persist (got { times: 2, persist: true })',
+        ]
+      );
+
+      assert.deepStrictEqual(
+        mockSchema({ times: 3, optional: true }, ['options']),
+        [{ times: 3, optional: true }, []]
+      );
+
+      assert.deepStrictEqual(
+        mockSchema({ persist: true, optional: false }, ['options']),
+        [{ persist: true, optional: false }, []]
+      );
+    });
+
     it('expects a valid mock req', function () {
       assert.deepStrictEqual(mockSchema({ req: 1989 }, ['options']), [
         { req: 1989 },
@@ -113,7 +203,7 @@ describe('http', function () {
           [
             '`options.req.method` if defined must be string, buffer, regular expression, or function (got 1989)',
             '`options.req.pathname` if defined must be string, buffer, regular expression, or function (got 1989)',
-            '`options.req.query` if defined must be string, buffer, regular expression, or function (got 1989)',
+            '`options.req.query` if defined must be string, buffer, regular expression, function, or plain object (got 1989)',
             '`options.req.headers` if defined must be plain object or function (got 1989)',
             '`options.req.body` if defined must be string, buffer, regular expression, or function (got 1989)',
           ],
@@ -166,6 +256,40 @@ describe('http', function () {
           '`options.req.headers.x-arr-invalid.2` if defined must be string, buffer, regular expression, or function (got {})',
         ]
       );
+
+      assert.deepStrictEqual(
+        mockSchema(
+          {
+            req: {
+              query: {
+                a: 'a',
+                b: /b/,
+                c: () => true,
+                d: ['d', Buffer.from('d', 'utf8')],
+                e: 1989,
+              },
+            },
+          },
+          ['options']
+        )[1],
+        [
+          '`options.req.query.e` must be string, buffer, regular expresson, function, or array of same (got 1989)',
+        ]
+      );
+
+      assert.deepStrictEqual(
+        mockSchema({ req: { route: /bloop/ } }, ['options'])[1],
+        ['`options.req.route` if defined must be string (got /bloop/)']
+      );
+
+      assert.deepStrictEqual(
+        mockSchema({ req: { pathname: '/bloop', route: '/:bloop' } }, [
+          'options',
+        ])[1],
+        [
+          "`options.req` pathname cannot be defined at the same time as route (got { pathname: '/bloop', route: '/:bloop' })",
+        ]
+      );
     });
 
     it('expects a valid mock res', function () {
@@ -214,7 +338,7 @@ describe('http', function () {
             },
           },
           [
-            '`options.res.body` if defined must be string, buffer, or function returning same (got 1989)',
+            '`options.res.body` if defined must be string, buffer, array, or async iterable or function returning same (got 1989)',
             '`options.res.headers` if defined must be plain object or function returning same (got 1989)',
             "`options.res.statusCode` if defined must be valid HTTP status code or function returning same (got 'bloop')",
             '`options.res.headerDelay` if defined must be positive integer or function returning same (got -1)',
@@ -343,9 +467,16 @@ describe('http', function () {
       });
 
       assert.throws(() => this.dep.reset(), {
-        name: 'PendingMockError',
+        name: 'UnmatchedRequestError',
         message:
-          "The following mocks are still pending: HTTP{req={ method: 'POST', pathname: '/' } res={ body: <Buffer 7b 22 64 61 74 61 22 3a 22 62 6c 6f 6f 70 22 7d>, statusCode: 200, headers: { 'content-type': 'application/json', 'content-length': '16' } }}",
+          "The following mocks are still pending: HTTP{req={ method: 'POST', pathname: '/' } res={ body: <Buffer 7b 22 64 61 74 61 22 3a 22 62 6c 6f 6f 70 22 7d>, statusCode: 200, headers: { 'content-type': 'application/json', 'content-length': '16' } }}\n" +
+          'The following requests were not matched:\n' +
+          "No matching mock was found for [GET / HTTP/1.1], closest mock was HTTP{req={ method: 'POST', pathname: '/' } res={ body: <Buffer 7b 22 64 61 74 61 22 3a 22 62 6c 6f 6f 70 22 7d>, statusCode: 200, headers: { 'content-type': 'application/json', 'content-length': '16' } }}:\n" +
+          "  * `method` expected 'POST' (got 'GET')\n" +
+          '  * `pathname` matched\n' +
+          '  * `query` matched\n' +
+          '  * `headers` matched\n' +
+          '  * `body` matched',
       });
     });
 
@@ -524,6 +655,130 @@ describe('http', function () {
     });
   });
 
+  describe('tls', function () {
+    it('serves https with a generated certificate', async function () {
+      const dep = await http({ tls: true });
+
+      try {
+        assert.match(dep.ca, /^-----BEGIN CERTIFICATE-----\n/);
+
+        const mock = dep.mock({
+          req: { method: 'POST', pathname: '/bloop', body: 'bleep' },
+          res: resp.json({ data: 'bloop' }),
+        });
+
+        const { res, json } = await req({
+          port: dep.port,
+          method: 'POST',
+          pathname: '/bloop',
+          bufferBody: 'bleep',
+          ca: dep.ca,
+        });
+
+        mock.assertDone();
+        assert.strictEqual(res.statusCode, 200);
+        assert.deepStrictEqual(json, { data: 'bloop' });
+
+        dep.reset();
+      } finally {
+        await dep.teardown();
+      }
+    });
+
+    it('serves https with a given key and certificate', async function () {
+      const { key, cert } = selfSignedCertificate();
+      const dep = await http({ tls: { key, cert } });
+
+      try {
+        assert.strictEqual(dep.ca, cert);
+
+        dep.mock({ req: { pathname: '/bloop' }, res: resp.text('bloop') });
+
+        const { res, responseBody } = await req({
+          port: dep.port,
+          pathname: '/bloop',
+          ca: cert,
+        });
+
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(responseBody, 'bloop');
+
+        dep.reset();
+      } finally {
+        await dep.teardown();
+      }
+    });
+
+    it('rejects clients that do not trust the certificate', async function () {
+      const dep = await http({ tls: true });
+
+      try {
+        await assert.rejects(
+          () => req({ port: dep.port, ca: selfSignedCertificate().cert }),
+          { code: 'DEPTH_ZERO_SELF_SIGNED_CERT' }
+        );
+      } finally {
+        await dep.teardown();
+      }
+    });
+
+    it('has no ca without tls', function () {
+      assert.strictEqual(this.dep.ca, undefined);
+    });
+  });
+
+  describe('binding', function () {
+    it('listens on a named host', async function () {
+      const dep = await http({ host: '127.0.0.1' });
+
+      try {
+        assert.strictEqual(dep.address, '127.0.0.1');
+        assert.strictEqual(dep.path, undefined);
+
+        dep.mock({ req: { pathname: '/bloop' }, res: resp.text('bloop') });
+
+        const { responseBody } = await req({
+          port: dep.port,
+          pathname: '/bloop',
+        });
+        assert.strictEqual(responseBody, 'bloop');
+
+        dep.reset();
+      } finally {
+        await dep.teardown();
+      }
+    });
+
+    it('listens on a unix domain socket', async function () {
+      const path = join(tmpdir(), `wirepig-http-${pid}.sock`);
+      const dep = await http({ path });
+
+      try {
+        assert.strictEqual(dep.path, path);
+        assert.strictEqual(dep.port, undefined);
+        assert.strictEqual(dep.address, undefined);
+
+        dep.mock({ req: { pathname: '/bloop' }, res: resp.text('bloop') });
+
+        const { responseBody } = await req({
+          socketPath: path,
+          pathname: '/bloop',
+        });
+        assert.strictEqual(responseBody, 'bloop');
+
+        dep.reset();
+      } finally {
+        await dep.teardown();
+      }
+    });
+
+    it('rejects when it cannot listen', async function () {
+      await assert.rejects(() => http({ port: this.dep.port }), {
+        code: 'EADDRINUSE',
+      });
+    });
+  });
+
   describe('request matching', function () {
     it('allows matching any request', async function () {
       const mock = this.dep.mock({
@@ -916,6 +1171,105 @@ describe('http', function () {
       });
     });
 
+    describe('route', function () {
+      it('allows matching pathname by route template', async function () {
+        const mock = this.dep.mock({
+          req: { method: 'GET', route: '/users/:id/orders/:orderId' },
+          res: resp.json({ data: 'bloop' }),
+        });
+
+        for (const pathname of [
+          '/users/1',
+          '/users/1/orders',
+          '/users/1/orders/',
+          '/users//orders/2',
+          '/users/1/items/2',
+          '/users/1/orders/2/items',
+        ]) {
+          const { res } = await req({ port: this.dep.port, pathname });
+          assert.strictEqual(res.statusCode, 404);
+        }
+
+        assert.throws(() => mock.assertDone(), {
+          name: 'PendingMockError',
+          message: /^Mock is still pending:/,
+        });
+
+        const { res } = await req({
+          port: this.dep.port,
+          pathname: '/users/1/orders/2',
+        });
+
+        assert.strictEqual(res.statusCode, 200);
+        mock.assertDone();
+
+        this.dep.reset({ throwOnPending: false });
+      });
+
+      it('passes route params to response functions', async function () {
+        this.dep.mock({
+          req: { route: '/users/:id/orders/:orderId' },
+          res: (req, reqBody, { id }) => ({
+            statusCode: id === 'bloop' ? 201 : 500,
+            headers: { 'x-order-id': (req, reqBody, p) => p.orderId },
+            body: (req, reqBody, params) => JSON.stringify(params),
+          }),
+        });
+
+        const { res, responseBody } = await req({
+          port: this.dep.port,
+          pathname: '/users/bloop/orders/big%20one',
+        });
+
+        assert.strictEqual(res.statusCode, 201);
+        assert.strictEqual(res.headers['x-order-id'], 'big one');
+        assert.deepStrictEqual(JSON.parse(responseBody), {
+          id: 'bloop',
+          orderId: 'big one',
+        });
+      });
+
+      it('passes empty params to response functions without a route', async function () {
+        this.dep.mock({
+          req: { pathname: '/bloop' },
+          res: { body: (req, reqBody, params) => JSON.stringify(params) },
+        });
+
+        const { responseBody } = await req({
+          port: this.dep.port,
+          pathname: '/bloop',
+        });
+
+        assert.strictEqual(responseBody, '{}');
+      });
+
+      it('describes a route mismatch', async function () {
+        this.dep.mock({
+          req: { method: 'GET', route: '/users/:id' },
+          res: { body: 'bloop' },
+        });
+
+        const { res, responseBody } = await req({
+          port: this.dep.port,
+          method: 'GET',
+          pathname: '/users',
+        });
+
+        assert.strictEqual(res.statusCode, 404);
+        assert.strictEqual(
+          responseBody,
+          "No matching mock was found for [GET /users HTTP/1.1], closest mock was HTTP{req={ method: 'GET', route: '/users/:id' } res={ body: 'bloop' }}:\n" +
+            '  * `method` matched\n' +
+            "  * `route` expected '/users/:id' (got '/users')\n" +
+            '  * `query` matched\n' +
+            '  * `headers` matched\n' +
+            '  * `body` matched'
+        );
+
+        this.dep.reset({ throwOnPending: false });
+      });
+    });
+
     describe('query', function () {
       it('allows matching query by string', async function () {
         const mock = this.dep.mock({
@@ -1093,6 +1447,74 @@ describe('http', function () {
           query: '?bloop=3&bleep=3&bleep=4',
         });
       });
+      it('allows matching query by object', async function () {
+        const mock = this.dep.mock({
+          req: {
+            pathname: '/bloop',
+            query: {
+              bloop: 'true',
+              bleep: ['1', /^\d$/],
+              blarp: (v) => v.startsWith('big'),
+              'with space': Buffer.from('a b', 'utf8'),
+            },
+          },
+          res: resp.json({ data: 'bloop' }),
+        });
+
+        for (const query of [
+          '',
+          '?bloop=true&bleep=1&bleep=2&blarp=bigone',
+          '?bloop=false&bleep=1&bleep=2&blarp=bigone&with%20space=a+b',
+          '?bloop=true&bleep=1&blarp=bigone&with%20space=a+b',
+          '?bloop=true&bleep=1&bleep=x&blarp=bigone&with%20space=a+b',
+        ]) {
+          await req({ port: this.dep.port, pathname: '/bloop', query });
+        }
+
+        assert.throws(() => mock.assertDone(), {
+          name: 'PendingMockError',
+          message: /^Mock is still pending:/,
+        });
+
+        await req({
+          port: this.dep.port,
+          pathname: '/bloop',
+          query:
+            '?utm_source=x&blarp=bigone&bleep=1&with%20space=a+b&bleep=2&bloop=true',
+        });
+
+        mock.assertDone();
+
+        this.dep.reset({ throwOnPending: false });
+      });
+
+      it('describes a query object mismatch', async function () {
+        this.dep.mock({
+          req: { query: { bloop: 'true', bleep: ['1', '2'] } },
+          res: { body: 'bloop' },
+        });
+
+        const { res, responseBody } = await req({
+          port: this.dep.port,
+          method: 'GET',
+          pathname: '/bloop',
+          query: '?bloop=true&bleep=1',
+        });
+
+        assert.strictEqual(res.statusCode, 404);
+        assert.strictEqual(
+          responseBody,
+          "No matching mock was found for [GET /bloop?bloop=true&bleep=1 HTTP/1.1], closest mock was HTTP{req={ query: { bloop: 'true', bleep: [ '1', '2' ] } } res={ body: 'bloop' }}:\n" +
+            '  * `method` matched\n' +
+            '  * `pathname` matched\n' +
+            '  * `query.bloop` matched\n' +
+            "  * `query.bleep` expected [ '1', '2' ] (got '1')\n" +
+            '  * `headers` matched\n' +
+            '  * `body` matched'
+        );
+
+        this.dep.reset({ throwOnPending: false });
+      });
     });
 
     describe('headers', function () {
@@ -1267,75 +1689,46 @@ describe('http', function () {
         });
       });
 
-      it('allows matching headers, case-sensitive', async function () {
+      it('allows matching headers, case-insensitive', async function () {
         const mock = this.dep.mock({
-          req: { headers: { 'X-Bloop': 'true' } },
+          req: { headers: { 'Content-Type': /json$/, 'x-bloop': 'true' } },
           res: resp.json({ data: 'bloop' }),
         });
 
-        assert.throws(() => mock.assertDone(), {
-          name: 'PendingMockError',
-          message:
-            "Mock is still pending: HTTP{req={ headers: { 'X-Bloop': 'true' } } res={ body: <Buffer 7b 22 64 61 74 61 22 3a 22 62 6c 6f 6f 70 22 7d>, statusCode: 200, headers: { 'content-type': 'application/json', 'content-length': '16' } }}",
-        });
-
         await req({
           port: this.dep.port,
-          headers: { 'x-bloop': 'true' },
+          headers: ['CONTENT-TYPE', 'application/json', 'X-Bloop', 'true'],
         });
 
-        assert.throws(() => mock.assertDone(), {
-          name: 'PendingMockError',
-          message:
-            "Mock is still pending: HTTP{req={ headers: { 'X-Bloop': 'true' } } res={ body: <Buffer 7b 22 64 61 74 61 22 3a 22 62 6c 6f 6f 70 22 7d>, statusCode: 200, headers: { 'content-type': 'application/json', 'content-length': '16' } }}",
+        mock.assertDone();
+
+        const funcMock = this.dep.mock({
+          req: { headers: (h) => h['x-bloop'] === 'true' },
+          res: resp.json({ data: 'bloop' }),
         });
 
         await req({
           port: this.dep.port,
-          headers: { 'X-Bloop': 'true' },
+          headers: { 'X-BLOOP': 'true' },
         });
 
-        mock.assertDone();
-
-        const funcMock = this.dep.mock({
-          req: { headers: { 'X-Bloop': (v) => v.endsWith('oop') } },
-          res: resp.json({ data: 'bloop' }),
-        });
-
-        await req({
-          port: this.dep.port,
-          headers: { 'x-bloop': 'bloop' },
-        });
-
-        assert.throws(() => funcMock.assertDone(), {
-          name: 'PendingMockError',
-          message:
-            "Mock is still pending: HTTP{req={ headers: { 'X-Bloop': [Function: X-Bloop] } } res={ body: <Buffer 7b 22 64 61 74 61 22 3a 22 62 6c 6f 6f 70 22 7d>, statusCode: 200, headers: { 'content-type': 'application/json', 'content-length': '16' } }}",
-        });
-
-        await req({
-          port: this.dep.port,
-          headers: { 'X-Bloop': 'bloop' },
-        });
+        funcMock.assertDone();
       });
 
-      it('allows matching headers with duplicated field names', async function () {
+      it('allows matching headers with duplicated field names, case-insensitive', async function () {
         const mock = this.dep.mock({
-          req: {
-            headers: { 'X-BLOOP': ['true', 'false'], 'x-BLOOP': 'bloopin' },
-          },
+          req: { headers: { 'X-Bloop': ['true', 'false', /^bloop/] } },
           res: resp.json({ data: 'bloop' }),
         });
 
         await req({
           port: this.dep.port,
-          headers: { 'x-bloop': 'true' },
+          headers: ['X-BLOOP', 'true', 'x-bloop', 'false'],
         });
 
         assert.throws(() => mock.assertDone(), {
           name: 'PendingMockError',
-          message:
-            "Mock is still pending: HTTP{req={ headers: { 'X-BLOOP': [ 'true', 'false' ], 'x-BLOOP': 'bloopin' } } res={ body: <Buffer 7b 22 64 61 74 61 22 3a 22 62 6c 6f 6f 70 22 7d>, statusCode: 200, headers: { 'content-type': 'application/json', 'content-length': '16' } }}",
+          message: /^Mock is still pending:/,
         });
 
         await req({
@@ -1343,42 +1736,146 @@ describe('http', function () {
           headers: [
             'X-BLOOP',
             'true',
-            'X-BLOOP',
+            'x-bloop',
             'false',
-            'x-BLOOP',
+            'X-Bloop',
             'bloopin',
           ],
         });
 
         mock.assertDone();
 
-        this.dep.mock({
-          req: {
-            headers: {
-              'x-bloop': [
-                'string',
-                /^blo+p$/,
-                Buffer.from('bleep', 'utf8'),
-                (v) => v.endsWith('oop'),
-              ],
-            },
-          },
-          res: resp.json({ data: 'bloop' }),
-        });
+        this.dep.reset({ throwOnPending: false });
+      });
 
-        await req({
-          port: this.dep.port,
-          headers: [
-            'x-bloop',
-            'string',
-            'x-bloop',
-            'blooooooop',
-            'x-bloop',
-            'bleep',
-            'x-bloop',
-            'baloop',
-          ],
-        });
+      it('allows matching headers case-sensitively when opted in', async function () {
+        const dep = await http({ caseSensitiveHeaders: true });
+
+        try {
+          const mock = dep.mock({
+            req: { headers: { 'X-Bloop': 'true' } },
+            res: resp.json({ data: 'bloop' }),
+          });
+
+          assert.throws(() => mock.assertDone(), {
+            name: 'PendingMockError',
+            message:
+              "Mock is still pending: HTTP{req={ headers: { 'X-Bloop': 'true' } } res={ body: <Buffer 7b 22 64 61 74 61 22 3a 22 62 6c 6f 6f 70 22 7d>, statusCode: 200, headers: { 'content-type': 'application/json', 'content-length': '16' } }}",
+          });
+
+          await req({
+            port: dep.port,
+            headers: { 'x-bloop': 'true' },
+          });
+
+          assert.throws(() => mock.assertDone(), {
+            name: 'PendingMockError',
+            message:
+              "Mock is still pending: HTTP{req={ headers: { 'X-Bloop': 'true' } } res={ body: <Buffer 7b 22 64 61 74 61 22 3a 22 62 6c 6f 6f 70 22 7d>, statusCode: 200, headers: { 'content-type': 'application/json', 'content-length': '16' } }}",
+          });
+
+          await req({
+            port: dep.port,
+            headers: { 'X-Bloop': 'true' },
+          });
+
+          mock.assertDone();
+
+          const funcMock = dep.mock({
+            req: { headers: { 'X-Bloop': (v) => v.endsWith('oop') } },
+            res: resp.json({ data: 'bloop' }),
+          });
+
+          await req({
+            port: dep.port,
+            headers: { 'x-bloop': 'bloop' },
+          });
+
+          assert.throws(() => funcMock.assertDone(), {
+            name: 'PendingMockError',
+            message:
+              "Mock is still pending: HTTP{req={ headers: { 'X-Bloop': [Function: X-Bloop] } } res={ body: <Buffer 7b 22 64 61 74 61 22 3a 22 62 6c 6f 6f 70 22 7d>, statusCode: 200, headers: { 'content-type': 'application/json', 'content-length': '16' } }}",
+          });
+
+          await req({
+            port: dep.port,
+            headers: { 'X-Bloop': 'bloop' },
+          });
+
+          dep.reset();
+        } finally {
+          await dep.teardown();
+        }
+      });
+
+      it('allows matching headers with duplicated field names case-sensitively', async function () {
+        const dep = await http({ caseSensitiveHeaders: true });
+
+        try {
+          const mock = dep.mock({
+            req: {
+              headers: { 'X-BLOOP': ['true', 'false'], 'x-BLOOP': 'bloopin' },
+            },
+            res: resp.json({ data: 'bloop' }),
+          });
+
+          await req({
+            port: dep.port,
+            headers: { 'x-bloop': 'true' },
+          });
+
+          assert.throws(() => mock.assertDone(), {
+            name: 'PendingMockError',
+            message:
+              "Mock is still pending: HTTP{req={ headers: { 'X-BLOOP': [ 'true', 'false' ], 'x-BLOOP': 'bloopin' } } res={ body: <Buffer 7b 22 64 61 74 61 22 3a 22 62 6c 6f 6f 70 22 7d>, statusCode: 200, headers: { 'content-type': 'application/json', 'content-length': '16' } }}",
+          });
+
+          await req({
+            port: dep.port,
+            headers: [
+              'X-BLOOP',
+              'true',
+              'X-BLOOP',
+              'false',
+              'x-BLOOP',
+              'bloopin',
+            ],
+          });
+
+          mock.assertDone();
+
+          dep.mock({
+            req: {
+              headers: {
+                'x-bloop': [
+                  'string',
+                  /^blo+p$/,
+                  Buffer.from('bleep', 'utf8'),
+                  (v) => v.endsWith('oop'),
+                ],
+              },
+            },
+            res: resp.json({ data: 'bloop' }),
+          });
+
+          await req({
+            port: dep.port,
+            headers: [
+              'x-bloop',
+              'string',
+              'x-bloop',
+              'blooooooop',
+              'x-bloop',
+              'bleep',
+              'x-bloop',
+              'baloop',
+            ],
+          });
+
+          dep.reset();
+        } finally {
+          await dep.teardown();
+        }
       });
 
       it('allows matching multiple headers', async function () {
@@ -1641,539 +2138,1919 @@ describe('http', function () {
     });
   });
 
-  describe('response filling', function () {
-    it('allows setting response attributes', async function () {
-      this.dep.mock({
-        res: {
-          body: 'bloop the big one',
-          statusCode: 418,
-          headers: {
-            'content-type': 'text/plain',
-            'content-length': '17',
-            'x-bloop': 'true',
-          },
-        },
+  describe('repeated mocks', function () {
+    it('matches a mock `times` times', async function () {
+      const mock = this.dep.mock({
+        req: { pathname: '/health' },
+        res: resp.text('ok'),
+        times: 3,
       });
 
-      const { res, responseBody } = await req({ port: this.dep.port });
-
-      assert.strictEqual(res.statusCode, 418);
-      assert.strictEqual(res.headers['content-type'], 'text/plain');
-      assert.strictEqual(res.headers['content-length'], '17');
-      assert.strictEqual(res.headers['x-bloop'], 'true');
-      assert.deepStrictEqual(responseBody, 'bloop the big one');
-    });
+      for (let i = 0; i < 2; ++i) {
+        const { res } = await req({ port: this.dep.port, pathname: '/health' });
+        assert.strictEqual(res.statusCode, 200);
+        assert(mock.isPending());
+      }
 
-    it('allows setting response attributes by function', async function () {
-      this.dep.mock({
-        res: (req, reqBody) => ({
-          body: Buffer.from(`req: ${reqBody}`, 'utf8'),
-          statusCode: 200,
-          headers: {
-            'content-type': 'text/plain',
-            'content-length': '22',
-            'x-method': req.method,
-            'x-url': req.url,
-          },
-        }),
+      assert.throws(() => mock.assertDone(), {
+        name: 'PendingMockError',
+        message:
+          "Mock is still pending: HTTP{req={ pathname: '/health' } res={ body: <Buffer 6f 6b>, statusCode: 200, headers: { 'content-type': 'text/plain', 'content-length': '2' } } times=3}",
       });
 
-      const { res, responseBody } = await req({
+      const { res } = await req({ port: this.dep.port, pathname: '/health' });
+      assert.strictEqual(res.statusCode, 200);
+      assert(!mock.isPending());
+      mock.assertDone();
+
+      const { res: res2 } = await req({
         port: this.dep.port,
-        pathname: '/big-bloopin',
-        bufferBody: Buffer.from('bloop the big one', 'utf8'),
+        pathname: '/health',
       });
+      assert.strictEqual(res2.statusCode, 404);
+    });
 
-      assert.strictEqual(res.statusCode, 200);
-      assert.strictEqual(res.headers['content-type'], 'text/plain');
-      assert.strictEqual(res.headers['content-length'], '22');
-      assert.strictEqual(res.headers['x-method'], 'GET');
-      assert.strictEqual(res.headers['x-url'], '/big-bloopin');
-      assert.deepStrictEqual(responseBody, 'req: bloop the big one');
+    it('reset() fails with a partially matched mock', async function () {
+      this.dep.mock({ req: { pathname: '/health' }, times: 2 });
+
+      await req({ port: this.dep.port, pathname: '/health' });
+
+      assert.throws(() => this.dep.reset(), {
+        name: 'PendingMockError',
+        message:
+          "The following mocks are still pending: HTTP{req={ pathname: '/health' } times=2}",
+      });
     });
 
-    it('has defaults for all response attributes (no obj)', async function () {
-      this.dep.mock();
-      const { res, responseBody } = await req({ port: this.dep.port });
+    it('matches a persisted mock any number of times', async function () {
+      const mock = this.dep.mock({
+        req: { pathname: '/health' },
+        res: resp.text('ok'),
+        persist: true,
+      });
 
-      assert.strictEqual(res.statusCode, 200);
-      assert.strictEqual(res.headers['transfer-encoding'], 'chunked');
-      assert(res.headers['connection'].length > 0);
-      assert(res.headers['date'].length > 0);
-      assert.deepStrictEqual(responseBody, '');
+      assert(mock.isPending());
+
+      for (let i = 0; i < 30; ++i) {
+        const { res } = await req({ port: this.dep.port, pathname: '/health' });
+        assert.strictEqual(res.statusCode, 200);
+        mock.assertDone();
+      }
     });
 
-    it('has defaults for all response attributes (empty obj)', async function () {
-      this.dep.mock({});
-      const { res, responseBody } = await req({ port: this.dep.port });
+    it('reset() fails with an unmatched persisted mock', function () {
+      this.dep.mock({ req: { pathname: '/health' }, persist: true });
 
-      assert.strictEqual(res.statusCode, 200);
-      assert.strictEqual(res.headers['transfer-encoding'], 'chunked');
-      assert(res.headers['connection'].length > 0);
-      assert(res.headers['date'].length > 0);
-      assert.deepStrictEqual(responseBody, '');
+      assert.throws(() => this.dep.reset(), {
+        name: 'PendingMockError',
+        message:
+          "The following mocks are still pending: HTTP{req={ pathname: '/health' } persist=true}",
+      });
     });
 
-    it('has defaults for all response attributes (() => undefined)', async function () {
-      this.dep.mock({ res: () => undefined });
-      const { res, responseBody } = await req({ port: this.dep.port });
+    it('never considers an optional mock pending', async function () {
+      const mock = this.dep.mock({
+        req: { pathname: '/health' },
+        res: resp.text('ok'),
+        optional: true,
+      });
 
-      assert.strictEqual(res.statusCode, 200);
-      assert.strictEqual(res.headers['transfer-encoding'], 'chunked');
-      assert(res.headers['connection'].length > 0);
-      assert(res.headers['date'].length > 0);
-      assert.deepStrictEqual(responseBody, '');
+      assert(!mock.isPending());
+      mock.assertDone();
+      this.dep.reset();
+
+      const persisted = this.dep.mock({
+        req: { pathname: '/health' },
+        res: resp.text('ok'),
+        persist: true,
+        optional: true,
+      });
+
+      for (let i = 0; i < 3; ++i) {
+        const { res } = await req({ port: this.dep.port, pathname: '/health' });
+        assert.strictEqual(res.statusCode, 200);
+      }
+
+      persisted.assertDone();
     });
 
-    it('has defaults for all response attributes (key () => undefined)', async function () {
+    it('matches optional mocks at most once by default', async function () {
       this.dep.mock({
-        res: {
-          body: () => undefined,
-          statusCode: () => undefined,
-          headers: () => undefined,
-          headerDelay: () => undefined,
-          bodyDelay: () => undefined,
-          destroySocket: () => undefined,
-        },
+        req: { pathname: '/health' },
+        res: resp.text('ok'),
+        optional: true,
       });
 
-      const { res, responseBody } = await req({ port: this.dep.port });
-
+      const { res } = await req({ port: this.dep.port, pathname: '/health' });
       assert.strictEqual(res.statusCode, 200);
-      assert.strictEqual(res.headers['transfer-encoding'], 'chunked');
-      assert(res.headers['connection'].length > 0);
-      assert(res.headers['date'].length > 0);
-      assert.deepStrictEqual(responseBody, '');
+
+      const { res: res2 } = await req({
+        port: this.dep.port,
+        pathname: '/health',
+      });
+      assert.strictEqual(res2.statusCode, 404);
     });
+  });
 
-    it('has defaults for all response attributes (header () => undefined)', async function () {
+  describe('unmatched requests', function () {
+    it('describes the closest mock in the response', async function () {
       this.dep.mock({
-        res: {
-          headers: { 'x-bloop': () => undefined },
+        req: { method: 'POST', pathname: '/bloop', query: '?a=1' },
+      });
+
+      this.dep.mock({
+        req: {
+          method: 'GET',
+          pathname: '/bleep',
+          headers: { 'x-bloop': 'true', 'x-bleep': /^b/ },
+          body: 'bloop',
         },
       });
 
-      const { res, responseBody } = await req({ port: this.dep.port });
+      const { res, responseBody } = await req({
+        port: this.dep.port,
+        pathname: '/bleep',
+        headers: { 'x-bleep': 'bleep' },
+        bufferBody: 'bleep',
+      });
 
-      assert.strictEqual(res.statusCode, 200);
-      assert.strictEqual(res.headers['transfer-encoding'], 'chunked');
-      assert(res.headers['connection'].length > 0);
-      assert(res.headers['date'].length > 0);
-      assert.deepStrictEqual(responseBody, '');
+      assert.strictEqual(res.statusCode, 404);
+      assert.strictEqual(res.headers['content-type'], 'text/plain');
+      assert.strictEqual(
+        responseBody,
+        "No matching mock was found for [GET /bleep HTTP/1.1], closest mock was HTTP{req={ method: 'GET', pathname: '/bleep', headers: { 'x-bloop': 'true', 'x-bleep': /^b/ }, body: 'bloop' }}:\n" +
+          '  * `method` matched\n' +
+          '  * `pathname` matched\n' +
+          '  * `query` matched\n' +
+          "  * `headers.x-bloop` expected 'true' (got undefined)\n" +
+          '  * `headers.x-bleep` matched\n' +
+          "  * `body` expected 'bloop' (got 'bleep')"
+      );
+
+      this.dep.reset({ throwOnPending: false });
     });
 
-    describe('body', function () {
-      it('allows setting body by string', async function () {
-        this.dep.mock({ res: { body: 'bloop the big one' } });
-        const { res, responseBody } = await req({ port: this.dep.port });
+    it('describes a closest mock matching by function', async function () {
+      const isPost = (r) => r.method === 'POST';
+      this.dep.mock({ req: isPost });
 
-        assert.strictEqual(res.statusCode, 200);
-        assert.deepStrictEqual(responseBody, 'bloop the big one');
+      const { responseBody } = await req({
+        port: this.dep.port,
+        bufferBody: 'bloop',
       });
 
-      it('allows setting body by buffer', async function () {
-        this.dep.mock({
-          res: { body: Buffer.from('bloop the big one', 'utf8') },
-        });
-
-        const { res, responseBody } = await req({ port: this.dep.port });
+      assert.match(
+        responseBody,
+        /^No matching mock was found for \[GET \/ HTTP\/1\.1\], closest mock was HTTP\{req=\[Function: isPost\]\}:\n {2}\* `req` expected \[Function: isPost\] \(got \{ method: 'GET', pathname: '\/', query: '', headers: \{ .* \}, body: 'bloop' \}\)$/
+      );
 
-        assert.strictEqual(res.statusCode, 200);
-        assert.deepStrictEqual(responseBody, 'bloop the big one');
-      });
+      this.dep.reset({ throwOnPending: false });
+    });
 
-      it('allows setting body by function (returning string)', async function () {
-        this.dep.mock({
-          res: { body: (req, reqBody) => `req: ${reqBody}` },
-        });
+    it('ignores mocks that can no longer match', async function () {
+      this.dep.mock({ req: { pathname: '/bloop' } });
 
-        const { res, responseBody } = await req({
-          port: this.dep.port,
-          bufferBody: Buffer.from('bloop the big one', 'utf8'),
-        });
+      await req({ port: this.dep.port, pathname: '/bloop' });
 
-        assert.strictEqual(res.statusCode, 200);
-        assert.deepStrictEqual(responseBody, 'req: bloop the big one');
+      const { responseBody } = await req({
+        port: this.dep.port,
+        pathname: '/bleep',
       });
 
-      it('allows setting body by function (returning buffer)', async function () {
-        this.dep.mock({
-          res: {
-            body: (req, reqBody) => Buffer.from(`req: ${reqBody}`, 'utf8'),
-          },
-        });
+      assert.strictEqual(
+        responseBody,
+        'No matching mock was found for [GET /bleep HTTP/1.1]'
+      );
+    });
 
-        const { res, responseBody } = await req({
-          port: this.dep.port,
-          bufferBody: Buffer.from('bloop the big one', 'utf8'),
-        });
+    it('reset() lists every unmatched request', async function () {
+      this.dep.mock({ req: { pathname: '/bloop' } });
 
-        assert.strictEqual(res.statusCode, 200);
-        assert.deepStrictEqual(responseBody, 'req: bloop the big one');
+      await req({ port: this.dep.port, pathname: '/bleep' });
+      await req({ port: this.dep.port, pathname: '/blorp' });
+
+      assert.throws(() => this.dep.reset(), {
+        name: 'UnmatchedRequestError',
+        message:
+          "The following mocks are still pending: HTTP{req={ pathname: '/bloop' }}\n" +
+          'The following requests were not matched:\n' +
+          "No matching mock was found for [GET /bleep HTTP/1.1], closest mock was HTTP{req={ pathname: '/bloop' }}:\n" +
+          '  * `method` matched\n' +
+          "  * `pathname` expected '/bloop' (got '/bleep')\n" +
+          '  * `query` matched\n' +
+          '  * `headers` matched\n' +
+          '  * `body` matched\n' +
+          "No matching mock was found for [GET /blorp HTTP/1.1], closest mock was HTTP{req={ pathname: '/bloop' }}:\n" +
+          '  * `method` matched\n' +
+          "  * `pathname` expected '/bloop' (got '/blorp')\n" +
+          '  * `query` matched\n' +
+          '  * `headers` matched\n' +
+          '  * `body` matched',
       });
     });
 
-    describe('statusCode', function () {
-      it('allows setting statusCode by integer', async function () {
-        this.dep.mock({ res: { statusCode: 404 } });
-        const { res, responseBody } = await req({ port: this.dep.port });
+    it('reset() only reports unmatched requests alongside pending mocks', async function () {
+      const mock = this.dep.mock({ req: { pathname: '/bloop' } });
+
+      await req({ port: this.dep.port, pathname: '/bleep' });
+      await req({ port: this.dep.port, pathname: '/bloop' });
+
+      mock.assertDone();
+      this.dep.reset();
+    });
+
+    it('reset({ throwOnPending: false }) succeeds with unmatched requests', async function () {
+      this.dep.mock({ req: { pathname: '/bloop' } });
+
+      await req({ port: this.dep.port, pathname: '/bleep' });
+
+      this.dep.reset({ throwOnPending: false });
+    });
+  });
+
+  describe('scenarios', function () {
+    it('expects valid scenario options', function () {
+      for (const [options, error] of [
+        [
+          { scenario: 1 },
+          '`options.scenario` if defined must be string (got 1)',
+        ],
+        [
+          { scenario: 'checkout', toState: true },
+          '`options.toState` if defined must be string (got true)',
+        ],
+        [
+          { whenState: 'started' },
+          '`options.scenario` must be defined when `whenState` or `toState` is (got undefined)',
+        ],
+      ]) {
+        assert.throws(() => this.dep.mock(options), {
+          name: 'ValidationError',
+          message: `Validation failed. Resolve the following issues:\n  * ${error}`,
+        });
+      }
+    });
+
+    it('fails, then succeeds', async function () {
+      this.dep.mock({
+        req: { pathname: '/bloop' },
+        res: { statusCode: 503 },
+        scenario: 'flaky',
+        toState: 'recovered',
+      });
+      this.dep.mock({
+        req: { pathname: '/bloop' },
+        res: { body: 'bloop' },
+        persist: true,
+        scenario: 'flaky',
+        whenState: 'recovered',
+      });
+
+      assert.strictEqual(this.dep.scenario('flaky').state, 'started');
+
+      const first = await req({ port: this.dep.port, pathname: '/bloop' });
+      assert.strictEqual(first.res.statusCode, 503);
+      assert.strictEqual(this.dep.scenario('flaky').state, 'recovered');
+
+      for (let i = 0; i < 2; i++) {
+        const { res, responseBody } = await req({
+          port: this.dep.port,
+          pathname: '/bloop',
+        });
+
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(responseBody, 'bloop');
+      }
+    });
+
+    it('only matches mocks in the required state', async function () {
+      this.dep.mock({
+        req: { method: 'GET', pathname: '/users/7' },
+        res: { statusCode: 404 },
+        scenario: 'users',
+        whenState: 'started',
+      });
+      this.dep.mock({
+        req: { method: 'POST', pathname: '/users' },
+        res: { statusCode: 201 },
+        scenario: 'users',
+        toState: 'created',
+      });
+      this.dep.mock({
+        req: { method: 'GET', pathname: '/users/7' },
+        res: resp.json({ id: 7 }),
+        scenario: 'users',
+        whenState: 'created',
+      });
+
+      const before = await req({ port: this.dep.port, pathname: '/users/7' });
+      assert.strictEqual(before.res.statusCode, 404);
+
+      const created = await req({
+        port: this.dep.port,
+        method: 'POST',
+        pathname: '/users',
+        jsonBody: { name: 'bloop' },
+      });
+      assert.strictEqual(created.res.statusCode, 201);
+
+      const after = await req({ port: this.dep.port, pathname: '/users/7' });
+      assert.deepStrictEqual(after.json, { id: 7 });
+    });
+
+    it('describes a mismatched state', async function () {
+      this.dep.mock({
+        req: { pathname: '/bloop' },
+        scenario: 'checkout',
+        whenState: 'paid',
+      });
+
+      const { responseBody } = await req({
+        port: this.dep.port,
+        pathname: '/bloop',
+      });
+
+      assert.match(
+        responseBody,
+        / {2}\* `scenario\.checkout` expected 'paid' \(got 'started'\)$/
+      );
+
+      this.dep.reset({ throwOnPending: false });
+    });
+
+    it('keeps scenarios independent', async function () {
+      this.dep.mock({ scenario: 'a', toState: 'done' });
+
+      await req({ port: this.dep.port });
+
+      assert.strictEqual(this.dep.scenario('a').state, 'done');
+      assert.strictEqual(this.dep.scenario('b').state, 'started');
+    });
+
+    it('reset() returns scenarios to their start', async function () {
+      this.dep.mock({ scenario: 'a', toState: 'done' });
+
+      await req({ port: this.dep.port });
+      this.dep.reset();
+
+      assert.strictEqual(this.dep.scenario('a').state, 'started');
+    });
+  });
+
+  describe('strict', function () {
+    before(async function () {
+      this.strictDep = await http({ strict: true });
+    });
+
+    afterEach(function () {
+      this.strictDep.reset({ throwOnPending: false });
+    });
+
+    after(async function () {
+      await this.strictDep.teardown();
+    });
+
+    it('reset() fails with unexpected requests', async function () {
+      const mock = this.strictDep.mock({ req: { pathname: '/bloop' } });
+
+      await req({ port: this.strictDep.port, pathname: '/bleep' });
+      await req({ port: this.strictDep.port, pathname: '/bloop' });
+
+      mock.assertDone();
+
+      assert.throws(() => this.strictDep.reset(), {
+        name: 'UnexpectedRequestError',
+        message:
+          'The following requests were not expected:\n' +
+          "No matching mock was found for [GET /bleep HTTP/1.1], closest mock was HTTP{req={ pathname: '/bloop' }}:\n" +
+          '  * `method` matched\n' +
+          "  * `pathname` expected '/bloop' (got '/bleep')\n" +
+          '  * `query` matched\n' +
+          '  * `headers` matched\n' +
+          '  * `body` matched',
+      });
+
+      this.strictDep.reset();
+    });
+
+    it('reset() succeeds with no unexpected requests', async function () {
+      this.strictDep.mock({ req: { pathname: '/bloop' } });
+
+      await req({ port: this.strictDep.port, pathname: '/bloop' });
+
+      this.strictDep.reset();
+    });
+
+    it('reset() reports pending mocks first', async function () {
+      this.strictDep.mock({ req: { pathname: '/bloop' } });
+      this.strictDep.mock({ req: { pathname: '/bloop' } });
+
+      await req({ port: this.strictDep.port, pathname: '/bloop' });
+      await req({ port: this.strictDep.port, pathname: '/bleep' });
+
+      assert.throws(() => this.strictDep.reset(), {
+        name: 'UnmatchedRequestError',
+      });
+    });
+
+    it('reset({ throwOnPending: false }) still fails with unexpected requests', async function () {
+      this.strictDep.mock({ req: { pathname: '/bloop' } });
+
+      await req({ port: this.strictDep.port, pathname: '/bleep' });
+
+      assert.throws(() => this.strictDep.reset({ throwOnPending: false }), {
+        name: 'UnexpectedRequestError',
+      });
+    });
+  });
+
+  describe('request history', function () {
+    it('records requests matched by a mock', async function () {
+      const mock = this.dep.mock({
+        req: { method: 'POST', pathname: '/bloop' },
+        res: resp.text('ok'),
+        times: 2,
+      });
+
+      assert.deepStrictEqual(mock.calls, []);
+      assert.strictEqual(mock.lastCall, undefined);
+
+      await req({
+        port: this.dep.port,
+        method: 'POST',
+        pathname: '/bloop',
+        query: '?id=1',
+        headers: { 'x-bloop': 'true' },
+        bufferBody: 'first',
+      });
+
+      await req({
+        port: this.dep.port,
+        method: 'POST',
+        pathname: '/bloop',
+        query: '?id=2',
+        bufferBody: 'second',
+      });
+
+      assert.strictEqual(mock.calls.length, 2);
+      assert.deepStrictEqual(
+        mock.calls.map(({ method, pathname, query, body }) => ({
+          method,
+          pathname,
+          query,
+          body: body.toString('utf8'),
+        })),
+        [
+          { method: 'POST', pathname: '/bloop', query: '?id=1', body: 'first' },
+          {
+            method: 'POST',
+            pathname: '/bloop',
+            query: '?id=2',
+            body: 'second',
+          },
+        ]
+      );
+
+      assert.strictEqual(mock.calls[0].headers['x-bloop'], 'true');
+      assert.strictEqual(mock.calls[1].headers['x-bloop'], undefined);
+      assert.deepStrictEqual(mock.lastCall, mock.calls[1]);
+      assert(Buffer.isBuffer(mock.lastCall.body));
+    });
+
+    it('records every request received by the server', async function () {
+      this.dep.mock({ req: { pathname: '/bloop' }, res: resp.text('ok') });
+
+      assert.deepStrictEqual(this.dep.requests, []);
+      assert.deepStrictEqual(this.dep.unmatchedRequests, []);
+
+      await req({ port: this.dep.port, pathname: '/bleep' });
+      await req({ port: this.dep.port, pathname: '/bloop' });
+
+      assert.deepStrictEqual(
+        this.dep.requests.map((r) => r.pathname),
+        ['/bleep', '/bloop']
+      );
+
+      assert.deepStrictEqual(
+        this.dep.unmatchedRequests.map((r) => r.pathname),
+        ['/bleep']
+      );
+
+      this.dep.reset();
+
+      assert.deepStrictEqual(this.dep.requests, []);
+      assert.deepStrictEqual(this.dep.unmatchedRequests, []);
+    });
+
+    it('returns copies of recorded requests', async function () {
+      const mock = this.dep.mock({ res: resp.text('ok') });
+
+      await req({ port: this.dep.port });
+
+      mock.calls.pop();
+      this.dep.requests.pop();
+
+      assert.strictEqual(mock.calls.length, 1);
+      assert.strictEqual(this.dep.requests.length, 1);
+    });
+  });
+
+  describe('response filling', function () {
+    it('allows setting response attributes', async function () {
+      this.dep.mock({
+        res: {
+          body: 'bloop the big one',
+          statusCode: 418,
+          headers: {
+            'content-type': 'text/plain',
+            'content-length': '17',
+            'x-bloop': 'true',
+          },
+        },
+      });
+
+      const { res, responseBody } = await req({ port: this.dep.port });
+
+      assert.strictEqual(res.statusCode, 418);
+      assert.strictEqual(res.headers['content-type'], 'text/plain');
+      assert.strictEqual(res.headers['content-length'], '17');
+      assert.strictEqual(res.headers['x-bloop'], 'true');
+      assert.deepStrictEqual(responseBody, 'bloop the big one');
+    });
+
+    it('allows setting response attributes by function', async function () {
+      this.dep.mock({
+        res: (req, reqBody) => ({
+          body: Buffer.from(`req: ${reqBody}`, 'utf8'),
+          statusCode: 200,
+          headers: {
+            'content-type': 'text/plain',
+            'content-length': '22',
+            'x-method': req.method,
+            'x-url': req.url,
+          },
+        }),
+      });
+
+      const { res, responseBody } = await req({
+        port: this.dep.port,
+        pathname: '/big-bloopin',
+        bufferBody: Buffer.from('bloop the big one', 'utf8'),
+      });
+
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.headers['content-type'], 'text/plain');
+      assert.strictEqual(res.headers['content-length'], '22');
+      assert.strictEqual(res.headers['x-method'], 'GET');
+      assert.strictEqual(res.headers['x-url'], '/big-bloopin');
+      assert.deepStrictEqual(responseBody, 'req: bloop the big one');
+    });
+
+    it('has defaults for all response attributes (no obj)', async function () {
+      this.dep.mock();
+      const { res, responseBody } = await req({ port: this.dep.port });
+
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.headers['transfer-encoding'], 'chunked');
+      assert(res.headers['connection'].length > 0);
+      assert(res.headers['date'].length > 0);
+      assert.deepStrictEqual(responseBody, '');
+    });
+
+    it('has defaults for all response attributes (empty obj)', async function () {
+      this.dep.mock({});
+      const { res, responseBody } = await req({ port: this.dep.port });
+
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.headers['transfer-encoding'], 'chunked');
+      assert(res.headers['connection'].length > 0);
+      assert(res.headers['date'].length > 0);
+      assert.deepStrictEqual(responseBody, '');
+    });
+
+    it('has defaults for all response attributes (() => undefined)', async function () {
+      this.dep.mock({ res: () => undefined });
+      const { res, responseBody } = await req({ port: this.dep.port });
+
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.headers['transfer-encoding'], 'chunked');
+      assert(res.headers['connection'].length > 0);
+      assert(res.headers['date'].length > 0);
+      assert.deepStrictEqual(responseBody, '');
+    });
+
+    it('has defaults for all response attributes (key () => undefined)', async function () {
+      this.dep.mock({
+        res: {
+          body: () => undefined,
+          statusCode: () => undefined,
+          headers: () => undefined,
+          headerDelay: () => undefined,
+          bodyDelay: () => undefined,
+          destroySocket: () => undefined,
+        },
+      });
+
+      const { res, responseBody } = await req({ port: this.dep.port });
+
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.headers['transfer-encoding'], 'chunked');
+      assert(res.headers['connection'].length > 0);
+      assert(res.headers['date'].length > 0);
+      assert.deepStrictEqual(responseBody, '');
+    });
+
+    it('has defaults for all response attributes (header () => undefined)', async function () {
+      this.dep.mock({
+        res: {
+          headers: { 'x-bloop': () => undefined },
+        },
+      });
+
+      const { res, responseBody } = await req({ port: this.dep.port });
+
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.headers['transfer-encoding'], 'chunked');
+      assert(res.headers['connection'].length > 0);
+      assert(res.headers['date'].length > 0);
+      assert.deepStrictEqual(responseBody, '');
+    });
+
+    describe('body', function () {
+      it('allows setting body by string', async function () {
+        this.dep.mock({ res: { body: 'bloop the big one' } });
+        const { res, responseBody } = await req({ port: this.dep.port });
+
+        assert.strictEqual(res.statusCode, 200);
+        assert.deepStrictEqual(responseBody, 'bloop the big one');
+      });
+
+      it('allows setting body by buffer', async function () {
+        this.dep.mock({
+          res: { body: Buffer.from('bloop the big one', 'utf8') },
+        });
+
+        const { res, responseBody } = await req({ port: this.dep.port });
+
+        assert.strictEqual(res.statusCode, 200);
+        assert.deepStrictEqual(responseBody, 'bloop the big one');
+      });
+
+      it('allows setting body by function (returning string)', async function () {
+        this.dep.mock({
+          res: { body: (req, reqBody) => `req: ${reqBody}` },
+        });
+
+        const { res, responseBody } = await req({
+          port: this.dep.port,
+          bufferBody: Buffer.from('bloop the big one', 'utf8'),
+        });
+
+        assert.strictEqual(res.statusCode, 200);
+        assert.deepStrictEqual(responseBody, 'req: bloop the big one');
+      });
+
+      it('allows setting body by function (returning buffer)', async function () {
+        this.dep.mock({
+          res: {
+            body: (req, reqBody) => Buffer.from(`req: ${reqBody}`, 'utf8'),
+          },
+        });
+
+        const { res, responseBody } = await req({
+          port: this.dep.port,
+          bufferBody: Buffer.from('bloop the big one', 'utf8'),
+        });
+
+        assert.strictEqual(res.statusCode, 200);
+        assert.deepStrictEqual(responseBody, 'req: bloop the big one');
+      });
+    });
+
+    describe('statusCode', function () {
+      it('allows setting statusCode by integer', async function () {
+        this.dep.mock({ res: { statusCode: 404 } });
+        const { res, responseBody } = await req({ port: this.dep.port });
 
         assert.strictEqual(res.statusCode, 404);
         assert.deepStrictEqual(responseBody, '');
       });
 
-      it('allows setting statusCode by function', async function () {
-        this.dep.mock({
-          res: { statusCode: (req) => parseInt(req.headers['x-code'], 10) },
+      it('allows setting statusCode by function', async function () {
+        this.dep.mock({
+          res: { statusCode: (req) => parseInt(req.headers['x-code'], 10) },
+        });
+
+        const { res, responseBody } = await req({
+          port: this.dep.port,
+          headers: { 'x-code': '301' },
+        });
+
+        assert.strictEqual(res.statusCode, 301);
+        assert.deepStrictEqual(responseBody, '');
+      });
+    });
+
+    describe('headers', function () {
+      it('allows setting headers by string', async function () {
+        this.dep.mock({
+          res: { headers: { 'x-bloop': 'true' } },
+        });
+
+        const { res, responseBody } = await req({ port: this.dep.port });
+
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(res.headers['x-bloop'], 'true');
+        assert.deepStrictEqual(responseBody, '');
+      });
+
+      it('allows setting headers by buffer', async function () {
+        this.dep.mock({
+          res: { headers: { 'x-bloop': Buffer.from('true', 'utf8') } },
+        });
+
+        const { res, responseBody } = await req({ port: this.dep.port });
+
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(res.headers['x-bloop'], 'true');
+        assert.deepStrictEqual(responseBody, '');
+      });
+
+      it('allows setting headers by function', async function () {
+        this.dep.mock({
+          res: {
+            headers: (req, reqBody) => ({
+              'x-method': req.method,
+              'x-body': reqBody,
+            }),
+          },
+        });
+
+        const { res, responseBody } = await req({
+          port: this.dep.port,
+          bufferBody: Buffer.from('bloop the big one', 'utf8', 'utf8'),
+        });
+
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(res.headers['x-method'], 'GET');
+        assert.strictEqual(res.headers['x-body'], 'bloop the big one');
+        assert.deepStrictEqual(responseBody, '');
+      });
+
+      it('allows setting headers by function that returns obj of function', async function () {
+        this.dep.mock({
+          res: {
+            headers: (req) => ({
+              'x-method': () => req.method,
+            }),
+          },
+        });
+
+        const { res, responseBody } = await req({ port: this.dep.port });
+
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(res.headers['x-method'], 'GET');
+        assert.deepStrictEqual(responseBody, '');
+      });
+
+      it('allows setting headers by key function (returning string)', async function () {
+        this.dep.mock({
+          res: { headers: { 'x-method': (req) => req.method } },
+        });
+
+        const { res, responseBody } = await req({ port: this.dep.port });
+
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(res.headers['x-method'], 'GET');
+        assert.deepStrictEqual(responseBody, '');
+      });
+
+      it('allows setting headers by key function (returning buffer)', async function () {
+        this.dep.mock({
+          res: {
+            headers: { 'x-method': (req) => Buffer.from(req.method, 'utf8') },
+          },
+        });
+
+        const { res, responseBody } = await req({ port: this.dep.port });
+
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(res.headers['x-method'], 'GET');
+        assert.deepStrictEqual(responseBody, '');
+      });
+
+      it('coerces undefined to empty string', async function () {
+        this.dep.mock({
+          res: { headers: { 'x-bloop': undefined } },
+        });
+
+        const { res, responseBody } = await req({ port: this.dep.port });
+
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(res.headers['x-bloop'], '');
+        assert.deepStrictEqual(responseBody, '');
+      });
+
+      it('allows setting headers with duplicate keys', async function () {
+        this.dep.mock({
+          res: {
+            headers: { 'x-bloop': ['1', Buffer.from('2', 'utf8'), undefined] },
+          },
+        });
+
+        const { res } = await req({ port: this.dep.port });
+
+        assert.deepStrictEqual(res.rawHeaders.slice(0, 6), [
+          'x-bloop',
+          '1',
+          'x-bloop',
+          '2',
+          'x-bloop',
+          '',
+        ]);
+      });
+
+      it('allows setting headers with duplicate keys by function', async function () {
+        this.dep.mock({
+          res: {
+            headers: (req, reqBody) => ({
+              [req.headers['header-name']]: ['1', reqBody],
+            }),
+          },
+        });
+
+        const { res } = await req({
+          port: this.dep.port,
+          headers: { 'header-name': 'x-bloop' },
+          bufferBody: Buffer.from('bloop', 'utf8'),
+        });
+
+        assert.deepStrictEqual(res.rawHeaders.slice(0, 4), [
+          'x-bloop',
+          '1',
+          'x-bloop',
+          'bloop',
+        ]);
+      });
+
+      it('allows setting headers with duplicate keys by key function', async function () {
+        this.dep.mock({
+          res: {
+            headers: {
+              'x-bloop': (req, reqBody) => [
+                req.headers['header-value'],
+                reqBody,
+              ],
+            },
+          },
+        });
+
+        const { res } = await req({
+          port: this.dep.port,
+          headers: { 'header-value': 'bloop-1' },
+          bufferBody: Buffer.from('bloop-2', 'utf8'),
+        });
+
+        assert.deepStrictEqual(res.rawHeaders.slice(0, 4), [
+          'x-bloop',
+          'bloop-1',
+          'x-bloop',
+          'bloop-2',
+        ]);
+      });
+
+      it('allows setting headers with duplicate keys by array value function', async function () {
+        this.dep.mock({
+          res: {
+            headers: {
+              'x-bloop': [
+                (req) => req.headers['header-value'],
+                (req, reqBody) => reqBody,
+              ],
+            },
+          },
+        });
+
+        const { res } = await req({
+          port: this.dep.port,
+          headers: { 'header-value': 'bloop-1' },
+          bufferBody: Buffer.from('bloop-2', 'utf8'),
+        });
+
+        assert.deepStrictEqual(res.rawHeaders.slice(0, 4), [
+          'x-bloop',
+          'bloop-1',
+          'x-bloop',
+          'bloop-2',
+        ]);
+      });
+
+      it('allows setting headers with duplicate keys with a missing value', async function () {
+        this.dep.mock({
+          res: { headers: { 'x-bloop': ['1', undefined] } },
+        });
+
+        const { res } = await req({ port: this.dep.port });
+
+        assert.deepStrictEqual(res.rawHeaders.slice(0, 4), [
+          'x-bloop',
+          '1',
+          'x-bloop',
+          '',
+        ]);
+      });
+    });
+
+    describe('headerDelay', function () {
+      it('allows setting a header delay by number', async function () {
+        const start = new Date();
+        let receivedHeaders = null;
+        this.dep.mock({ res: { headerDelay: 100 } });
+
+        const events = [];
+
+        const first = req({
+          port: this.dep.port,
+          onEvent: (n) => {
+            events.push(`first ${n}`);
+            receivedHeaders = new Date();
+          },
+        }).then(({ res }) =>
+          events.push(`first res recieved: ${res.statusCode}`)
+        );
+
+        await wait(10);
+
+        const second = req({
+          port: this.dep.port,
+          onEvent: (n) => events.push(`second ${n}`),
+        }).then(({ res }) =>
+          events.push(`second res recieved: ${res.statusCode}`)
+        );
+
+        await Promise.all([first, second]);
+        const end = new Date();
+
+        assert.deepStrictEqual(events, [
+          'second received-headers',
+          'second res recieved: 404',
+          'first received-headers',
+          'first res recieved: 200',
+        ]);
+
+        assert(end - start >= 100);
+        assert(receivedHeaders - start >= 100);
+        assert(end - receivedHeaders < 5);
+      });
+
+      it('allows setting a header delay by function', async function () {
+        const start = new Date();
+
+        this.dep.mock({
+          res: { headerDelay: (req) => parseInt(req.headers['x-delay'], 10) },
+        });
+
+        await req({ port: this.dep.port, headers: { 'x-delay': '50' } });
+
+        const end = new Date();
+        assert(end - start >= 50);
+      });
+    });
+
+    describe('bodyDelay', function () {
+      it('allows setting a body delay by number', async function () {
+        const start = new Date();
+        let receivedHeaders = null;
+        this.dep.mock({ res: { ...resp.text('bloop'), bodyDelay: 100 } });
+
+        const events = [];
+
+        const first = req({
+          port: this.dep.port,
+          onEvent: (n) => {
+            events.push(`first ${n}`);
+            receivedHeaders = new Date();
+          },
+        }).then(({ res }) =>
+          events.push(`first res recieved: ${res.statusCode}`)
+        );
+
+        await wait(10);
+
+        const second = req({
+          port: this.dep.port,
+          onEvent: (n) => events.push(`second ${n}`),
+        }).then(({ res }) =>
+          events.push(`second res recieved: ${res.statusCode}`)
+        );
+
+        await Promise.all([first, second]);
+        const end = new Date();
+
+        assert.deepStrictEqual(events, [
+          'first received-headers',
+          'second received-headers',
+          'second res recieved: 404',
+          'first res recieved: 200',
+        ]);
+
+        assert(end - start >= 90);
+        assert(receivedHeaders - start < 100);
+        assert(end - receivedHeaders >= 90);
+      });
+
+      it('allows setting a body delay by function', async function () {
+        this.timeout(10000);
+        const start = new Date();
+
+        this.dep.mock({
+          res: {
+            ...resp.text('bloop'),
+            bodyDelay: (req) => parseInt(req.headers['x-delay'], 10),
+          },
+        });
+
+        await req({ port: this.dep.port, headers: { 'x-delay': '50' } });
+
+        const end = new Date();
+        assert(end - start >= 45);
+      });
+    });
+
+    describe('destroySocket', function () {
+      it('hangs up a socket', async function () {
+        this.dep.mock({
+          res: { ...resp.text('bloop'), destroySocket: true },
+        });
+
+        await assert.rejects(() => req({ port: this.dep.port }), {
+          name: 'Error',
+          code: 'ECONNRESET',
+          message: 'socket hang up',
+        });
+      });
+    });
+  });
+
+  describe('proxy', function () {
+    before(async function () {
+      this.upstream = await http();
+      this.file = join(tmpdir(), `wirepig-http-${pid}.json`);
+    });
+
+    afterEach(function () {
+      this.upstream.reset();
+      rmSync(this.file, { force: true });
+    });
+
+    after(async function () {
+      await this.upstream.teardown();
+    });
+
+    it('expects valid proxy options', function () {
+      for (const [options, error] of [
+        [
+          { proxy: 'localhost:9000' },
+          "`options.proxy` if defined must be http or https URL (got 'localhost:9000')",
+        ],
+        [
+          { proxy: 'ftp://localhost:9000' },
+          "`options.proxy` if defined must be http or https URL (got 'ftp://localhost:9000')",
+        ],
+        [{ record: 1 }, '`options.record` if defined must be string (got 1)'],
+        [
+          { record: 'fixtures/x.json' },
+          '`options.proxy` must be defined when `record` is (got undefined)',
+        ],
+      ]) {
+        assert.throws(() => http(options), {
+          name: 'ValidationError',
+          message: `Validation failed. Resolve the following issues:\n  * ${error}`,
+        });
+      }
+    });
+
+    it('forwards requests beneath the proxy url path', async function () {
+      this.upstream.mock({
+        req: { pathname: '/api/bloop', query: '?a=1' },
+        res: { body: 'bloop' },
+      });
+
+      const dep = await http({
+        proxy: `http://localhost:${this.upstream.port}/api/`,
+      });
+
+      try {
+        const { res, responseBody } = await req({
+          port: dep.port,
+          pathname: '/bloop',
+          query: '?a=1',
+        });
+
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(responseBody, 'bloop');
+
+        dep.reset();
+      } finally {
+        await dep.teardown();
+      }
+    });
+
+    it('forwards unmatched requests and records them', async function () {
+      this.upstream.mock({
+        req: {
+          method: 'POST',
+          pathname: '/bloop',
+          query: '?a=1',
+          headers: { host: `localhost:${this.upstream.port}` },
+          body: 'bleep',
+        },
+        res: {
+          statusCode: 201,
+          headers: { 'x-bloop': ['1', '2'] },
+          body: 'bloop',
+        },
+      });
+      this.upstream.mock({
+        req: { pathname: '/binary' },
+        res: { body: Buffer.from([0xff, 0x00]) },
+      });
+
+      const dep = await http({
+        proxy: `http://localhost:${this.upstream.port}`,
+        record: this.file,
+      });
+
+      try {
+        dep.mock({ req: { pathname: '/local' }, res: { body: 'local' } });
+
+        const { res, responseBody } = await req({
+          port: dep.port,
+          method: 'POST',
+          pathname: '/bloop',
+          query: '?a=1',
+          headers: { authorization: 'secret' },
+          bufferBody: 'bleep',
+        });
+
+        assert.strictEqual(res.statusCode, 201);
+        assert.strictEqual(res.headers['x-bloop'], '1, 2');
+        assert.strictEqual(responseBody, 'bloop');
+
+        const local = await req({ port: dep.port, pathname: '/local' });
+        assert.strictEqual(local.responseBody, 'local');
+
+        await req({ port: dep.port, pathname: '/binary' });
+
+        assert.deepStrictEqual(
+          dep.unmatchedRequests.map((r) => r.pathname),
+          ['/bloop', '/binary']
+        );
+
+        dep.reset();
+      } finally {
+        await dep.teardown();
+      }
+
+      const recording = JSON.parse(readFileSync(this.file, 'utf8'));
+
+      assert.deepStrictEqual(
+        recording.map(({ req }) => req),
+        [
+          { method: 'POST', pathname: '/bloop', query: '?a=1', body: 'bleep' },
+          { method: 'GET', pathname: '/binary', query: '', body: '' },
+        ]
+      );
+      assert.strictEqual(recording[0].res.statusCode, 201);
+      assert.deepStrictEqual(recording[0].res.headers['x-bloop'], ['1', '2']);
+      assert.strictEqual(recording[0].res.body, 'bloop');
+      assert.deepStrictEqual(recording[1].res.body, { base64: '/wA=' });
+    });
+
+    it('rejects teardown when the recording cannot be written', async function () {
+      this.upstream.mock({ res: { body: 'bloop' } });
+
+      const dep = await http({
+        proxy: `http://localhost:${this.upstream.port}`,
+        record: join(tmpdir(), `wirepig-missing-${pid}`, 'http.json'),
+      });
+
+      await req({ port: dep.port });
+
+      await assert.rejects(() => dep.teardown(), { code: 'ENOENT' });
+    });
+
+    it('replays a recording as mocks', async function () {
+      writeFileSync(
+        this.file,
+        JSON.stringify([
+          {
+            req: { method: 'GET', pathname: '/bloop', query: '', body: '' },
+            res: {
+              statusCode: 200,
+              headers: { 'content-type': 'text/plain' },
+              body: 'first',
+            },
+          },
+          {
+            req: { method: 'GET', pathname: '/bloop', query: '', body: '' },
+            res: { statusCode: 200, headers: {}, body: { base64: '/wA=' } },
+          },
+        ])
+      );
+
+      const mocks = this.dep.replay(this.file);
+      assert.strictEqual(mocks.length, 2);
+
+      const first = await req({ port: this.dep.port, pathname: '/bloop' });
+      assert.strictEqual(first.res.headers['content-type'], 'text/plain');
+      assert.strictEqual(first.responseBody, 'first');
+
+      const second = await req({ port: this.dep.port, pathname: '/bloop' });
+      assert.strictEqual(
+        second.responseBody,
+        Buffer.from([0xff, 0]).toString()
+      );
+
+      mocks.forEach((m) => m.assertDone());
+    });
+
+    it('replays a recording with mock options', async function () {
+      writeFileSync(
+        this.file,
+        JSON.stringify([
+          {
+            req: { method: 'GET', pathname: '/bloop', query: '', body: '' },
+            res: { statusCode: 200, headers: {}, body: 'bloop' },
+          },
+          {
+            req: { method: 'GET', pathname: '/bleep', query: '', body: '' },
+            res: { statusCode: 200, headers: {}, body: 'bleep' },
+          },
+        ])
+      );
+
+      this.dep.replay(this.file, { persist: true, optional: true });
+
+      for (let i = 0; i < 2; i++) {
+        const { responseBody } = await req({
+          port: this.dep.port,
+          pathname: '/bloop',
         });
+        assert.strictEqual(responseBody, 'bloop');
+      }
+    });
 
+    it('answers 502 when the target is unreachable', async function () {
+      const dep = await http({ proxy: 'http://localhost:1' });
+
+      try {
         const { res, responseBody } = await req({
-          port: this.dep.port,
-          headers: { 'x-code': '301' },
+          port: dep.port,
+          pathname: '/bloop',
         });
 
-        assert.strictEqual(res.statusCode, 301);
-        assert.deepStrictEqual(responseBody, '');
-      });
+        assert.strictEqual(res.statusCode, 502);
+        assert.match(
+          responseBody,
+          /^Failed to forward \[GET \/bloop HTTP\/1\.1\] to http:\/\/localhost:1: /
+        );
+      } finally {
+        await dep.teardown();
+      }
     });
+  });
 
-    describe('headers', function () {
-      it('allows setting headers by string', async function () {
-        this.dep.mock({
-          res: { headers: { 'x-bloop': 'true' } },
+  describe('faults', function () {
+    it('expects a valid fault', function () {
+      for (const [fault, error] of [
+        [
+          'reset',
+          "`options.res.fault` if defined must be plain object or function returning same (got 'reset')",
+        ],
+        [
+          { type: 'explode' },
+          "`options.res.fault.type` must be one of 'truncate', 'contentLength', 'reset', or 'stall' (got 'explode')",
+        ],
+        [
+          { type: 'truncate', bytes: -1 },
+          '`options.res.fault.bytes` if defined must be positive integer (got -1)',
+        ],
+        [
+          { type: 'contentLength' },
+          "`options.res.fault.length` must be defined when `type` is 'contentLength' (got undefined)",
+        ],
+      ]) {
+        assert.throws(() => this.dep.mock({ res: { fault } }), {
+          name: 'ValidationError',
+          message: `Validation failed. Resolve the following issues:\n  * ${error}`,
         });
+      }
+    });
 
-        const { res, responseBody } = await req({ port: this.dep.port });
+    it('truncates a body', async function () {
+      this.dep.mock({
+        res: { body: 'bleep bloop', fault: { type: 'truncate', bytes: 5 } },
+      });
 
-        assert.strictEqual(res.statusCode, 200);
-        assert.strictEqual(res.headers['x-bloop'], 'true');
-        assert.deepStrictEqual(responseBody, '');
+      const received = [];
+      await assert.rejects(
+        () =>
+          req({
+            port: this.dep.port,
+            onChunk: (c) => received.push(c.toString('utf8')),
+          }),
+        { code: 'ECONNRESET' }
+      );
+
+      assert.strictEqual(received.join(''), 'bleep');
+    });
+
+    it('truncates a streamed body', async function () {
+      this.dep.mock({
+        res: {
+          body: ['bleep', 'bloop', 'blorp'],
+          fault: { type: 'truncate', bytes: 7 },
+        },
       });
 
-      it('allows setting headers by buffer', async function () {
-        this.dep.mock({
-          res: { headers: { 'x-bloop': Buffer.from('true', 'utf8') } },
-        });
+      const { data, code } = await rawReq({ port: this.dep.port });
 
-        const { res, responseBody } = await req({ port: this.dep.port });
+      assert.strictEqual(code, undefined);
+      assert.match(data, /^HTTP\/1\.1 200 OK\r\n/);
+      assert.match(data, /\r\n\r\n5\r\nbleep\r\n2\r\nbl\r\n$/);
+    });
 
-        assert.strictEqual(res.statusCode, 200);
-        assert.strictEqual(res.headers['x-bloop'], 'true');
-        assert.deepStrictEqual(responseBody, '');
+    it('sends a content-length longer than the body', async function () {
+      this.dep.mock({
+        res: {
+          body: 'bleep',
+          headers: { 'Content-Length': '5' },
+          fault: { type: 'contentLength', length: 10 },
+        },
       });
 
-      it('allows setting headers by function', async function () {
-        this.dep.mock({
-          res: {
-            headers: (req, reqBody) => ({
-              'x-method': req.method,
-              'x-body': reqBody,
-            }),
-          },
-        });
+      const { data, code } = await rawReq({ port: this.dep.port });
 
-        const { res, responseBody } = await req({
-          port: this.dep.port,
-          bufferBody: Buffer.from('bloop the big one', 'utf8', 'utf8'),
-        });
+      assert.strictEqual(code, undefined);
+      assert.match(data, /\r\ncontent-length: 10\r\n/);
+      assert.doesNotMatch(data, /Content-Length: 5/);
+      assert.match(data, /\r\n\r\nbleep$/);
 
-        assert.strictEqual(res.statusCode, 200);
-        assert.strictEqual(res.headers['x-method'], 'GET');
-        assert.strictEqual(res.headers['x-body'], 'bloop the big one');
-        assert.deepStrictEqual(responseBody, '');
+      this.dep.mock({
+        res: { body: 'bleep', fault: { type: 'contentLength', length: 10 } },
       });
 
-      it('allows setting headers by function that returns obj of function', async function () {
-        this.dep.mock({
-          res: {
-            headers: (req) => ({
-              'x-method': () => req.method,
-            }),
-          },
-        });
+      await assert.rejects(() => req({ port: this.dep.port }), {
+        code: 'ECONNRESET',
+      });
+    });
 
-        const { res, responseBody } = await req({ port: this.dep.port });
+    it('sends a content-length shorter than the body', async function () {
+      this.dep.mock({
+        res: {
+          body: ['bleep', 'bloop'],
+          fault: { type: 'contentLength', length: 3 },
+        },
+      });
 
-        assert.strictEqual(res.statusCode, 200);
-        assert.strictEqual(res.headers['x-method'], 'GET');
-        assert.deepStrictEqual(responseBody, '');
+      const { data, code } = await rawReq({ port: this.dep.port });
+
+      assert.strictEqual(code, undefined);
+      assert.match(data, /\r\ncontent-length: 3\r\n/);
+      assert.match(data, /\r\n\r\nbleepbloop$/);
+
+      this.dep.mock({
+        res: { body: 'bleep', fault: { type: 'contentLength', length: 3 } },
       });
 
-      it('allows setting headers by key function (returning string)', async function () {
-        this.dep.mock({
-          res: { headers: { 'x-method': (req) => req.method } },
+      const buffered = await rawReq({ port: this.dep.port });
+
+      assert.strictEqual(buffered.code, undefined);
+      assert.match(buffered.data, /\r\ncontent-length: 3\r\n/);
+      assert.match(buffered.data, /\r\n\r\nbleep$/);
+    });
+
+    it('resets a socket', async function () {
+      // Before resetAndDestroy(), a socket can only be closed gracefully.
+      if (!isFunction(Socket.prototype.resetAndDestroy)) {
+        this.skip();
+      }
+
+      this.dep.mock({ res: { body: 'bleep', fault: { type: 'reset' } } });
+
+      const { data, code } = await rawReq({ port: this.dep.port });
+
+      assert.strictEqual(code, 'ECONNRESET');
+      assert.strictEqual(data, '');
+    });
+
+    it('stalls after headers', async function () {
+      const dep = await http();
+      dep.mock({ res: { body: 'bleep', fault: () => ({ type: 'stall' }) } });
+
+      const events = [];
+      const pending = req({
+        port: dep.port,
+        onEvent: (n) => events.push(n),
+        onChunk: () => events.push('received-chunk'),
+      }).catch((e) => events.push(e.code));
+
+      await wait(100);
+      assert.deepStrictEqual(events, ['received-headers']);
+
+      await dep.teardown();
+      await pending;
+      assert.deepStrictEqual(events, ['received-headers', 'ECONNRESET']);
+    });
+  });
+
+  describe('streaming', function () {
+    it('expects valid chunks', function () {
+      for (const [body, error] of [
+        [
+          ['bloop', 1],
+          '`options.res.body.1` must be string, buffer, or plain object (got 1)',
+        ],
+        [
+          [{ delay: 1 }],
+          '`options.res.body.0.data` must be string or buffer (got undefined)',
+        ],
+        [
+          [{ data: 'bloop', delay: -1 }],
+          '`options.res.body.0.delay` if defined must be positive integer (got -1)',
+        ],
+      ]) {
+        assert.throws(() => this.dep.mock({ res: { body } }), {
+          name: 'ValidationError',
+          message: `Validation failed. Resolve the following issues:\n  * ${error}`,
         });
+      }
+    });
 
-        const { res, responseBody } = await req({ port: this.dep.port });
+    it('streams an array of chunks', async function () {
+      this.dep.mock({
+        res: { body: ['bleep', Buffer.from(' bloop', 'utf8'), { data: '!' }] },
+      });
 
-        assert.strictEqual(res.statusCode, 200);
-        assert.strictEqual(res.headers['x-method'], 'GET');
-        assert.deepStrictEqual(responseBody, '');
+      const chunks = [];
+      const { res, responseBody } = await req({
+        port: this.dep.port,
+        onChunk: (c) => chunks.push(c.toString('utf8')),
       });
 
-      it('allows setting headers by key function (returning buffer)', async function () {
-        this.dep.mock({
-          res: {
-            headers: { 'x-method': (req) => Buffer.from(req.method, 'utf8') },
-          },
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.headers['transfer-encoding'], 'chunked');
+      assert.strictEqual(res.headers['content-length'], undefined);
+      assert.strictEqual(responseBody, 'bleep bloop!');
+      assert(chunks.length > 0);
+    });
+
+    it('delays each chunk', async function () {
+      this.dep.mock({
+        res: {
+          body: [
+            { data: 'bleep', delay: 0 },
+            { data: 'bloop', delay: 60 },
+            { data: 'blorp', delay: 60 },
+          ],
+        },
+      });
+
+      const start = Date.now();
+      const received = [];
+
+      const { responseBody } = await req({
+        port: this.dep.port,
+        onEvent: (n) => received.push([n, Date.now() - start]),
+        onChunk: (c) => received.push([c.toString('utf8'), Date.now() - start]),
+      });
+
+      assert.strictEqual(responseBody, 'bleepbloopblorp');
+      assert.deepStrictEqual(
+        received.map(([n]) => n),
+        ['received-headers', 'bleep', 'bloop', 'blorp']
+      );
+      assert(received[1][1] < 60);
+      assert(received[2][1] >= 55);
+      assert(received[3][1] - received[2][1] >= 55);
+    });
+
+    it('streams an async iterable', async function () {
+      async function* body() {
+        yield 'bleep';
+        await wait(10);
+        yield { data: 'bloop', delay: 10 };
+      }
+
+      this.dep.mock({
+        res: { headers: { 'content-type': 'application/x-ndjson' }, body },
+      });
+
+      const { res, responseBody } = await req({ port: this.dep.port });
+
+      assert.strictEqual(res.headers['transfer-encoding'], 'chunked');
+      assert.strictEqual(responseBody, 'bleepbloop');
+    });
+
+    it('streams from a function', async function () {
+      this.dep.mock({
+        res: {
+          body: (req, reqBody) => reqBody.toString('utf8').split(' '),
+        },
+      });
+
+      const { responseBody } = await req({
+        port: this.dep.port,
+        bufferBody: 'bleep bloop',
+      });
+
+      assert.strictEqual(responseBody, 'bleepbloop');
+    });
+
+    it('cuts the response short when the iterable throws', async function () {
+      async function* body() {
+        yield 'bleep';
+        throw new Error('oops');
+      }
+
+      this.dep.mock({ res: { body } });
+
+      await assert.rejects(() => req({ port: this.dep.port }), {
+        code: 'ECONNRESET',
+      });
+    });
+
+    it('streams server-sent events', async function () {
+      this.dep.mock({
+        res: resp.sse([
+          { event: 'greeting', data: 'bleep', id: '1' },
+          { data: { bloop: true }, delay: 10 },
+        ]),
+      });
+
+      const { res, responseBody } = await req({ port: this.dep.port });
+
+      assert.strictEqual(res.headers['content-type'], 'text/event-stream');
+      assert.strictEqual(
+        responseBody,
+        'event: greeting\nid: 1\ndata: bleep\n\ndata: {"bloop":true}\n\n'
+      );
+    });
+  });
+
+  describe('websockets', function () {
+    it('expects a valid websocket mock', function () {
+      for (const [options, error] of [
+        [1, '`options` if defined must be plain object (got 1)'],
+        [
+          { req: 1 },
+          '`options.req` if defined must be plain object or function (got 1)',
+        ],
+        [
+          { res: { headerDelay: -1 } },
+          '`options.res.headerDelay` if defined must be positive integer or function returning same (got -1)',
+        ],
+        [
+          { init: 1 },
+          '`options.init` if defined must be string, buffer, or array of same (got 1)',
+        ],
+        [{ init: [1] }, '`options.init.0` must be string or buffer (got 1)'],
+      ]) {
+        assert.throws(() => this.dep.ws(options), {
+          name: 'ValidationError',
+          message: `Validation failed. Resolve the following issues:\n  * ${error}`,
+        });
+      }
+    });
+
+    it('expects a valid message mock', function () {
+      const ws = this.dep.ws({ optional: true });
+
+      for (const [options, error] of [
+        [
+          { req: 1 },
+          '`options.req` if defined must be string, buffer, regular expression, or function (got 1)',
+        ],
+        [
+          { res: 1 },
+          '`options.res` if defined must be object, string, or buffer or function returning same (got 1)',
+        ],
+        [
+          { res: { close: 'yes' } },
+          "`options.res.close` if defined must be boolean or plain object or function returning same (got 'yes')",
+        ],
+        [
+          { res: { close: { code: -1 } } },
+          '`options.res.close.code` if defined must be positive integer (got -1)',
+        ],
+      ]) {
+        assert.throws(() => ws.mock(options), {
+          name: 'ValidationError',
+          message: `Validation failed. Resolve the following issues:\n  * ${error}`,
         });
+      }
+    });
+
+    it('completes the handshake and answers messages', async function () {
+      const ws = this.dep.ws({ req: { pathname: '/feed' } });
+      const text = ws.mock({ req: 'subscribe', res: 'subscribed' });
+      const binary = ws.mock({
+        req: Buffer.from([1, 2]),
+        res: Buffer.from([3, 4]),
+      });
+
+      const client = await wsClient({ port: this.dep.port, pathname: '/feed' });
+      assert.strictEqual(client.statusCode, 101);
+      ws.assertDone();
+
+      client.send('subscribe');
+      assert.deepStrictEqual(await client.read(), {
+        type: 'text',
+        data: 'subscribed',
+      });
+
+      client.send(Buffer.from([1, 2]));
+      assert.deepStrictEqual(await client.read(), {
+        type: 'binary',
+        data: Buffer.from([3, 4]),
+      });
+
+      text.assertDone();
+      binary.assertDone();
+      client.destroy();
+    });
 
-        const { res, responseBody } = await req({ port: this.dep.port });
+    it('answers other upgrade requests with http mocks', async function () {
+      this.dep.mock({
+        req: { method: 'POST', pathname: '/bloop', body: 'bleep' },
+        res: { body: 'bloop' },
+      });
 
-        assert.strictEqual(res.statusCode, 200);
-        assert.strictEqual(res.headers['x-method'], 'GET');
-        assert.deepStrictEqual(responseBody, '');
+      const { res, responseBody } = await req({
+        port: this.dep.port,
+        method: 'POST',
+        pathname: '/bloop',
+        headers: { connection: 'upgrade', upgrade: 'h2c' },
+        bufferBody: 'bleep',
       });
 
-      it('coerces undefined to empty string', async function () {
-        this.dep.mock({
-          res: { headers: { 'x-bloop': undefined } },
-        });
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(responseBody, 'bloop');
 
-        const { res, responseBody } = await req({ port: this.dep.port });
+      const unmatched = await req({
+        port: this.dep.port,
+        headers: { connection: 'upgrade', upgrade: 'h2c' },
+      });
 
-        assert.strictEqual(res.statusCode, 200);
-        assert.strictEqual(res.headers['x-bloop'], '');
-        assert.deepStrictEqual(responseBody, '');
+      assert.strictEqual(unmatched.res.statusCode, 404);
+      assert.match(
+        unmatched.responseBody,
+        /^No matching mock was found for \[GET \/ HTTP\/1\.1\]/
+      );
+    });
+
+    it('reads the whole body of other upgrade requests', async function () {
+      const body = 'a'.repeat(100000);
+      this.dep.mock({
+        req: { method: 'POST', pathname: '/bloop', body },
+        res: { body: 'bloop' },
       });
 
-      it('allows setting headers with duplicate keys', async function () {
-        this.dep.mock({
-          res: {
-            headers: { 'x-bloop': ['1', Buffer.from('2', 'utf8'), undefined] },
-          },
-        });
+      const { res, responseBody } = await req({
+        port: this.dep.port,
+        method: 'POST',
+        pathname: '/bloop',
+        headers: { connection: 'upgrade', upgrade: 'h2c' },
+        bufferBody: body,
+      });
 
-        const { res } = await req({ port: this.dep.port });
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(responseBody, 'bloop');
 
-        assert.deepStrictEqual(res.rawHeaders.slice(0, 6), [
-          'x-bloop',
-          '1',
-          'x-bloop',
-          '2',
-          'x-bloop',
-          '',
-        ]);
+      this.dep.mock({
+        req: { method: 'POST', pathname: '/bloop', body: 'bleepbloop' },
+        res: { body: 'bleep' },
       });
 
-      it('allows setting headers with duplicate keys by function', async function () {
-        this.dep.mock({
-          res: {
-            headers: (req, reqBody) => ({
-              [req.headers['header-name']]: ['1', reqBody],
-            }),
-          },
-        });
+      const chunked = await new Promise((resolve, reject) => {
+        const data = [];
+        const socket = new Socket();
 
-        const { res } = await req({
-          port: this.dep.port,
-          headers: { 'header-name': 'x-bloop' },
-          bufferBody: Buffer.from('bloop', 'utf8'),
+        socket.connect(this.dep.port, 'localhost', async () => {
+          socket.write(
+            'POST /bloop HTTP/1.1\r\nHost: localhost\r\nConnection: upgrade\r\nUpgrade: h2c\r\nTransfer-Encoding: chunked\r\n\r\n5\r\nbleep\r\n'
+          );
+          await wait(10);
+          socket.write('5\r\nbloop\r\n0\r\n\r\n');
         });
 
-        assert.deepStrictEqual(res.rawHeaders.slice(0, 4), [
-          'x-bloop',
-          '1',
-          'x-bloop',
-          'bloop',
-        ]);
+        socket.on('data', (d) => data.push(d));
+        socket.on('error', reject);
+        socket.on('end', () => resolve(Buffer.concat(data).toString('utf8')));
       });
 
-      it('allows setting headers with duplicate keys by key function', async function () {
-        this.dep.mock({
-          res: {
-            headers: {
-              'x-bloop': (req, reqBody) => [
-                req.headers['header-value'],
-                reqBody,
-              ],
-            },
-          },
-        });
+      assert.match(chunked, /^HTTP\/1\.1 200 OK\r\n/);
+      assert.match(chunked, /\r\n\r\n5\r\nbleep\r\n0\r\n\r\n$/);
+    });
 
-        const { res } = await req({
-          port: this.dep.port,
-          headers: { 'header-value': 'bloop-1' },
-          bufferBody: Buffer.from('bloop-2', 'utf8'),
-        });
+    it('matches upgrade requests like any other request', async function () {
+      const ws = this.dep.ws({
+        req: { route: '/rooms/:room', headers: { authorization: 'bloop' } },
+      });
 
-        assert.deepStrictEqual(res.rawHeaders.slice(0, 4), [
-          'x-bloop',
-          'bloop-1',
-          'x-bloop',
-          'bloop-2',
-        ]);
+      const rejected = await wsClient({
+        port: this.dep.port,
+        pathname: '/rooms/1',
       });
+      assert.strictEqual(rejected.statusCode, 404);
+      assert.match(
+        rejected.body,
+        /^No matching mock was found for \[GET \/rooms\/1 HTTP\/1\.1\], closest mock was WS/
+      );
 
-      it('allows setting headers with duplicate keys by array value function', async function () {
-        this.dep.mock({
-          res: {
-            headers: {
-              'x-bloop': [
-                (req) => req.headers['header-value'],
-                (req, reqBody) => reqBody,
-              ],
-            },
-          },
-        });
+      const client = await wsClient({
+        port: this.dep.port,
+        pathname: '/rooms/1',
+        headers: { Authorization: 'bloop' },
+      });
+      assert.strictEqual(client.statusCode, 101);
+      assert.strictEqual(ws.lastCall.pathname, '/rooms/1');
 
-        const { res } = await req({
-          port: this.dep.port,
-          headers: { 'header-value': 'bloop-1' },
-          bufferBody: Buffer.from('bloop-2', 'utf8'),
-        });
+      client.destroy();
+      this.dep.reset({ throwOnPending: false });
+    });
 
-        assert.deepStrictEqual(res.rawHeaders.slice(0, 4), [
-          'x-bloop',
-          'bloop-1',
-          'x-bloop',
-          'bloop-2',
-        ]);
+    it('agrees to a subprotocol', async function () {
+      this.dep.ws({ req: { pathname: '/first' } });
+      this.dep.ws({
+        req: { pathname: '/chosen' },
+        res: { headers: { 'Sec-WebSocket-Protocol': 'chat.v2' } },
       });
 
-      it('allows setting headers with duplicate keys with a missing value', async function () {
-        this.dep.mock({
-          res: { headers: { 'x-bloop': ['1', undefined] } },
-        });
-
-        const { res } = await req({ port: this.dep.port });
+      const first = await wsClient({
+        port: this.dep.port,
+        pathname: '/first',
+        headers: { 'Sec-WebSocket-Protocol': 'chat.v1, chat.v2' },
+      });
+      assert.strictEqual(first.headers['sec-websocket-protocol'], 'chat.v1');
 
-        assert.deepStrictEqual(res.rawHeaders.slice(0, 4), [
-          'x-bloop',
-          '1',
-          'x-bloop',
-          '',
-        ]);
+      const chosen = await wsClient({
+        port: this.dep.port,
+        pathname: '/chosen',
+        headers: { 'Sec-WebSocket-Protocol': 'chat.v1, chat.v2' },
       });
-    });
+      assert.strictEqual(chosen.headers['sec-websocket-protocol'], 'chat.v2');
 
-    describe('headerDelay', function () {
-      it('allows setting a header delay by number', async function () {
-        const start = new Date();
-        let receivedHeaders = null;
-        this.dep.mock({ res: { headerDelay: 100 } });
+      first.destroy();
+      chosen.destroy();
+    });
 
-        const events = [];
+    it('sends init messages on connect', async function () {
+      this.dep.ws({ init: ['hello', Buffer.from([1])] });
 
-        const first = req({
-          port: this.dep.port,
-          onEvent: (n) => {
-            events.push(`first ${n}`);
-            receivedHeaders = new Date();
-          },
-        }).then(({ res }) =>
-          events.push(`first res recieved: ${res.statusCode}`)
-        );
+      const client = await wsClient({ port: this.dep.port });
+      assert.deepStrictEqual(await client.read(), {
+        type: 'text',
+        data: 'hello',
+      });
+      assert.deepStrictEqual(await client.read(), {
+        type: 'binary',
+        data: Buffer.from([1]),
+      });
 
-        await wait(10);
+      client.destroy();
+    });
 
-        const second = req({
-          port: this.dep.port,
-          onEvent: (n) => events.push(`second ${n}`),
-        }).then(({ res }) =>
-          events.push(`second res recieved: ${res.statusCode}`)
-        );
+    it('pushes messages, pings, and closes', async function () {
+      const ws = this.dep.ws();
 
-        await Promise.all([first, second]);
-        const end = new Date();
+      const client = await wsClient({ port: this.dep.port });
 
-        assert.deepStrictEqual(events, [
-          'second received-headers',
-          'second res recieved: 404',
-          'first received-headers',
-          'first res recieved: 200',
-        ]);
+      ws.send('tick');
+      ws.ping('still there?');
+      ws.close(4000, 'bye');
 
-        assert(end - start >= 100);
-        assert(receivedHeaders - start >= 100);
-        assert(end - receivedHeaders < 5);
+      assert.deepStrictEqual(await client.read(), {
+        type: 'text',
+        data: 'tick',
+      });
+      assert.deepStrictEqual(await client.read(), {
+        type: 'ping',
+        data: Buffer.from('still there?', 'utf8'),
+      });
+      assert.deepStrictEqual(await client.read(), {
+        type: 'close',
+        code: 4000,
+        reason: 'bye',
       });
 
-      it('allows setting a header delay by function', async function () {
-        const start = new Date();
+      client.close(4000);
+      await client.closeSignal;
+    });
 
-        this.dep.mock({
-          res: { headerDelay: (req) => parseInt(req.headers['x-delay'], 10) },
-        });
+    it('closes in reply to a message', async function () {
+      const ws = this.dep.ws();
+      ws.mock({
+        req: /^quit/,
+        res: { body: 'later', close: { code: 1001, reason: 'going away' } },
+      });
+      ws.mock({ req: 'done', res: { close: true } });
 
-        await req({ port: this.dep.port, headers: { 'x-delay': '50' } });
+      const client = await wsClient({ port: this.dep.port });
+      client.send('quit now');
 
-        const end = new Date();
-        assert(end - start >= 50);
+      assert.deepStrictEqual(await client.read(), {
+        type: 'text',
+        data: 'later',
       });
+      assert.deepStrictEqual(await client.read(), {
+        type: 'close',
+        code: 1001,
+        reason: 'going away',
+      });
+
+      client.close(1001);
+      await client.closeSignal;
+      this.dep.reset({ throwOnPending: false });
     });
 
-    describe('bodyDelay', function () {
-      it('allows setting a body delay by number', async function () {
-        const start = new Date();
-        let receivedHeaders = null;
-        this.dep.mock({ res: { ...resp.text('bloop'), bodyDelay: 100 } });
+    it('delays a reply', async function () {
+      const ws = this.dep.ws();
+      ws.mock({ req: 'ping', res: { body: 'pong', bodyDelay: 50 } });
 
-        const events = [];
+      const client = await wsClient({ port: this.dep.port });
+      client.send('ping');
 
-        const first = req({
-          port: this.dep.port,
-          onEvent: (n) => {
-            events.push(`first ${n}`);
-            receivedHeaders = new Date();
-          },
-        }).then(({ res }) =>
-          events.push(`first res recieved: ${res.statusCode}`)
-        );
+      await assert.rejects(() => client.read({ timeout: 25 }), {
+        message: 'Read timeout',
+      });
+      assert.deepStrictEqual(await client.read(), {
+        type: 'text',
+        data: 'pong',
+      });
 
-        await wait(10);
+      client.destroy();
+    });
 
-        const second = req({
-          port: this.dep.port,
-          onEvent: (n) => events.push(`second ${n}`),
-        }).then(({ res }) =>
-          events.push(`second res recieved: ${res.statusCode}`)
-        );
+    it('destroys the socket', async function () {
+      const ws = this.dep.ws();
+      ws.mock({ req: 'ping', res: { body: 'pong', destroySocket: true } });
 
-        await Promise.all([first, second]);
-        const end = new Date();
+      const client = await wsClient({ port: this.dep.port });
+      client.send('ping');
 
-        assert.deepStrictEqual(events, [
-          'first received-headers',
-          'second received-headers',
-          'second res recieved: 404',
-          'first res recieved: 200',
-        ]);
+      await client.closeSignal;
+    });
 
-        assert(end - start >= 90);
-        assert(receivedHeaders - start < 100);
-        assert(end - receivedHeaders >= 90);
-      });
+    it('destroys the socket instead of completing the handshake', async function () {
+      this.dep.ws({ res: { destroySocket: true } });
 
-      it('allows setting a body delay by function', async function () {
-        this.timeout(10000);
-        const start = new Date();
+      const client = await wsClient({ port: this.dep.port });
+      assert.strictEqual(client.statusCode, undefined);
+    });
 
-        this.dep.mock({
-          res: {
-            ...resp.text('bloop'),
-            bodyDelay: (req) => parseInt(req.headers['x-delay'], 10),
-          },
-        });
+    it('reassembles fragmented messages and answers control frames', async function () {
+      const ws = this.dep.ws();
+      const m = ws.mock({
+        req: (message) => message === 'hello world',
+        res: 'hi',
+      });
 
-        await req({ port: this.dep.port, headers: { 'x-delay': '50' } });
+      const client = await wsClient({ port: this.dep.port });
 
-        const end = new Date();
-        assert(end - start >= 45);
+      client.sendFrame(0x1, 'hello', { fin: false });
+      client.sendFrame(0x9, 'are you there?');
+      client.sendFrame(0x0, ' world');
+
+      assert.deepStrictEqual(await client.read(), {
+        type: 'pong',
+        data: Buffer.from('are you there?', 'utf8'),
       });
+      assert.deepStrictEqual(await client.read(), { type: 'text', data: 'hi' });
+      m.assertDone();
+
+      client.close(1000);
+      assert.deepStrictEqual(await client.read(), {
+        type: 'close',
+        code: 1000,
+        reason: '',
+      });
+      await client.closeSignal;
     });
 
-    describe('destroySocket', function () {
-      it('hangs up a socket', async function () {
-        this.dep.mock({
-          res: { ...resp.text('bloop'), destroySocket: true },
-        });
+    it('reset() fails with unmatched websocket and message mocks', function () {
+      const ws = this.dep.ws({ req: { pathname: '/feed' } });
+      ws.mock({ req: 'subscribe' });
 
-        await assert.rejects(() => req({ port: this.dep.port }), {
-          name: 'Error',
-          code: 'ECONNRESET',
-          message: 'socket hang up',
-        });
+      assert.throws(() => ws.assertDone(), {
+        name: 'PendingMockError',
+        message: "Mock is still pending: WS{req={ pathname: '/feed' }}",
+      });
+      assert.throws(() => this.dep.reset(), {
+        name: 'PendingMockError',
+        message:
+          "The following mocks are still pending: WS{req={ pathname: '/feed' }}, WSMessage{req='subscribe'}",
       });
     });
   });
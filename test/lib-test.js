@@ -4,8 +4,14 @@ import { Buffer } from 'node:buffer';
 import {
   isPlainObject,
   compare,
+  matchRoute,
   toHTTPRes,
   toTCPRes,
+  toUDPRes,
+  toDNSRes,
+  toWSRes,
+  toConsumed,
+  toFrame,
   wait,
 } from '../src/lib.js';
 
@@ -205,6 +211,41 @@ describe('lib', function () {
     });
   });
 
+  describe('#matchRoute', function () {
+    it('matches static segments', function () {
+      assert.deepStrictEqual(matchRoute('/', '/'), {});
+      assert.deepStrictEqual(matchRoute('/bloop', '/bloop'), {});
+      assert.deepStrictEqual(matchRoute('/bloop/', '/bloop/'), {});
+
+      assert.strictEqual(matchRoute('/bloop', '/bleep'), undefined);
+      assert.strictEqual(matchRoute('/bloop', '/bloop/'), undefined);
+      assert.strictEqual(matchRoute('/bloop', '/bloop/bleep'), undefined);
+    });
+
+    it('extracts named segments', function () {
+      assert.deepStrictEqual(
+        matchRoute('/users/:id/orders/:orderId', '/users/1/orders/abc'),
+        { id: '1', orderId: 'abc' }
+      );
+
+      assert.deepStrictEqual(matchRoute('/:a/:b', '/x/y'), { a: 'x', b: 'y' });
+
+      assert.strictEqual(matchRoute('/users/:id', '/users/'), undefined);
+      assert.strictEqual(matchRoute('/users/:id', '/users'), undefined);
+      assert.strictEqual(matchRoute('/users/:id', '/people/1'), undefined);
+    });
+
+    it('decodes named segments', function () {
+      assert.deepStrictEqual(matchRoute('/files/:name', '/files/big%20one'), {
+        name: 'big one',
+      });
+
+      assert.deepStrictEqual(matchRoute('/files/:name', '/files/100%'), {
+        name: '100%',
+      });
+    });
+  });
+
   describe('#toHTTPRes', function () {
     const req = { a: 1 };
     const reqBody = Buffer.from('bloop', 'utf8');
@@ -219,6 +260,7 @@ describe('lib', function () {
           bodyDelay: 0,
           headerDelay: 0,
           destroySocket: false,
+          fault: undefined,
         }
       );
 
@@ -237,6 +279,7 @@ describe('lib', function () {
           bodyDelay: 0,
           headerDelay: 0,
           destroySocket: false,
+          fault: undefined,
         }
       );
 
@@ -249,6 +292,7 @@ describe('lib', function () {
           bodyDelay: 0,
           headerDelay: 0,
           destroySocket: false,
+          fault: undefined,
         }
       );
 
@@ -261,6 +305,7 @@ describe('lib', function () {
           bodyDelay: 0,
           headerDelay: 0,
           destroySocket: false,
+          fault: undefined,
         }
       );
 
@@ -277,6 +322,42 @@ describe('lib', function () {
           bodyDelay: 0,
           headerDelay: 0,
           destroySocket: false,
+          fault: undefined,
+        }
+      );
+
+      assert.deepStrictEqual(
+        toHTTPRes(
+          (r, rB, p) => ({ body: `id: ${p.id}`, statusCode: () => 201 }),
+          req,
+          reqBody,
+          { id: 'bloop' }
+        ),
+        {
+          body: Buffer.from('id: bloop', 'utf8'),
+          headers: [],
+          statusCode: 201,
+          bodyDelay: 0,
+          headerDelay: 0,
+          destroySocket: false,
+          fault: undefined,
+        }
+      );
+
+      assert.deepStrictEqual(
+        toHTTPRes(
+          () => ({ body: (r, rB, p) => JSON.stringify(p) }),
+          req,
+          reqBody
+        ),
+        {
+          body: Buffer.from('{}', 'utf8'),
+          headers: [],
+          statusCode: 200,
+          bodyDelay: 0,
+          headerDelay: 0,
+          destroySocket: false,
+          fault: undefined,
         }
       );
 
@@ -289,6 +370,7 @@ describe('lib', function () {
           bodyDelay: 0,
           headerDelay: 0,
           destroySocket: false,
+          fault: undefined,
         }
       );
 
@@ -301,6 +383,7 @@ describe('lib', function () {
           bodyDelay: 0,
           headerDelay: 0,
           destroySocket: false,
+          fault: undefined,
         }
       );
     });
@@ -313,6 +396,7 @@ describe('lib', function () {
         bodyDelay: 0,
         headerDelay: 0,
         destroySocket: false,
+        fault: undefined,
       });
 
       assert.deepStrictEqual(
@@ -324,6 +408,7 @@ describe('lib', function () {
           bodyDelay: 0,
           headerDelay: 0,
           destroySocket: false,
+          fault: undefined,
         }
       );
 
@@ -336,6 +421,7 @@ describe('lib', function () {
           bodyDelay: 0,
           headerDelay: 0,
           destroySocket: false,
+          fault: undefined,
         }
       );
 
@@ -371,6 +457,7 @@ describe('lib', function () {
           bodyDelay: 0,
           headerDelay: 0,
           destroySocket: false,
+          fault: undefined,
         }
       );
 
@@ -394,6 +481,7 @@ describe('lib', function () {
           bodyDelay: 0,
           headerDelay: -1,
           destroySocket: false,
+          fault: undefined,
         }
       );
 
@@ -431,6 +519,7 @@ describe('lib', function () {
           bodyDelay: 1,
           headerDelay: 30,
           destroySocket: true,
+          fault: undefined,
         }
       );
 
@@ -444,6 +533,7 @@ describe('lib', function () {
           body: Buffer.from([]),
           bodyDelay: 0,
           destroySocket: false,
+          fault: undefined,
           headerDelay: 0,
           headers: [
             'x-bloop',
@@ -467,6 +557,7 @@ describe('lib', function () {
           body: Buffer.from([]),
           bodyDelay: 0,
           destroySocket: false,
+          fault: undefined,
           headerDelay: 0,
           headers: [
             'x-bloop',
@@ -488,6 +579,7 @@ describe('lib', function () {
           body: Buffer.from([]),
           bodyDelay: 0,
           destroySocket: false,
+          fault: undefined,
           headerDelay: 0,
           headers: [
             'x-bloop',
@@ -499,6 +591,173 @@ describe('lib', function () {
         }
       );
     });
+
+    it('resolves a fault', function () {
+      assert.deepStrictEqual(
+        toHTTPRes({ fault: { type: 'truncate' } }, req, reqBody).fault,
+        { type: 'truncate', bytes: 0, length: undefined }
+      );
+
+      assert.deepStrictEqual(
+        toHTTPRes(
+          { fault: (r, rB) => ({ type: 'contentLength', length: rB.length }) },
+          req,
+          reqBody
+        ).fault,
+        { type: 'contentLength', bytes: 0, length: 5 }
+      );
+    });
+
+    it('resolves a streamed body to chunks', async function () {
+      assert.deepStrictEqual(
+        toHTTPRes(
+          { body: ['bleep', { data: Buffer.from('bloop'), delay: 5 }] },
+          req,
+          reqBody
+        ).body,
+        [
+          { data: Buffer.from('bleep'), delay: 0 },
+          { data: Buffer.from('bloop'), delay: 5 },
+        ]
+      );
+
+      async function* body() {
+        yield 'bleep';
+        yield { data: 'bloop', delay: 5 };
+      }
+
+      const chunks = [];
+      for await (const c of toHTTPRes({ body }, req, reqBody).body) {
+        chunks.push(c);
+      }
+
+      assert.deepStrictEqual(chunks, [
+        { data: Buffer.from('bleep'), delay: 0 },
+        { data: Buffer.from('bloop'), delay: 5 },
+      ]);
+    });
+  });
+
+  describe('toUDPRes', function () {
+    const req = Buffer.from('bloop', 'utf8');
+
+    it('replies with a body', function () {
+      assert.deepStrictEqual(toUDPRes('bleep', req), {
+        body: Buffer.from('bleep', 'utf8'),
+        bodyDelay: 0,
+        drop: false,
+      });
+
+      assert.deepStrictEqual(
+        toUDPRes({ body: (req) => `req: ${req}`, bodyDelay: () => 12 }, req),
+        {
+          body: Buffer.from('req: bloop', 'utf8'),
+          bodyDelay: 12,
+          drop: false,
+        }
+      );
+
+      assert.deepStrictEqual(
+        toUDPRes(() => ({ body: '' }), req),
+        {
+          body: Buffer.from([]),
+          bodyDelay: 0,
+          drop: false,
+        }
+      );
+    });
+
+    it('drops a reply without a body', function () {
+      for (const res of [
+        undefined,
+        {},
+        { bodyDelay: 12 },
+        () => undefined,
+        { body: () => undefined },
+        { body: 'bleep', drop: true },
+        { body: 'bleep', drop: (req) => req.length === 5 },
+      ]) {
+        assert.strictEqual(toUDPRes(res, req).drop, true);
+      }
+    });
+  });
+
+  describe('toWSRes', function () {
+    it('keeps the type of the body', function () {
+      assert.deepStrictEqual(toWSRes('bleep', 'bloop'), {
+        body: 'bleep',
+        bodyDelay: 0,
+        destroySocket: false,
+        close: undefined,
+      });
+
+      assert.deepStrictEqual(
+        toWSRes(
+          { body: (m) => Buffer.from(m, 'utf8'), bodyDelay: 12 },
+          'bloop'
+        ),
+        {
+          body: Buffer.from('bloop', 'utf8'),
+          bodyDelay: 12,
+          destroySocket: false,
+          close: undefined,
+        }
+      );
+    });
+
+    it('resolves a close', function () {
+      assert.deepStrictEqual(toWSRes({ close: true }, 'bloop').close, {
+        code: 1000,
+        reason: '',
+      });
+
+      assert.deepStrictEqual(
+        toWSRes(() => ({ close: () => ({ code: 4000 }) }), 'bloop').close,
+        { code: 4000, reason: '' }
+      );
+    });
+  });
+
+  describe('toDNSRes', function () {
+    const question = { name: 'bloop.internal', type: 'A' };
+
+    it('answers without records by default', function () {
+      for (const res of [undefined, {}, () => undefined]) {
+        assert.deepStrictEqual(toDNSRes(res, question), {
+          answers: [],
+          rcode: 'NOERROR',
+          delay: 0,
+          drop: false,
+        });
+      }
+    });
+
+    it('resolves functions with the question', function () {
+      assert.deepStrictEqual(
+        toDNSRes(
+          {
+            answers: ({ name }) => [{ type: 'CNAME', value: `real.${name}` }],
+            rcode: ({ type }) => (type === 'A' ? 'NXDOMAIN' : 'NOERROR'),
+            delay: () => 12,
+            drop: () => true,
+          },
+          question
+        ),
+        {
+          answers: [{ type: 'CNAME', value: 'real.bloop.internal' }],
+          rcode: 'NXDOMAIN',
+          delay: 12,
+          drop: true,
+        }
+      );
+    });
+
+    it('ignores an rcode that does not fit in the header', function () {
+      assert.strictEqual(
+        toDNSRes({ rcode: () => 99 }, question).rcode,
+        'NOERROR'
+      );
+    });
   });
 
   describe('toTCPRes', function () {
@@ -509,6 +768,7 @@ describe('lib', function () {
         body: Buffer.from([]),
         bodyDelay: 0,
         destroySocket: false,
+        upgradeTLS: false,
       });
 
       assert.deepStrictEqual(
@@ -517,6 +777,7 @@ describe('lib', function () {
           body: Buffer.from('bloop', 'utf8'),
           bodyDelay: 12,
           destroySocket: true,
+          upgradeTLS: false,
         }
       );
 
@@ -533,6 +794,24 @@ describe('lib', function () {
           body: Buffer.from('req: bloop', 'utf8'),
           bodyDelay: 12,
           destroySocket: true,
+          upgradeTLS: false,
+        }
+      );
+
+      assert.deepStrictEqual(toTCPRes({ upgradeTLS: true }, req), {
+        body: Buffer.from([]),
+        bodyDelay: 0,
+        destroySocket: false,
+        upgradeTLS: true,
+      });
+
+      assert.deepStrictEqual(
+        toTCPRes({ upgradeTLS: (req) => req.length === 5 }, req),
+        {
+          body: Buffer.from([]),
+          bodyDelay: 0,
+          destroySocket: false,
+          upgradeTLS: true,
         }
       );
 
@@ -555,6 +834,7 @@ describe('lib', function () {
           body: Buffer.from([]),
           bodyDelay: 0,
           destroySocket: false,
+          upgradeTLS: false,
         }
       );
     });
@@ -564,18 +844,21 @@ describe('lib', function () {
         body: Buffer.from([]),
         bodyDelay: 0,
         destroySocket: false,
+        upgradeTLS: false,
       });
 
       assert.deepStrictEqual(toTCPRes('bloop', req), {
         body: Buffer.from('bloop', 'utf8'),
         bodyDelay: 0,
         destroySocket: false,
+        upgradeTLS: false,
       });
 
       assert.deepStrictEqual(toTCPRes(Buffer.from('bloop', 'utf8'), req), {
         body: Buffer.from('bloop', 'utf8'),
         bodyDelay: 0,
         destroySocket: false,
+        upgradeTLS: false,
       });
     });
 
@@ -588,6 +871,7 @@ describe('lib', function () {
           body: Buffer.from([]),
           bodyDelay: 0,
           destroySocket: false,
+          upgradeTLS: false,
         }
       );
 
@@ -597,6 +881,7 @@ describe('lib', function () {
           body: Buffer.from([]),
           bodyDelay: 0,
           destroySocket: false,
+          upgradeTLS: false,
         }
       );
 
@@ -606,6 +891,7 @@ describe('lib', function () {
           body: Buffer.from('req: bloop', 'utf8'),
           bodyDelay: 0,
           destroySocket: false,
+          upgradeTLS: false,
         }
       );
 
@@ -615,6 +901,7 @@ describe('lib', function () {
           body: Buffer.from('bloop', 'utf8'),
           bodyDelay: 0,
           destroySocket: false,
+          upgradeTLS: false,
         }
       );
     });
@@ -626,6 +913,7 @@ describe('lib', function () {
           body: Buffer.from([]),
           bodyDelay: 0,
           destroySocket: false,
+          upgradeTLS: false,
         }
       );
 
@@ -642,6 +930,7 @@ describe('lib', function () {
           body: Buffer.from('req: bloop', 'utf8'),
           bodyDelay: 12,
           destroySocket: true,
+          upgradeTLS: false,
         }
       );
 
@@ -658,6 +947,7 @@ describe('lib', function () {
           body: Buffer.from('req: bloop', 'utf8'),
           bodyDelay: 12,
           destroySocket: true,
+          upgradeTLS: false,
         }
       );
 
@@ -680,11 +970,113 @@ describe('lib', function () {
           body: Buffer.from([]),
           bodyDelay: 0,
           destroySocket: false,
+          upgradeTLS: false,
         }
       );
     });
   });
 
+  describe('#toConsumed', function () {
+    const bytes = Buffer.from('PING\r\nPONG\r\n', 'utf8');
+
+    it('consumes everything by default', function () {
+      assert.strictEqual(toConsumed(undefined, bytes), 12);
+    });
+
+    it('consumes a number of bytes', function () {
+      assert.strictEqual(toConsumed(4, bytes), 4);
+      assert.strictEqual(toConsumed(12, bytes), 12);
+      assert.strictEqual(toConsumed(13, bytes), undefined);
+    });
+
+    it('consumes through a delimiter', function () {
+      assert.strictEqual(toConsumed('\r\n', bytes), 6);
+      assert.strictEqual(toConsumed(Buffer.from('\r\nP'), bytes), 7);
+      assert.strictEqual(toConsumed('\n\n', bytes), undefined);
+    });
+
+    it('consumes as many bytes as a function returns', function () {
+      assert.strictEqual(
+        toConsumed((b) => b.indexOf('P', 1), bytes),
+        6
+      );
+
+      for (const n of [0, 13, undefined, 'bloop']) {
+        assert.strictEqual(
+          toConsumed(() => n, bytes),
+          undefined
+        );
+      }
+
+      assert.strictEqual(
+        toConsumed(() => {
+          throw new Error('oops');
+        }, bytes),
+        undefined
+      );
+    });
+  });
+
+  describe('#toFrame', function () {
+    const frame = (framing, s) => {
+      const f = toFrame(framing, Buffer.from(s, 'latin1'));
+      return f && { frame: f.frame.toString('latin1'), length: f.length };
+    };
+
+    it('frames lines', function () {
+      assert.deepStrictEqual(frame('line', 'ab\ncd\n'), {
+        frame: 'ab',
+        length: 3,
+      });
+      assert.deepStrictEqual(frame('line', 'ab\r\ncd'), {
+        frame: 'ab',
+        length: 4,
+      });
+      assert.deepStrictEqual(frame('line', '\n'), { frame: '', length: 1 });
+      assert.strictEqual(frame('line', 'ab\r'), undefined);
+    });
+
+    it('frames by delimiter', function () {
+      assert.deepStrictEqual(frame({ delimiter: '::' }, 'a:b::c'), {
+        frame: 'a:b',
+        length: 5,
+      });
+      assert.deepStrictEqual(frame({ delimiter: Buffer.from([0]) }, 'ab\x00'), {
+        frame: 'ab',
+        length: 3,
+      });
+      assert.strictEqual(frame({ delimiter: '::' }, 'a:b:'), undefined);
+    });
+
+    it('frames by length prefix', function () {
+      assert.deepStrictEqual(frame({ lengthPrefix: 1 }, '\x02abc'), {
+        frame: 'ab',
+        length: 3,
+      });
+      assert.deepStrictEqual(frame({ lengthPrefix: 4 }, '\x00\x00\x00\x00'), {
+        frame: '',
+        length: 4,
+      });
+      assert.deepStrictEqual(frame({ lengthPrefix: 2 }, '\x01\x00'), undefined);
+      assert.deepStrictEqual(frame({ lengthPrefix: 2 }, '\x00'), undefined);
+    });
+
+    it('frames by function', function () {
+      assert.deepStrictEqual(
+        frame(() => 2, 'abc'),
+        { frame: 'ab', length: 2 }
+      );
+      assert.strictEqual(
+        frame(() => 4, 'abc'),
+        undefined
+      );
+      assert.strictEqual(
+        frame(() => undefined, 'abc'),
+        undefined
+      );
+    });
+  });
+
   describe('#wait', function () {
     it('causes an async delay', async function () {
       const start = new Date();
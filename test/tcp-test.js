@@ -1,5 +1,9 @@
 import assert from 'node:assert';
 import { Buffer } from 'node:buffer';
+import { readFileSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { pid } from 'node:process';
 
 import { createClient } from 'redis';
 import memcached from 'memcached';
@@ -7,10 +11,11 @@ import DivvyClient from '@button/divvy-client';
 import mysql from 'mysql';
 import pg from 'pg';
 
-import { tcp } from '../src/index.js';
+import { tcp, helpers } from '../src/index.js';
 import { req, asyncSocket, hexBuffer, saslSignature } from './helpers/index.js';
 import { mockSchema } from '../src/tcp/schema.js';
 import { wait } from '../src/lib.js';
+import { selfSignedCertificate } from '../src/tls.js';
 
 describe('tcp', function () {
   before(async function () {
@@ -45,6 +50,90 @@ describe('tcp', function () {
         message,
       });
 
+      message =
+        'Validation failed. Resolve the following issues:\n' +
+        "  * `options.strict` if defined must be boolean (got 'yes')";
+
+      assert.throws(() => tcp({ strict: 'yes' }), {
+        name: 'ValidationError',
+        message,
+      });
+
+      message =
+        'Validation failed. Resolve the following issues:\n' +
+        '  * `options.tls` if defined must be boolean or plain object (got 1)\n' +
+        '  * `options.startTLS.key` must be string or buffer (got undefined)\n' +
+        '  * `options.startTLS.cert` must be string or buffer (got undefined)';
+
+      assert.throws(() => tcp({ tls: 1, startTLS: {} }), {
+        name: 'ValidationError',
+        message,
+      });
+
+      message =
+        'Validation failed. Resolve the following issues:\n' +
+        '  * `options` tls cannot be defined at the same time as startTLS (got { tls: true, startTLS: true })';
+
+      assert.throws(() => tcp({ tls: true, startTLS: true }), {
+        name: 'ValidationError',
+        message,
+      });
+
+      message =
+        'Validation failed. Resolve the following issues:\n' +
+        "  * `options` path cannot be defined at the same time as host (got { host: '::1', path: '/tmp/bloop.sock' })";
+
+      assert.throws(() => tcp({ host: '::1', path: '/tmp/bloop.sock' }), {
+        name: 'ValidationError',
+        message,
+      });
+
+      for (const [framing, error] of [
+        ['lines', "`options.framing` must be 'line' (got 'lines')"],
+        [
+          {},
+          '`options.framing` must define delimiter or lengthPrefix (got {})',
+        ],
+        [
+          { delimiter: '' },
+          "`options.framing.delimiter` if defined must be non-empty string or buffer (got '')",
+        ],
+        [
+          { delimiter: '\n', lengthPrefix: 2 },
+          "`options.framing` delimiter cannot be defined at the same time as lengthPrefix (got { delimiter: '\\n', lengthPrefix: 2 })",
+        ],
+        [
+          { lengthPrefix: 7 },
+          '`options.framing.lengthPrefix` if defined must be integer between 1 and 6 (got 7)',
+        ],
+        [
+          3,
+          "`options.framing` if defined must be 'line', plain object, or function (got 3)",
+        ],
+      ]) {
+        assert.throws(() => tcp({ framing }), {
+          name: 'ValidationError',
+          message: `Validation failed. Resolve the following issues:\n  * ${error}`,
+        });
+      }
+
+      for (const [fake, error] of [
+        ['memcached', "`options.fake` must be 'redis' (got 'memcached')"],
+        [
+          { consume: () => 1 },
+          '`options.fake` must define consume and respond functions (got { consume: [Function: consume] })',
+        ],
+        [
+          true,
+          "`options.fake` if defined must be 'redis' or plain object (got true)",
+        ],
+      ]) {
+        assert.throws(() => tcp({ fake }), {
+          name: 'ValidationError',
+          message: `Validation failed. Resolve the following issues:\n  * ${error}`,
+        });
+      }
+
       let server;
       try {
         server = await tcp({});
@@ -117,6 +206,61 @@ describe('tcp', function () {
       assert.throws(() => m.req('oops'), { name: 'ValidationError', message });
     });
 
+    it('expects a valid consume value', function () {
+      const message =
+        '`consume` if defined must be positive, non-zero integer, non-empty string or buffer, or function';
+
+      assert.deepStrictEqual(
+        [0, -1, '', Buffer.from([]), /\r\n/].map(
+          (c) => mockSchema({ consume: c })[1]
+        ),
+        [
+          [`${message} (got 0)`],
+          [`${message} (got -1)`],
+          [`${message} (got '')`],
+          [`${message} (got <Buffer >)`],
+          [`${message} (got /\\r\\n/)`],
+        ]
+      );
+
+      assert.deepStrictEqual(mockSchema({ init: 'a', consume: 1 })[1], [
+        "`` init cannot be defined at the same time as consume (got { init: 'a', consume: 1 })",
+      ]);
+
+      assert.deepStrictEqual(mockSchema({ consume: undefined })[1], []);
+      assert.deepStrictEqual(mockSchema({ consume: 4 })[1], []);
+      assert.deepStrictEqual(mockSchema({ consume: '\r\n' })[1], []);
+      assert.deepStrictEqual(mockSchema({ consume: Buffer.from([0]) })[1], []);
+
+      const [m, errors] = mockSchema({
+        consume: (b) => (b.length > 1 ? b.length : 'nope'),
+      });
+
+      assert.deepStrictEqual(errors, []);
+      assert.deepStrictEqual(m.consume(Buffer.from('ab')), 2);
+      assert.throws(() => m.consume(Buffer.from('a')), {
+        name: 'ValidationError',
+        message:
+          'Validation failed. Resolve the following issues:\n' +
+          "  * `consume()` if defined must be positive integer (got 'nope')",
+      });
+    });
+
+    it('expects valid persist and optional values', function () {
+      assert.deepStrictEqual(
+        mockSchema({ persist: 'yes', optional: 1 }, ['options'])[1],
+        [
+          "`options.persist` if defined must be boolean (got 'yes')",
+          '`options.optional` if defined must be boolean (got 1)',
+        ]
+      );
+
+      assert.deepStrictEqual(
+        mockSchema({ init: 'a', persist: true, optional: true })[1],
+        []
+      );
+    });
+
     it('expects a valid res value', function () {
       assert.deepStrictEqual(mockSchema({ res: /bloop/ })[1], [
         '`res` if defined must be object, string, or buffer or function returning same (got /bloop/)',
@@ -140,9 +284,18 @@ describe('tcp', function () {
         ]
       );
 
+      assert.deepStrictEqual(mockSchema({ res: { upgradeTLS: 'yes' } })[1], [
+        "`res.upgradeTLS` if defined must be boolean or function returning same (got 'yes')",
+      ]);
+
       assert.deepStrictEqual(
         mockSchema({
-          res: { body: undefined, bodyDelay: 20, destroySocket: true },
+          res: {
+            body: undefined,
+            bodyDelay: 20,
+            destroySocket: true,
+            upgradeTLS: true,
+          },
         })[1],
         []
       );
@@ -533,6 +686,11 @@ describe('tcp', function () {
         'TCP{req=[Function: req] res=[Function: res]}'
       );
 
+      assert.deepStrictEqual(
+        this.dep.mock({ req: 'bloop', res: 'bleep', consume: 5 }).toString(),
+        "TCP{req='bloop' res='bleep' consume=5}"
+      );
+
       const myPredicate = () => true;
       const myBufferable = () => 'boop';
       assert.deepStrictEqual(
@@ -648,6 +806,310 @@ describe('tcp', function () {
     });
   });
 
+  describe('tls', function () {
+    it('serves implicit tls with a generated certificate', async function () {
+      const dep = await tcp({ tls: true });
+
+      try {
+        assert.match(dep.ca, /^-----BEGIN CERTIFICATE-----\n/);
+
+        dep.mock({ init: 'hello' }).mock({ req: 'abcd', res: '1234' });
+
+        const client = await asyncSocket({ port: dep.port, ca: dep.ca });
+        assert(client.encrypted);
+        assert.deepStrictEqual((await client.read()).toString('utf8'), 'hello');
+
+        await client.write('abcd');
+        assert.deepStrictEqual((await client.read()).toString('utf8'), '1234');
+
+        client.end();
+        await client.closeSignal;
+        dep.reset();
+      } finally {
+        await dep.teardown();
+      }
+    });
+
+    it('serves implicit tls with a given key and certificate', async function () {
+      const { key, cert } = selfSignedCertificate();
+      const dep = await tcp({ tls: { key, cert } });
+
+      try {
+        assert.strictEqual(dep.ca, cert);
+
+        dep.mock({ req: 'abcd', res: '1234' });
+
+        const client = await asyncSocket({ port: dep.port, ca: cert });
+        await client.write('abcd');
+        assert.deepStrictEqual((await client.read()).toString('utf8'), '1234');
+
+        client.end();
+        await client.closeSignal;
+        dep.reset();
+      } finally {
+        await dep.teardown();
+      }
+    });
+
+    it('upgrades a connection with starttls', async function () {
+      const dep = await tcp({ startTLS: true });
+
+      try {
+        const negotiation = dep.mock({
+          req: 'STARTTLS\r\n',
+          res: { body: '220 Ready to start TLS\r\n', upgradeTLS: true },
+        });
+
+        const ping = negotiation.mock({ req: 'PING\r\n', res: 'PONG\r\n' });
+        const quit = ping.mock({ req: 'QUIT\r\n', res: 'BYE\r\n' });
+
+        const client = await asyncSocket({ port: dep.port });
+        assert(!client.encrypted);
+
+        await client.write('STARTTLS\r\n');
+        assert.deepStrictEqual(
+          (await client.read()).toString('utf8'),
+          '220 Ready to start TLS\r\n'
+        );
+
+        await client.startTLS({ ca: dep.ca });
+        assert(client.encrypted);
+
+        await client.write('PING\r\n');
+        assert.deepStrictEqual(
+          (await client.read()).toString('utf8'),
+          'PONG\r\n'
+        );
+
+        await client.write('QUIT\r\n');
+        assert.deepStrictEqual(
+          (await client.read()).toString('utf8'),
+          'BYE\r\n'
+        );
+
+        ping.assertDone();
+        quit.assertDone();
+
+        client.end();
+        await client.closeSignal;
+        dep.reset();
+      } finally {
+        await dep.teardown();
+      }
+    });
+
+    it('keeps pinned mocks on their own upgraded connection', async function () {
+      const dep = await tcp({ startTLS: true });
+
+      try {
+        const negotiate = {
+          req: 'STARTTLS',
+          res: { body: 'OK', upgradeTLS: true },
+        };
+
+        dep.mock(negotiate).mock({ req: 'a', res: 'A' });
+        dep.mock(negotiate).mock({ req: /b$/, res: 'B' });
+
+        const clientA = await asyncSocket({ port: dep.port });
+        const clientB = await asyncSocket({ port: dep.port });
+
+        await clientA.write('STARTTLS');
+        await clientA.read();
+        await clientA.startTLS({ ca: dep.ca });
+
+        await clientB.write('STARTTLS');
+        await clientB.read();
+        await clientB.startTLS({ ca: dep.ca });
+
+        await clientB.write('a');
+        await assert.rejects(() => clientB.read(), {
+          name: 'Error',
+          message: 'Read timeout',
+        });
+
+        await clientA.write('a');
+        assert.deepStrictEqual((await clientA.read()).toString('utf8'), 'A');
+
+        await clientB.write('b');
+        assert.deepStrictEqual((await clientB.read()).toString('utf8'), 'B');
+
+        clientA.end();
+        clientB.end();
+        await Promise.all([clientA.closeSignal, clientB.closeSignal]);
+        dep.reset({ throwOnPending: false });
+      } finally {
+        await dep.teardown();
+      }
+    });
+
+    it('expects a starttls certificate to upgrade with', function () {
+      for (const [upgradeTLS, printed] of [
+        [true, 'true'],
+        [() => true, '[Function (anonymous)]'],
+      ]) {
+        assert.throws(
+          () => this.dep.mock({ req: 'STARTTLS', res: { upgradeTLS } }),
+          {
+            name: 'ValidationError',
+            message: `Validation failed. Resolve the following issues:\n  * \`options.res.upgradeTLS\` requires the server to be started with startTLS (got ${printed})`,
+          }
+        );
+      }
+
+      this.dep.mock({ req: 'STARTTLS', res: { upgradeTLS: false } });
+      this.dep.reset({ throwOnPending: false });
+    });
+
+    it('does not upgrade without a starttls certificate', async function () {
+      this.dep.mock({
+        req: 'STARTTLS',
+        res: () => ({ body: 'OK', upgradeTLS: true }),
+      });
+      this.dep.mock({ req: 'PING', res: 'PONG' });
+
+      assert.strictEqual(this.dep.ca, undefined);
+
+      const client = await asyncSocket({ port: this.dep.port });
+
+      await client.write('STARTTLS');
+      assert.deepStrictEqual((await client.read()).toString('utf8'), 'OK');
+
+      await client.write('PING');
+      assert.deepStrictEqual((await client.read()).toString('utf8'), 'PONG');
+
+      client.end();
+    });
+  });
+
+  describe('binding', function () {
+    it('listens on a named host', async function () {
+      const dep = await tcp({ host: '::1' });
+
+      try {
+        assert.strictEqual(dep.address, '::1');
+        assert.strictEqual(dep.path, undefined);
+
+        dep.mock({ req: 'abcd', res: '1234' });
+
+        const client = await asyncSocket({ host: '::1', port: dep.port });
+        await client.write('abcd');
+        assert.deepStrictEqual((await client.read()).toString('utf8'), '1234');
+
+        client.end();
+        await client.closeSignal;
+        dep.reset();
+      } finally {
+        await dep.teardown();
+      }
+    });
+
+    it('listens on a unix domain socket', async function () {
+      const path = join(tmpdir(), `wirepig-tcp-${pid}.sock`);
+      const dep = await tcp({ path });
+
+      try {
+        assert.strictEqual(dep.path, path);
+        assert.strictEqual(dep.port, undefined);
+
+        dep.mock({ req: 'abcd', res: '1234' });
+
+        const client = await asyncSocket({ path });
+        await client.write('abcd');
+        assert.deepStrictEqual((await client.read()).toString('utf8'), '1234');
+
+        client.end();
+        await client.closeSignal;
+        dep.reset();
+      } finally {
+        await dep.teardown();
+      }
+    });
+  });
+
+  describe('strict', function () {
+    before(async function () {
+      this.strictDep = await tcp({ strict: true });
+    });
+
+    afterEach(function () {
+      this.strictDep.reset({ throwOnPending: false });
+    });
+
+    after(async function () {
+      await this.strictDep.teardown();
+    });
+
+    it('reset() fails with unmatched data on an open connection', async function () {
+      const mock = this.strictDep.mock({ req: 'abcd', res: '1234' });
+
+      const client = await asyncSocket({ port: this.strictDep.port });
+
+      await client.write('abcd');
+      assert.deepStrictEqual((await client.read()).toString('utf8'), '1234');
+      mock.assertDone();
+
+      await client.write('bloop');
+      await wait(10);
+
+      assert.throws(() => this.strictDep.reset(), {
+        name: 'UnexpectedRequestError',
+        message:
+          /^The following data was not expected:\n {2}\* \[port=\d+\] 'bloop'$/,
+      });
+
+      // Unexpected data is only reported once.
+      this.strictDep.reset();
+
+      client.end();
+    });
+
+    it('reset() fails with unmatched data on a closed connection', async function () {
+      const client = await asyncSocket({ port: this.strictDep.port });
+
+      await client.write('bloop');
+      client.end();
+      await client.closeSignal;
+
+      const clientB = await asyncSocket({ port: this.strictDep.port });
+      await clientB.write('bleep');
+      await wait(10);
+
+      assert.throws(() => this.strictDep.reset(), {
+        name: 'UnexpectedRequestError',
+        message:
+          /^The following data was not expected:\n {2}\* \[port=\d+\] 'bloop'\n {2}\* \[port=\d+\] 'bleep'$/,
+      });
+
+      clientB.end();
+    });
+
+    it('reset() succeeds when all data was matched', async function () {
+      this.strictDep.mock({ req: 'abcd', res: '1234' });
+
+      const client = await asyncSocket({ port: this.strictDep.port });
+      await client.write('abcd');
+      await client.read();
+
+      this.strictDep.reset();
+
+      client.end();
+    });
+
+    it('reset() reports pending mocks first', async function () {
+      this.strictDep.mock({ req: 'abcd', res: '1234' });
+
+      const client = await asyncSocket({ port: this.strictDep.port });
+      await client.write('bloop');
+      await wait(10);
+
+      assert.throws(() => this.strictDep.reset(), {
+        name: 'PendingMockError',
+      });
+
+      client.end();
+    });
+  });
+
   describe('init', function () {
     it('allows initializing a connection by string', async function () {
       this.dep.mock({ init: 'bloop' });
@@ -765,30 +1227,309 @@ describe('tcp', function () {
     });
   });
 
-  describe('response filling', function () {
-    it('has sensible defaults', async function () {
-      const client = await asyncSocket({ port: this.dep.port });
+  describe('repeated mocks', function () {
+    it('matches a persisted mock any number of times', async function () {
+      const mock = this.dep.mock({ req: 'bloop', res: 'bleep', persist: true });
 
-      this.dep.mock({ res: () => undefined });
-      await client.write('bloop');
+      assert.throws(() => mock.assertDone(), { name: 'PendingMockError' });
 
-      await wait(10);
+      const clients = await Promise.all(
+        [1, 2].map(() => asyncSocket({ port: this.dep.port }))
+      );
 
-      this.dep.mock({
-        res: () => ({
-          body: () => undefined,
-          bodyDelay: () => undefined,
-          destroySocket: () => undefined,
-        }),
-      });
+      for (const client of [...clients, ...clients]) {
+        await client.write('bloop');
+        assert.deepStrictEqual((await client.read()).toString('utf8'), 'bleep');
+      }
 
-      await client.write('bloop');
+      mock.assertDone();
     });
 
-    it('allows setting body by string', async function () {
-      this.dep.mock({ res: 'bloop' });
+    it('writes a persisted init mock to every connection', async function () {
+      this.dep.mock({ init: 'hello', persist: true });
 
-      const client = await asyncSocket({ port: this.dep.port });
+      for (let i = 0; i < 3; i++) {
+        const client = await asyncSocket({ port: this.dep.port });
+        assert.deepStrictEqual((await client.read()).toString('utf8'), 'hello');
+      }
+    });
+
+    it('never considers an optional mock pending', async function () {
+      const mock = this.dep.mock({
+        req: 'bloop',
+        res: 'bleep',
+        optional: true,
+      });
+      mock.assertDone();
+
+      this.dep.mock({ req: 'bleep', persist: true, optional: true });
+      this.dep.reset();
+    });
+
+    it('sensibly prints repeated mocks', function () {
+      assert.deepStrictEqual(
+        this.dep.mock({ req: 'a', persist: true, optional: true }).toString(),
+        "TCP{req='a' persist=true optional=true}"
+      );
+
+      this.dep.reset({ throwOnPending: false });
+    });
+  });
+
+  describe('partial consumption', function () {
+    const readAll = async (client, length) => {
+      let res = Buffer.from([]);
+      while (res.length < length) {
+        res = Buffer.concat([res, await client.read()]);
+      }
+
+      return res.toString('utf8');
+    };
+
+    it('consumes a number of bytes', async function () {
+      const first = this.dep.mock({ req: 'abcd', res: '1', consume: 4 });
+      const second = this.dep.mock({ req: 'efgh', res: '2', consume: 4 });
+
+      const client = await asyncSocket({ port: this.dep.port });
+      await client.write('abcdef');
+
+      assert.deepStrictEqual(await readAll(client, 1), '1');
+      first.assertDone();
+      assert.throws(() => second.assertDone(), { name: 'PendingMockError' });
+
+      await client.write('gh');
+
+      assert.deepStrictEqual(await readAll(client, 1), '2');
+      second.assertDone();
+    });
+
+    it('consumes through a delimiter', async function () {
+      this.dep.mock({ req: 'PING\r\n', res: '+PONG\r\n', consume: '\r\n' });
+      this.dep.mock({
+        req: /^ECHO /,
+        res: (b) => `+${b.slice(5)}`,
+        consume: Buffer.from('\r\n', 'utf8'),
+      });
+
+      const client = await asyncSocket({ port: this.dep.port });
+      await client.write('PING\r\nECHO bloop\r\nPI');
+
+      assert.deepStrictEqual(await readAll(client, 15), '+PONG\r\n+bloop\r\n');
+
+      this.dep.mock({ req: 'PING\r\n', res: '+PONG\r\n', consume: '\r\n' });
+
+      await client.write('NG\r\n');
+      assert.deepStrictEqual(await readAll(client, 7), '+PONG\r\n');
+    });
+
+    it('consumes as many bytes as a function returns', async function () {
+      // Each message is prefixed with a single byte holding its length.
+      const consume = (b) => (b.length > b[0] ? b[0] + 1 : undefined);
+
+      this.dep.mock({ req: '\x03abc', res: 'A', consume });
+      this.dep.mock({ req: '\x02de', res: 'B', consume });
+
+      const client = await asyncSocket({ port: this.dep.port });
+      await client.write('\x02de\x03ab');
+
+      assert.deepStrictEqual(await readAll(client, 1), 'B');
+
+      await client.write('c');
+      assert.deepStrictEqual(await readAll(client, 1), 'A');
+    });
+
+    it('answers pipelined requests in order', async function () {
+      this.dep.mock({
+        req: 'a\n',
+        res: { body: 'A', bodyDelay: 30 },
+        consume: '\n',
+      });
+      this.dep.mock({ req: 'b\n', res: 'B', consume: '\n' });
+      this.dep.mock({ req: 'c\n', res: 'C' });
+
+      const client = await asyncSocket({ port: this.dep.port });
+      await client.write('a\nb\nc\n');
+
+      assert.deepStrictEqual(await readAll(client, 3), 'ABC');
+    });
+
+    it('answers requests written separately in order', async function () {
+      this.dep.mock({
+        req: 'A',
+        consume: 1,
+        res: { body: 'ra', bodyDelay: 50 },
+      });
+      this.dep.mock({ req: 'B', consume: 1, res: { body: 'rb' } });
+
+      const client = await asyncSocket({ port: this.dep.port });
+      await client.write('A');
+      await wait(10);
+      await client.write('B');
+
+      assert.deepStrictEqual(await readAll(client, 4), 'rarb');
+    });
+
+    it('leaves unmatched bytes in the buffer', async function () {
+      this.dep.mock({ req: 'a', res: 'A', consume: 1 });
+      const whole = this.dep.mock({ req: 'bc', res: 'BC' });
+
+      const client = await asyncSocket({ port: this.dep.port });
+      await client.write('ab');
+
+      assert.deepStrictEqual(await readAll(client, 1), 'A');
+      assert.throws(() => whole.assertDone(), { name: 'PendingMockError' });
+
+      await client.write('c');
+      assert.deepStrictEqual(await readAll(client, 2), 'BC');
+    });
+  });
+
+  describe('framing', function () {
+    const readAll = async (client, length) => {
+      let res = Buffer.from([]);
+      while (res.length < length) {
+        res = Buffer.concat([res, await client.read()]);
+      }
+
+      return res.toString('utf8');
+    };
+
+    const withFraming = async (framing, f) => {
+      const dep = await tcp({ framing, strict: true });
+
+      try {
+        await f(dep);
+        dep.reset();
+      } finally {
+        await dep.teardown();
+      }
+    };
+
+    it('matches one line at a time', async function () {
+      await withFraming('line', async (dep) => {
+        dep.mock({ req: 'PING', res: 'PONG\n' });
+        dep.mock({ req: /^ECHO /, res: (b) => `${b.slice(5)}\n` });
+        dep.mock({ req: '', res: 'EMPTY\n' });
+
+        const client = await asyncSocket({ port: dep.port });
+        await client.write('PING\r\nECHO bl');
+        assert.deepStrictEqual(await readAll(client, 5), 'PONG\n');
+
+        await client.write('oop\n\r\n');
+        assert.deepStrictEqual(await readAll(client, 12), 'bloop\nEMPTY\n');
+      });
+    });
+
+    it('answers frames in the order they were received', async function () {
+      await withFraming('line', async (dep) => {
+        dep.mock({ req: 'A', res: { body: 'ra\n', bodyDelay: 50 } });
+        dep.mock({ req: 'B', res: 'rb\n' });
+
+        const client = await asyncSocket({ port: dep.port });
+        await client.write('A\n');
+        await wait(10);
+        await client.write('B\n');
+
+        assert.deepStrictEqual(await readAll(client, 6), 'ra\nrb\n');
+      });
+    });
+
+    it('matches frames split by a delimiter', async function () {
+      await withFraming({ delimiter: '||' }, async (dep) => {
+        dep.mock({ req: 'a', res: 'A' });
+        dep.mock({ req: 'b|c', res: 'B' });
+
+        const client = await asyncSocket({ port: dep.port });
+        await client.write('a||b|c|');
+        assert.deepStrictEqual(await readAll(client, 1), 'A');
+
+        await client.write('|');
+        assert.deepStrictEqual(await readAll(client, 1), 'B');
+      });
+    });
+
+    it('matches length-prefixed frames', async function () {
+      await withFraming({ lengthPrefix: 2 }, async (dep) => {
+        dep.mock({
+          req: 'bloop',
+          res: (b) => Buffer.concat([Buffer.from([0, b.length]), b]),
+        });
+        dep.mock({ req: Buffer.from([]), res: 'empty' });
+
+        const client = await asyncSocket({ port: dep.port });
+        await client.write(Buffer.from([0, 5, 0x62, 0x6c]));
+        await assert.rejects(() => client.read(), { message: 'Read timeout' });
+
+        await client.write(Buffer.from([0x6f, 0x6f, 0x70, 0, 0]));
+        assert.deepStrictEqual(await readAll(client, 12), '\x00\x05bloopempty');
+      });
+    });
+
+    it('matches frames found by a function', async function () {
+      const framing = (b) => (b.length > b[0] ? b[0] + 1 : undefined);
+
+      await withFraming(framing, async (dep) => {
+        dep.mock({ req: '\x02ab', res: (b) => `got ${b.length}` });
+        dep.mock({ req: '\x01c', res: 'C' });
+
+        const client = await asyncSocket({ port: dep.port });
+        await client.write('\x02ab\x01');
+        assert.deepStrictEqual(await readAll(client, 5), 'got 3');
+
+        await client.write('c');
+        assert.deepStrictEqual(await readAll(client, 1), 'C');
+      });
+    });
+
+    it('discards frames no mock matched', async function () {
+      const dep = await tcp({ framing: 'line', strict: true });
+
+      try {
+        dep.mock({ req: 'b', res: 'B' });
+        dep.mock({ req: 'c', res: 'C', consume: 1 });
+
+        const client = await asyncSocket({ port: dep.port });
+        await client.write('a\nb\ncd\n');
+        assert.deepStrictEqual(await readAll(client, 2), 'BC');
+
+        assert.throws(() => dep.reset(), {
+          name: 'UnexpectedRequestError',
+          message: new RegExp(
+            '^The following data was not expected:\n' +
+              "  \\* \\[port=\\d+\\] 'a'\n" +
+              "  \\* \\[port=\\d+\\] 'd'$"
+          ),
+        });
+      } finally {
+        await dep.teardown();
+      }
+    });
+  });
+
+  describe('response filling', function () {
+    it('has sensible defaults', async function () {
+      const client = await asyncSocket({ port: this.dep.port });
+
+      this.dep.mock({ res: () => undefined });
+      await client.write('bloop');
+
+      await wait(10);
+
+      this.dep.mock({
+        res: () => ({
+          body: () => undefined,
+          bodyDelay: () => undefined,
+          destroySocket: () => undefined,
+        }),
+      });
+
+      await client.write('bloop');
+    });
+
+    it('allows setting body by string', async function () {
+      this.dep.mock({ res: 'bloop' });
+
+      const client = await asyncSocket({ port: this.dep.port });
       await client.write('bloop');
 
       assert.deepStrictEqual(await client.read(), Buffer.from('bloop', 'utf8'));
@@ -929,6 +1670,366 @@ describe('tcp', function () {
     });
   });
 
+  describe('fakes', function () {
+    before(async function () {
+      this.fakeDep = await tcp({ fake: 'redis' });
+    });
+
+    afterEach(function () {
+      this.fakeDep.reset();
+    });
+
+    after(async function () {
+      await this.fakeDep.teardown();
+    });
+
+    beforeEach(async function () {
+      this.client = createClient({
+        url: `redis://localhost:${this.fakeDep.port}`,
+      });
+
+      await this.client.connect();
+    });
+
+    afterEach(async function () {
+      await this.client.disconnect();
+    });
+
+    it('keeps strings', async function () {
+      const { client } = this;
+
+      assert.strictEqual(await client.get('bloop'), null);
+      assert.strictEqual(await client.set('bloop', 'the big one'), 'OK');
+      assert.strictEqual(await client.get('bloop'), 'the big one');
+      assert.strictEqual(await client.set('bloop', 'x', { NX: true }), null);
+      assert.strictEqual(await client.incr('count'), 1);
+      assert.strictEqual(await client.incrBy('count', 5), 6);
+      assert.deepStrictEqual(await client.mGet(['bloop', 'count', 'nope']), [
+        'the big one',
+        '6',
+        null,
+      ]);
+      assert.strictEqual(await client.del(['bloop', 'nope']), 1);
+      assert.strictEqual(await client.exists('bloop'), 0);
+    });
+
+    it('keeps hashes and lists', async function () {
+      const { client } = this;
+
+      assert.strictEqual(await client.hSet('h', { a: '1', b: '2' }), 2);
+      assert.strictEqual(await client.hGet('h', 'a'), '1');
+      assert.deepStrictEqual(
+        { ...(await client.hGetAll('h')) },
+        { a: '1', b: '2' }
+      );
+      assert.strictEqual(await client.hIncrBy('h', 'b', 3), 5);
+      assert.strictEqual(await client.hDel('h', 'a'), 1);
+      assert.deepStrictEqual(await client.hKeys('h'), ['b']);
+
+      assert.strictEqual(await client.rPush('l', ['a', 'b']), 2);
+      assert.strictEqual(await client.lPush('l', 'c'), 3);
+      assert.deepStrictEqual(await client.lRange('l', 0, -1), ['c', 'a', 'b']);
+      assert.strictEqual(await client.lPop('l'), 'c');
+      assert.strictEqual(await client.rPop('l'), 'b');
+      assert.strictEqual(await client.lLen('l'), 1);
+
+      await assert.rejects(() => client.get('h'), { message: /^WRONGTYPE/ });
+      assert.deepStrictEqual(await client.keys('*'), ['h', 'l']);
+    });
+
+    it('expires keys', async function () {
+      const { client } = this;
+
+      await client.set('bloop', 'x', { PX: 20 });
+      assert(0 < (await client.pTTL('bloop')));
+      assert.strictEqual(await client.ttl('nope'), -2);
+
+      await wait(30);
+      assert.strictEqual(await client.get('bloop'), null);
+
+      await client.set('bleep', 'y');
+      assert.strictEqual(await client.ttl('bleep'), -1);
+      assert.strictEqual(await client.expire('bleep', 100), true);
+      assert.strictEqual(await client.ttl('bleep'), 100);
+    });
+
+    it('lets mocks take precedence', async function () {
+      const { redis } = helpers;
+      const { client } = this;
+
+      await client.set('bloop', 'the big one');
+
+      const get = this.fakeDep.mock({
+        req: redis.match.command('GET', 'bloop'),
+        res: redis.res.bulk('mocked'),
+        consume: redis.consume,
+      });
+
+      assert.strictEqual(await client.get('bloop'), 'mocked');
+      assert.strictEqual(await client.get('bloop'), 'the big one');
+      get.assertDone();
+    });
+
+    it('records commands', async function () {
+      const { client } = this;
+
+      await client.set('bloop', 'x');
+      await client.get('bloop');
+
+      assert.deepStrictEqual(this.fakeDep.fake.calls.slice(-2), [
+        ['SET', 'bloop', 'x'],
+        ['GET', 'bloop'],
+      ]);
+    });
+
+    it('forgets everything on reset', async function () {
+      const { client } = this;
+
+      await client.set('bloop', 'x');
+      this.fakeDep.reset();
+
+      assert.deepStrictEqual(this.fakeDep.fake.calls, []);
+      assert.strictEqual(await client.get('bloop'), null);
+    });
+
+    it('accepts a fake', async function () {
+      const fake = helpers.fakes.redis();
+      const dep = await tcp({ fake });
+
+      try {
+        assert.strictEqual(dep.fake, fake);
+
+        const client = await asyncSocket({ port: dep.port });
+        await client.write('SET bloop x\r\nGET bloop\r\n');
+
+        let res = '';
+        while (res.length < 12) {
+          res += (await client.read()).toString('utf8');
+        }
+
+        assert.strictEqual(res, '+OK\r\n$1\r\nx\r\n');
+        client.end();
+      } finally {
+        await dep.teardown();
+      }
+    });
+  });
+
+  describe('proxy', function () {
+    before(async function () {
+      this.upstream = await tcp();
+      this.file = join(tmpdir(), `wirepig-tcp-${pid}.json`);
+    });
+
+    afterEach(function () {
+      this.upstream.reset();
+      rmSync(this.file, { force: true });
+    });
+
+    after(async function () {
+      await this.upstream.teardown();
+    });
+
+    it('expects valid proxy options', function () {
+      for (const [options, error] of [
+        [
+          { proxy: 'localhost:9000' },
+          "`options.proxy` if defined must be plain object (got 'localhost:9000')",
+        ],
+        [
+          { proxy: { port: 9000 } },
+          '`options.proxy.host` must be string (got undefined)',
+        ],
+        [
+          { proxy: { host: 'localhost', port: 0 } },
+          '`options.proxy.port` must be positive, non-zero integer (got 0)',
+        ],
+        [{ record: 1 }, '`options.record` if defined must be string (got 1)'],
+        [
+          { record: 'fixtures/x.json' },
+          '`options.proxy` must be defined when `record` is (got undefined)',
+        ],
+      ]) {
+        assert.throws(() => tcp(options), {
+          name: 'ValidationError',
+          message: `Validation failed. Resolve the following issues:\n  * ${error}`,
+        });
+      }
+    });
+
+    it('relays connections and records them', async function () {
+      const greeting = this.upstream.mock({ init: 'hello' });
+      greeting.mock({ req: 'ping', res: 'pong' });
+      greeting.mock({
+        req: Buffer.from([0xff]),
+        res: { body: Buffer.from([0xff, 0x00]), bodyDelay: 20 },
+      });
+
+      const dep = await tcp({
+        proxy: { host: 'localhost', port: this.upstream.port },
+        record: this.file,
+      });
+
+      try {
+        dep.mock({ req: 'ping', res: 'local', optional: true });
+
+        const client = await asyncSocket({ port: dep.port });
+        assert.strictEqual((await client.read()).toString(), 'hello');
+
+        await client.write('ping');
+        assert.strictEqual((await client.read()).toString(), 'pong');
+
+        await client.write(Buffer.from([0xff]));
+        assert.deepStrictEqual(await client.read(), Buffer.from([0xff, 0x00]));
+
+        client.end();
+        await client.closeSignal;
+      } finally {
+        await dep.teardown();
+      }
+
+      const [recording, ...rest] = JSON.parse(readFileSync(this.file, 'utf8'));
+
+      assert.deepStrictEqual(rest, []);
+      assert.deepStrictEqual(
+        recording.turns.map(({ from, data }) => [from, data]),
+        [
+          ['server', 'hello'],
+          ['client', 'ping'],
+          ['server', 'pong'],
+          ['client', { base64: '/w==' }],
+          ['server', { base64: '/wA=' }],
+        ]
+      );
+
+      const [, , , request, response] = recording.turns;
+      assert.ok(response.at - request.at >= 20);
+    });
+
+    it('records a connection still open at teardown', async function () {
+      this.upstream.mock({ req: 'ping', res: 'pong' });
+
+      const dep = await tcp({
+        proxy: { host: 'localhost', port: this.upstream.port },
+        record: this.file,
+      });
+
+      const client = await asyncSocket({ port: dep.port });
+      await client.write('ping');
+      assert.strictEqual((await client.read()).toString(), 'pong');
+
+      await dep.teardown();
+      await client.closeSignal;
+
+      const recording = JSON.parse(readFileSync(this.file, 'utf8'));
+      assert.deepStrictEqual(
+        recording.map(({ turns }) => turns.map(({ data }) => data)),
+        [['ping', 'pong']]
+      );
+    });
+
+    it('closes connections the backend refuses', async function () {
+      const dep = await tcp({
+        proxy: { host: 'localhost', port: 1 },
+        record: this.file,
+      });
+
+      try {
+        const client = await asyncSocket({ port: dep.port });
+        await client.closeSignal;
+      } finally {
+        await dep.teardown();
+      }
+
+      assert.throws(() => readFileSync(this.file), { code: 'ENOENT' });
+    });
+
+    it('rejects teardown when the recording cannot be written', async function () {
+      this.upstream.mock({ req: 'ping', res: 'pong' });
+
+      const dep = await tcp({
+        proxy: { host: 'localhost', port: this.upstream.port },
+        record: join(tmpdir(), `wirepig-missing-${pid}`, 'tcp.json'),
+      });
+
+      const client = await asyncSocket({ port: dep.port });
+      await client.write('ping');
+      await client.read();
+
+      await assert.rejects(() => dep.teardown(), { code: 'ENOENT' });
+    });
+
+    it('replays a recording as connection-pinned mocks', async function () {
+      writeFileSync(
+        this.file,
+        JSON.stringify([
+          {
+            turns: [
+              { from: 'server', at: 0, data: 'hello' },
+              { from: 'client', at: 1, data: 'ping' },
+              { from: 'server', at: 31, data: 'pong' },
+              { from: 'client', at: 40, data: { base64: '/w==' } },
+              { from: 'server', at: 41, data: { base64: '/wA=' } },
+            ],
+          },
+          { turns: [] },
+        ])
+      );
+
+      const mocks = this.dep.replay(this.file);
+
+      assert.deepStrictEqual(
+        mocks.map((m) => m.toString()),
+        [
+          'TCP{init=<Buffer 68 65 6c 6c 6f>}',
+          'TCP{req=<Buffer 70 69 6e 67> res={ body: <Buffer 70 6f 6e 67>, bodyDelay: 30 } consume=4}',
+          'TCP{req=<Buffer ff> res={ body: <Buffer ff 00>, bodyDelay: 1 } consume=1}',
+        ]
+      );
+
+      const other = await asyncSocket({ port: this.dep.port });
+      const client = await asyncSocket({ port: this.dep.port });
+      assert.strictEqual((await other.read()).toString(), 'hello');
+
+      await client.write('ping');
+      await assert.rejects(() => client.read(), {
+        name: 'Error',
+        message: 'Read timeout',
+      });
+
+      await other.write('ping');
+      const start = Date.now();
+      assert.strictEqual((await other.read()).toString(), 'pong');
+      assert.ok(Date.now() - start >= 25);
+
+      await other.write(Buffer.from([0xff]));
+      assert.deepStrictEqual(await other.read(), Buffer.from([0xff, 0x00]));
+
+      client.end();
+      other.end();
+    });
+
+    it('applies options to every replayed mock', function () {
+      writeFileSync(
+        this.file,
+        JSON.stringify([
+          {
+            turns: [
+              { from: 'client', at: 0, data: 'ping' },
+              { from: 'server', at: 0, data: 'pong' },
+              { from: 'client', at: 1, data: 'ping' },
+            ],
+          },
+        ])
+      );
+
+      const mocks = this.dep.replay(this.file, { optional: true });
+
+      assert.strictEqual(mocks.length, 2);
+      assert.ok(mocks.every((m) => !m.isPending()));
+    });
+  });
+
   describe('fun examples', function () {
     it('can mock an http server', async function () {
       this.dep.mock({
@@ -983,6 +2084,106 @@ describe('tcp', function () {
       await client.disconnect();
     });
 
+    it('can mock a redis server with helpers', async function () {
+      const { redis } = helpers;
+
+      this.dep.mock(redis.handshake());
+
+      const get = this.dep.mock({
+        req: redis.match.command('GET', 'namespace:bloop'),
+        res: redis.res.bulk('bloop-the-big-one'),
+        consume: redis.consume,
+      });
+
+      const incr = this.dep.mock({
+        req: redis.match.command('INCR', /^namespace:/),
+        res: redis.res.integer(2),
+        consume: redis.consume,
+      });
+
+      const mget = this.dep.mock({
+        req: redis.match.command('MGET', 'a', 'b'),
+        res: redis.res.array(['a', null]),
+        consume: redis.consume,
+      });
+
+      const del = this.dep.mock({
+        req: redis.match.command('DEL', 'a'),
+        res: redis.res.error('ERR nope'),
+        consume: redis.consume,
+      });
+
+      const client = createClient({
+        url: `redis://localhost:${this.dep.port}`,
+      });
+
+      await client.connect();
+
+      const [bloop, count, values] = await Promise.all([
+        client.get('namespace:bloop'),
+        client.incr('namespace:count'),
+        client.mGet(['a', 'b']),
+      ]);
+
+      assert.strictEqual(bloop, 'bloop-the-big-one');
+      assert.strictEqual(count, 2);
+      assert.deepStrictEqual(values, ['a', null]);
+
+      await assert.rejects(() => client.del('a'), { message: 'ERR nope' });
+
+      get.assertDone();
+      incr.assertDone();
+      mget.assertDone();
+      del.assertDone();
+
+      await client.disconnect();
+    });
+
+    it('answers a pipelined redis handshake', async function () {
+      const { redis } = helpers;
+
+      this.dep.mock(redis.handshake());
+      this.dep.mock({
+        req: redis.match.command('PING'),
+        res: redis.res.simple('PONG'),
+      });
+
+      const client = await asyncSocket({ port: this.dep.port });
+      await client.write(
+        [
+          '*4',
+          '$6',
+          'CLIENT',
+          '$7',
+          'SETINFO',
+          '$8',
+          'LIB-NAME',
+          '$10',
+          'node-redis',
+          '*4',
+          '$6',
+          'CLIENT',
+          '$7',
+          'SETINFO',
+          '$7',
+          'LIB-VER',
+          '$5',
+          '4.6.8',
+          '*1',
+          '$4',
+          'PING',
+          '',
+        ].join('\r\n')
+      );
+
+      let res = '';
+      while (res.length < 17) {
+        res += (await client.read()).toString('utf8');
+      }
+
+      assert.strictEqual(res, '+OK\r\n+OK\r\n+PONG\r\n');
+    });
+
     it('can mock a memcached server', async function () {
       this.dep.mock({
         req: 'get bloop\r\n',
@@ -1005,6 +2206,54 @@ describe('tcp', function () {
       client.end();
     });
 
+    it('can mock a memcached server with helpers', async function () {
+      const { memcached: m } = helpers;
+
+      this.dep.mock({
+        req: m.match.get('bloop'),
+        res: m.res.values({ key: 'bloop', value: 'bloop the big one' }),
+      });
+
+      this.dep.mock({
+        req: m.match.set('bloop', 'bleep'),
+        res: m.res.stored(),
+      });
+
+      this.dep.mock({
+        req: m.match.add('bloop'),
+        res: m.res.notStored(),
+      });
+
+      this.dep.mock({
+        req: m.match.incr('count', 2),
+        res: m.res.number(3),
+      });
+
+      this.dep.mock({
+        req: m.match.delete('bloop'),
+        res: m.res.notFound(),
+      });
+
+      const client = new memcached(`localhost:${this.dep.port}`);
+
+      const call = (method, ...args) =>
+        new Promise((res, rej) => {
+          client[method](...args, function (err, data) {
+            err ? rej(err) : res(data);
+          });
+        });
+
+      assert.strictEqual(await call('get', 'bloop'), 'bloop the big one');
+      assert.strictEqual(await call('set', 'bloop', 'bleep', 10), true);
+      await assert.rejects(() => call('add', 'bloop', 'bleep', 10), {
+        message: 'Item is not stored',
+      });
+      assert.strictEqual(await call('incr', 'count', 2), 3);
+      assert.strictEqual(await call('del', 'bloop'), false);
+
+      client.end();
+    });
+
     it('can mock a divvy server', async function () {
       this.dep.mock({
         req: 'HIT "method"="GET" "path"="/pantry/cookies"\n',
@@ -1076,6 +2325,86 @@ describe('tcp', function () {
       client.end();
     });
 
+    it('can mock a mysql server with helpers', async function () {
+      const { mysql: m } = helpers;
+
+      const handshake = this.dep.mock({ init: m.handshake() });
+
+      const auth = handshake.mock({
+        req: (bytes) => bytes.includes('me\0'),
+        res: m.res.ok(),
+        consume: m.consume,
+      });
+
+      const select = auth.mock({
+        req: m.match.query('SELECT id, name FROM users'),
+        res: m.res.result({
+          fields: [{ name: 'id', type: 'long' }, 'name'],
+          rows: [[1, 'bloop'], { id: 2, name: null }],
+        }),
+        consume: m.consume,
+      });
+
+      const insert = select.mock({
+        req: m.match.query(/^INSERT INTO users/),
+        res: m.res.ok({ affectedRows: 1, insertId: 3 }),
+        consume: m.consume,
+      });
+
+      const duplicate = insert.mock({
+        req: m.match.query(/^INSERT INTO users/),
+        res: m.res.error({
+          errno: 1062,
+          sqlState: '23000',
+          message: "Duplicate entry 'bloop' for key 'name'",
+        }),
+        consume: m.consume,
+      });
+
+      const client = mysql.createConnection({
+        host: 'localhost',
+        port: this.dep.port,
+        user: 'me',
+        password: 'secret',
+        database: 'my_db',
+      });
+
+      const query = (sql) =>
+        new Promise((resolve, reject) => {
+          client.query(sql, (err, results) => {
+            err !== null ? reject(err) : resolve(results);
+          });
+        });
+
+      const users = await query('SELECT id, name FROM users');
+      assert.deepStrictEqual(
+        users.map((u) => ({ ...u })),
+        [
+          { id: 1, name: 'bloop' },
+          { id: 2, name: null },
+        ]
+      );
+
+      const { affectedRows, insertId } = await query(
+        "INSERT INTO users (name) VALUES ('bleep')"
+      );
+      assert.strictEqual(affectedRows, 1);
+      assert.strictEqual(insertId, 3);
+
+      await assert.rejects(
+        () => query("INSERT INTO users (name) VALUES ('bloop')"),
+        { code: 'ER_DUP_ENTRY', sqlState: '23000' }
+      );
+
+      handshake.assertDone();
+      auth.assertDone();
+      select.assertDone();
+      insert.assertDone();
+      duplicate.assertDone();
+
+      client.destroy();
+    });
+
     it('can mock a postgres server', async function () {
       const serverSalt = 'zfLTJwV54d4WqVAKnhs9Hw==';
       const serverIterations = 4096;
@@ -1213,5 +2542,67 @@ describe('tcp', function () {
       await client.end();
       termination.assertDone();
     });
+
+    it('can mock a postgres server with helpers', async function () {
+      const { postgres } = helpers;
+
+      this.dep.mock(postgres.handshake());
+
+      const select = this.dep.mock({
+        req: postgres.match.query('SELECT id, name FROM users'),
+        res: postgres.res.result({
+          fields: [{ name: 'id', type: 'int4' }, 'name'],
+          rows: [[1, 'bloop'], { id: 2, name: null }],
+        }),
+        consume: postgres.consume,
+      });
+
+      const prepared = this.dep.mock({
+        req: postgres.match.query('SELECT * FROM users WHERE id = $1', ['2']),
+        res: postgres.res.result({
+          fields: [{ name: 'active', type: 'bool' }],
+          rows: [[true]],
+        }),
+        consume: postgres.consume,
+      });
+
+      const insert = this.dep.mock({
+        req: postgres.match.query(/^INSERT INTO users/),
+        res: postgres.res.error({
+          code: '23505',
+          message: 'duplicate key value violates unique constraint',
+        }),
+        consume: postgres.consume,
+      });
+
+      const client = new pg.Client({
+        user: 'postgres',
+        host: 'localhost',
+        port: this.dep.port,
+      });
+
+      await client.connect();
+
+      const users = await client.query('SELECT id, name FROM users');
+      assert.deepStrictEqual(users.rows, [
+        { id: 1, name: 'bloop' },
+        { id: 2, name: null },
+      ]);
+      assert.strictEqual(users.rowCount, 2);
+
+      const user = await client.query('SELECT * FROM users WHERE id = $1', [2]);
+      assert.deepStrictEqual(user.rows, [{ active: true }]);
+
+      await assert.rejects(
+        () => client.query('INSERT INTO users VALUES ($1)', ['bloop']),
+        { code: '23505' }
+      );
+
+      select.assertDone();
+      prepared.assertDone();
+      insert.assertDone();
+
+      await client.end();
+    });
   });
 });
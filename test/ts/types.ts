@@ -1,11 +1,28 @@
 import { Buffer } from 'node:buffer';
-import { http, tcp, helpers, errors } from '../../';
+import { http, tcp, udp, dns, helpers, errors } from '../../';
 
-const { ValidationError, PendingMockError } = errors;
+const {
+  ValidationError,
+  PendingMockError,
+  UnmatchedRequestError,
+  UnexpectedRequestError,
+} = errors;
 
 http();
 http({});
+http({ strict: true });
+http({ tls: true });
+http({ caseSensitiveHeaders: true });
+http({ host: '::1' });
+http({ path: '/tmp/wirepig.sock' });
+http({ proxy: 'http://localhost:9000' });
+http({ proxy: 'http://localhost:9000', record: 'fixtures/x.json' });
+http({ tls: { key: 'key', cert: Buffer.from('cert', 'utf8') } });
 const httpDep = await http({ port: 1989 });
+const httpCA: string | Buffer | undefined = httpDep.ca;
+const httpPort: number | undefined = httpDep.port;
+const httpAddress: string | undefined = httpDep.address;
+const httpPath: string | undefined = httpDep.path;
 httpDep.mock();
 httpDep.mock({});
 httpDep.mock({ req: {} });
@@ -79,6 +96,27 @@ httpDep.mock({
   },
 });
 
+httpDep.mock({
+  req: {
+    query: {
+      a: '1',
+      b: Buffer.from('2', 'utf8'),
+      c: /3/,
+      d: (v) => v === '4',
+      e: ['5', /6/, undefined],
+      f: undefined,
+    },
+  },
+});
+
+httpDep.mock({
+  req: { method: 'GET', route: '/users/:id' },
+  res: (req, reqBody, params) => ({
+    body: (req, reqBody, { id }) => `user: ${id}`,
+    statusCode: params.id === '1' ? 200 : 404,
+  }),
+});
+
 httpDep.mock({ res: {} });
 
 httpDep.mock({
@@ -129,6 +167,34 @@ httpDep.mock({
   },
 });
 
+httpDep.mock({ res: { fault: { type: 'truncate', bytes: 10 } } });
+httpDep.mock({ res: { fault: { type: 'contentLength', length: 10 } } });
+httpDep.mock({ res: { fault: { type: 'reset' } } });
+httpDep.mock({
+  res: { fault: (req, reqBody) => ({ type: 'stall' }) },
+});
+
+httpDep.mock({
+  res: {
+    body: ['a', Buffer.from('b', 'utf8'), { data: 'c', delay: 10 }],
+  },
+});
+
+httpDep.mock({
+  res: {
+    body: (async function* () {
+      yield 'a';
+      yield { data: Buffer.from('b', 'utf8') };
+    })(),
+  },
+});
+
+httpDep.mock({
+  res: {
+    body: (req, reqBody) => [reqBody, { data: reqBody, delay: 10 }],
+  },
+});
+
 httpDep.mock({
   res: {
     body: (req, reqBody) => Buffer.concat([reqBody, reqBody]),
@@ -162,6 +228,17 @@ httpDep.mock({
   },
 });
 
+httpDep.mock({ times: 3 });
+httpDep.mock({ persist: true });
+httpDep.mock({ optional: true });
+httpDep.mock({ times: 2, optional: false });
+httpDep.mock({ persist: false, optional: true });
+httpDep.mock({ scenario: 'checkout', toState: 'paid' });
+httpDep.mock({ scenario: 'checkout', whenState: 'paid', persist: true });
+const state: string = httpDep.scenario('checkout').state;
+const replayed: Array<{ assertDone(): void }> = httpDep.replay('x.json');
+httpDep.replay('x.json', { persist: true, optional: true });
+
 httpDep.reset();
 httpDep.reset({});
 httpDep.reset({ throwOnPending: false });
@@ -169,10 +246,66 @@ await httpDep.teardown();
 
 const httpMock = httpDep.mock();
 httpMock.assertDone();
+const httpMockPending: boolean = httpMock.isPending();
+const httpMockCalls: Array<{ method: string; body: Buffer }> = httpMock.calls;
+const httpMockLastCallPathname: string | undefined =
+  httpMock.lastCall?.pathname;
+const httpRequests: Array<{ pathname: string }> = httpDep.requests;
+const httpUnmatchedRequests: Array<{ query: string }> =
+  httpDep.unmatchedRequests;
 
 tcp();
 tcp({});
+tcp({ strict: true });
+tcp({ host: '127.0.0.1' });
+tcp({ path: '/tmp/wirepig.sock' });
+tcp({ tls: true });
+tcp({ tls: { key: 'key', cert: Buffer.from('cert', 'utf8') } });
+tcp({ startTLS: true });
+tcp({ framing: 'line' });
+tcp({ framing: { delimiter: '\0' } });
+tcp({ framing: { delimiter: Buffer.from([0]) } });
+tcp({ framing: { lengthPrefix: 4 } });
+tcp({ framing: (b) => (b.length > 2 ? 2 : undefined) });
+tcp({ startTLS: { key: Buffer.from('key', 'utf8'), cert: 'cert' } });
+tcp({ proxy: { host: 'localhost', port: 5432 } });
+tcp({ proxy: { host: 'localhost', port: 5432 }, record: 'fixtures/x.json' });
+const wsMock = httpDep.ws({
+  req: { route: '/rooms/:room', headers: { authorization: 'bloop' } },
+  res: { headers: { 'sec-websocket-protocol': 'chat' }, headerDelay: 10 },
+  init: ['hello', Buffer.from([1])],
+});
+httpDep.ws();
+httpDep.ws({ req: (req) => req.pathname === '/feed', persist: true });
+httpDep.ws({ res: () => ({ destroySocket: true }), optional: true });
+const wsMessageMock = wsMock.mock({ req: 'subscribe', res: 'subscribed' });
+wsMessageMock.isPending();
+wsMessageMock.assertDone();
+wsMock.mock({ req: /^quit/, res: { body: 'bye', close: true } });
+wsMock.mock({ req: Buffer.from([1]), res: Buffer.from([2]) });
+wsMock.mock({
+  req: (message) => message.length > 0,
+  res: (message) => ({
+    body: message,
+    bodyDelay: 10,
+    destroySocket: false,
+    close: { code: 4000, reason: 'done' },
+  }),
+  persist: true,
+  optional: true,
+});
+wsMock.send('tick');
+wsMock.send(Buffer.from([1]));
+wsMock.ping();
+wsMock.close(1001, 'going away');
+wsMock.calls[0].pathname;
+wsMock.isPending();
+wsMock.assertDone();
+
 const tcpDep = await tcp({ port: 1989 });
+const tcpCA: string | Buffer | undefined = tcpDep.ca;
+const replayedTCP: Array<{ mock(): unknown }> = tcpDep.replay('x.json');
+tcpDep.replay('x.json', { optional: true });
 
 tcpDep.mock();
 tcpDep.mock({});
@@ -220,6 +353,13 @@ tcpDep.mock({ res: (r) => ({ bodyDelay: 2 }) });
 tcpDep.mock({ res: (r) => ({ bodyDelay: () => 2 }) });
 tcpDep.mock({ res: (r) => ({ destroySocket: true }) });
 tcpDep.mock({ res: (r) => ({ destroySocket: () => true }) });
+tcpDep.mock({ res: { upgradeTLS: true } });
+tcpDep.mock({ res: (r) => ({ upgradeTLS: () => false }) });
+
+tcpDep.mock({ req: 'abcd', consume: 4 });
+tcpDep.mock({ req: 'PING\r\n', consume: '\r\n' });
+tcpDep.mock({ req: 'PING\r\n', consume: Buffer.from('\r\n', 'utf8') });
+tcpDep.mock({ consume: (r) => (r.length > 4 ? 4 : undefined) });
 
 tcpDep.reset();
 tcpDep.reset({});
@@ -229,6 +369,10 @@ await tcpDep.teardown();
 const tcpMock = tcpDep.mock();
 tcpMock.assertDone();
 
+tcpMock.isPending();
+tcpDep.mock({ req: 'req', persist: true, optional: true });
+tcpDep.mock({ init: 'init', persist: true });
+
 const pinnedTCPMock = tcpMock.mock({ init: 'init', req: 'req', res: 'res' });
 pinnedTCPMock.assertDone();
 
@@ -264,5 +408,200 @@ helpers.res.json('bloop', { headers: {} });
 helpers.res.json('bloop', { headers: { 'x-bloop': 'true' } });
 helpers.res.json('bloop', { statusCode: 200, headers: { 'x-bloop': 'true' } });
 
+helpers.res.sse(['bloop']);
+helpers.res.sse([{ event: 'bloop', id: '1', retry: 10, data: { a: 1 } }]);
+helpers.res.sse([{ data: 'bloop', delay: 10 }], { statusCode: 200 });
+helpers.res.sse(
+  (async function* () {
+    yield 'bloop';
+  })(),
+  { headers: { 'x-bloop': 'true' } }
+);
+
 new ValidationError('Invalid');
 new PendingMockError('Pending');
+new UnmatchedRequestError('Unmatched');
+new UnexpectedRequestError('Unexpected');
+
+const { redis } = helpers;
+tcpDep.mock(redis.handshake());
+tcpDep.mock({
+  req: redis.match.command('GET', /^ns:/, (a) => a.length > 1),
+  res: redis.res.bulk('bloop'),
+  consume: redis.consume,
+});
+tcpDep.mock({ req: redis.match.command(/^mget$/i, Buffer.from('a')) });
+tcpDep.mock({ res: redis.res.simple('OK') });
+tcpDep.mock({ res: redis.res.error('ERR oops') });
+tcpDep.mock({ res: redis.res.integer(1) });
+tcpDep.mock({ res: redis.res.bulk(Buffer.from('bloop', 'utf8')) });
+tcpDep.mock({ res: redis.res.bulk(null) });
+tcpDep.mock({ res: redis.res.null() });
+tcpDep.mock({
+  res: redis.res.array(['a', 1, null, ['b'], redis.res.simple('OK')]),
+});
+tcpDep.mock({ res: () => redis.res.array(null) });
+tcp({ framing: redis.consume });
+
+const { postgres } = helpers;
+tcpDep.mock(postgres.handshake());
+tcpDep.mock(postgres.handshake({ parameters: { server_version: '16.1' } }));
+tcpDep.mock({
+  req: postgres.match.query('SELECT * FROM users WHERE id = $1', ['1']),
+  res: postgres.res.result({
+    fields: ['name', { name: 'id', type: 'int4' }, { name: 'x', type: 1043 }],
+    rows: [
+      ['bloop', 1, null],
+      { name: 'bleep', id: 2, x: Buffer.from('x', 'utf8') },
+    ],
+  }),
+  consume: postgres.consume,
+});
+tcpDep.mock({
+  req: postgres.match.query(/^INSERT/, [(p) => p.length > 0, null]),
+  res: postgres.res.result({ command: 'INSERT 0 1' }),
+});
+tcpDep.mock({
+  req: postgres.match.query((sql) => sql.startsWith('DELETE')),
+  res: postgres.res.error({ code: '42P01', message: 'nope', detail: 'oof' }),
+});
+tcp({ framing: postgres.consume });
+
+const { mysql } = helpers;
+const mysqlConn = tcpDep.mock({ init: mysql.handshake() });
+tcpDep.mock({
+  init: mysql.handshake({ serverVersion: '5.7.0', connectionId: 2 }),
+});
+mysqlConn.mock({ res: mysql.res.ok(), consume: mysql.consume }).mock({
+  req: mysql.match.query('SELECT id, name FROM users'),
+  res: mysql.res.result({
+    fields: ['name', { name: 'id', type: 'long' }, { name: 'x', type: 0xfc }],
+    rows: [
+      ['bloop', 1, null],
+      { name: 'bleep', id: 2, x: Buffer.from('x', 'utf8') },
+    ],
+  }),
+  consume: mysql.consume,
+});
+tcpDep.mock({
+  req: mysql.match.query(/^INSERT/),
+  res: mysql.res.ok({ affectedRows: 1, insertId: 2, message: 'bloop' }),
+});
+tcpDep.mock({
+  req: mysql.match.query((sql) => sql.startsWith('DELETE')),
+  res: mysql.res.error({ errno: 1146, sqlState: '42S02', message: 'nope' }),
+});
+tcp({ framing: mysql.consume });
+
+const { memcached } = helpers;
+tcpDep.mock({
+  req: memcached.match.get('a', /^b/, (k) => k.length > 1),
+  res: memcached.res.values(
+    { key: 'a', value: 'bloop' },
+    { key: 'b', value: Buffer.from('1', 'utf8'), flags: 2, cas: 9 }
+  ),
+  consume: memcached.consume,
+});
+tcpDep.mock({ req: memcached.match.gets('a'), res: memcached.res.values() });
+tcpDep.mock({
+  req: memcached.match.set('a', 'bloop'),
+  res: memcached.res.stored(),
+});
+tcpDep.mock({
+  req: memcached.match.add('a', (v) => v.length > 1),
+  res: memcached.res.notStored(),
+});
+tcpDep.mock({ req: memcached.match.set('a'), res: memcached.res.exists() });
+tcpDep.mock({
+  req: memcached.match.delete('a'),
+  res: memcached.res.notFound(),
+});
+tcpDep.mock({ req: memcached.match.delete('a'), res: memcached.res.deleted() });
+tcpDep.mock({
+  req: memcached.match.incr('a', 2),
+  res: memcached.res.number(3),
+});
+tcpDep.mock({ res: memcached.res.error() });
+tcpDep.mock({ res: memcached.res.clientError('bad data chunk') });
+tcpDep.mock({ res: memcached.res.serverError('out of memory') });
+tcpDep.mock({
+  req: memcached.match.mg('a', 'v', /^t/),
+  res: memcached.res.va('bloop', 't-1'),
+});
+tcpDep.mock({
+  req: memcached.match.ms('a', 'bloop', 'T60'),
+  res: memcached.res.hd('c3'),
+});
+tcpDep.mock({ req: memcached.match.md('a'), res: memcached.res.nf() });
+tcpDep.mock({ res: memcached.res.en() });
+tcpDep.mock({ res: memcached.res.ns() });
+tcpDep.mock({ res: memcached.res.ex() });
+tcp({ framing: memcached.consume });
+
+const redisFake = helpers.fakes.redis();
+redisFake.reset();
+redisFake.calls.map((c) => c.join(' '));
+tcp({ fake: 'redis' });
+tcp({ fake: redisFake });
+tcp({
+  fake: {
+    consume: (bytes) => bytes.length,
+    respond: (bytes) => bytes,
+  },
+});
+tcpDep.fake?.respond(Buffer.from('PING\r\n', 'utf8'));
+const tcpPort: number | undefined = tcpDep.port;
+const tcpAddress: string | undefined = tcpDep.address;
+const tcpPath: string | undefined = tcpDep.path;
+
+const udpDep = await udp({ port: 1990, strict: true });
+udp();
+const udpMock = udpDep.mock({ req: 'page.views:1|c' });
+udpMock.isPending();
+udpMock.assertDone();
+udpDep.mock({ req: /^page/, persist: true, optional: true });
+udpDep.mock({ req: (d) => d.length > 0, res: 'pong' });
+udpDep.mock({ res: Buffer.from('pong', 'utf8') });
+udpDep.mock({ res: (d) => ({ body: d, bodyDelay: 10, drop: false }) });
+udpDep.mock({
+  res: {
+    body: (d) => d,
+    bodyDelay: (d) => d.length,
+    drop: (d) => d.length > 1,
+  },
+});
+udpDep.reset({ throwOnPending: false });
+await udpDep.teardown();
+
+const dnsDep = await dns({ port: 1991, strict: true });
+dns();
+const dnsMock = dnsDep.mock({
+  req: { name: 'api.internal', type: 'A' },
+  res: { answers: [{ address: '10.0.0.1', ttl: 30 }] },
+});
+dnsMock.isPending();
+dnsMock.assertDone();
+dnsDep.mock({ req: { name: /internal$/, type: (t) => t === 'SRV' } });
+dnsDep.mock({ req: ({ name }) => name.length > 0, persist: true });
+dnsDep.mock({
+  res: {
+    answers: [
+      { type: 'CNAME', value: 'api.internal' },
+      { type: 'AAAA', address: 'fd00::1' },
+      { type: 'SRV', priority: 10, weight: 5, port: 80, name: 'a.internal' },
+      { type: 'TXT', entries: ['v=1'] },
+    ],
+  },
+});
+dnsDep.mock({ res: { rcode: 'NXDOMAIN', delay: 10, drop: false } });
+dnsDep.mock({
+  res: {
+    answers: ({ name }) => [{ type: 'CNAME', value: name }],
+    rcode: () => 2,
+    delay: ({ name }) => name.length,
+    drop: ({ type }) => type === 'A',
+  },
+});
+dnsDep.mock({ res: () => ({ rcode: 'SERVFAIL' }), optional: true });
+dnsDep.reset({ throwOnPending: false });
+await dnsDep.teardown();
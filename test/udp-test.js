@@ -0,0 +1,226 @@
+import assert from 'node:assert';
+import { Buffer } from 'node:buffer';
+
+import { udp } from '../src/index.js';
+import { udpSocket } from './helpers/index.js';
+import { wait } from '../src/lib.js';
+
+describe('udp', function () {
+  before(async function () {
+    this.dep = await udp();
+  });
+
+  beforeEach(async function () {
+    this.client = await udpSocket();
+  });
+
+  afterEach(async function () {
+    await this.client.close();
+    this.dep.reset();
+  });
+
+  after(async function () {
+    await this.dep.teardown();
+  });
+
+  describe('schema', function () {
+    it('expects valid udp arguments', function () {
+      for (const [options, error] of [
+        [/bloop/, '`options` if defined must be plain object (got /bloop/)'],
+        [
+          { port: -2 },
+          '`options.port` if defined must be positive integer (got -2)',
+        ],
+        [
+          { strict: 'yes' },
+          "`options.strict` if defined must be boolean (got 'yes')",
+        ],
+      ]) {
+        assert.throws(() => udp(options), {
+          name: 'ValidationError',
+          message: `Validation failed. Resolve the following issues:\n  * ${error}`,
+        });
+      }
+    });
+
+    it('expects a valid mock', function () {
+      for (const [options, error] of [
+        [1, '`options` if defined must be plain object (got 1)'],
+        [
+          { req: 1 },
+          '`options.req` if defined must be string, buffer, regular expression, or function (got 1)',
+        ],
+        [
+          { res: 1 },
+          '`options.res` if defined must be object, string, or buffer or function returning same (got 1)',
+        ],
+        [
+          { res: { bodyDelay: -1 } },
+          '`options.res.bodyDelay` if defined must be positive integer or function returning same (got -1)',
+        ],
+        [
+          { res: { drop: 'yes' } },
+          "`options.res.drop` if defined must be boolean or function returning same (got 'yes')",
+        ],
+        [
+          { persist: 'yes' },
+          "`options.persist` if defined must be boolean (got 'yes')",
+        ],
+      ]) {
+        assert.throws(() => this.dep.mock(options), {
+          name: 'ValidationError',
+          message: `Validation failed. Resolve the following issues:\n  * ${error}`,
+        });
+      }
+    });
+  });
+
+  describe('basics', function () {
+    it('matches a datagram', async function () {
+      const m = this.dep.mock({ req: 'page.views:1|c' });
+
+      await this.client.send('page.views:1|c', this.dep.port);
+      await wait(10);
+
+      m.assertDone();
+    });
+
+    it('matches datagrams like any other value', async function () {
+      const m = this.dep.mock({ req: /^page\.views:\d+\|c$/ });
+      const n = this.dep.mock({ req: (d) => d.length === 3 });
+
+      await this.client.send('page.views:12|c', this.dep.port);
+      await this.client.send(Buffer.from([1, 2, 3]), this.dep.port);
+      await wait(10);
+
+      m.assertDone();
+      n.assertDone();
+    });
+
+    it('replies to the sender', async function () {
+      this.dep.mock({ req: 'ping', res: 'pong' });
+      this.dep.mock({ req: 'echo hi', res: (d) => d.subarray(5) });
+
+      await this.client.send('ping', this.dep.port);
+      assert.strictEqual((await this.client.read()).toString('utf8'), 'pong');
+
+      await this.client.send('echo hi', this.dep.port);
+      assert.strictEqual((await this.client.read()).toString('utf8'), 'hi');
+    });
+
+    it('replies over ipv6', async function () {
+      const client = await udpSocket({ type: 'udp6' });
+
+      try {
+        this.dep.mock({ req: 'ping', res: 'pong' });
+
+        await client.send('ping', this.dep.port);
+        assert.strictEqual((await client.read()).toString('utf8'), 'pong');
+      } finally {
+        await client.close();
+      }
+    });
+
+    it('delays a reply', async function () {
+      this.dep.mock({ req: 'ping', res: { body: 'pong', bodyDelay: 50 } });
+
+      await this.client.send('ping', this.dep.port);
+      await assert.rejects(() => this.client.read({ timeout: 25 }), {
+        message: 'Read timeout',
+      });
+
+      assert.strictEqual((await this.client.read()).toString('utf8'), 'pong');
+    });
+
+    it('drops a reply', async function () {
+      const m = this.dep.mock({
+        req: 'ping',
+        res: { body: 'pong', drop: true },
+      });
+      const n = this.dep.mock({ req: 'ping', res: { drop: () => false } });
+
+      await this.client.send('ping', this.dep.port);
+      await this.client.send('ping', this.dep.port);
+
+      await assert.rejects(() => this.client.read({ timeout: 25 }), {
+        message: 'Read timeout',
+      });
+
+      m.assertDone();
+      n.assertDone();
+    });
+
+    it('consumes mocks in order', async function () {
+      this.dep.mock({ req: 'ping', res: 'one' });
+      this.dep.mock({ req: 'ping', res: 'two' });
+
+      await this.client.send('ping', this.dep.port);
+      assert.strictEqual((await this.client.read()).toString('utf8'), 'one');
+
+      await this.client.send('ping', this.dep.port);
+      assert.strictEqual((await this.client.read()).toString('utf8'), 'two');
+    });
+
+    it('matches a persisted mock any number of times', async function () {
+      const m = this.dep.mock({ req: /^page\.views/, persist: true });
+
+      await this.client.send('page.views:1|c', this.dep.port);
+      await this.client.send('page.views:1|c', this.dep.port);
+      await wait(10);
+
+      m.assertDone();
+    });
+
+    it('never considers an optional mock pending', function () {
+      const m = this.dep.mock({ req: 'ping', optional: true });
+
+      assert(!m.isPending());
+      m.assertDone();
+    });
+
+    it('reset() fails with unmatched mocks', async function () {
+      const m = this.dep.mock({ req: 'ping' });
+
+      assert(m.isPending());
+      assert.throws(() => m.assertDone(), {
+        name: 'PendingMockError',
+        message: "Mock is still pending: UDP{req='ping'}",
+      });
+      assert.throws(() => this.dep.reset(), {
+        name: 'PendingMockError',
+        message: "The following mocks are still pending: UDP{req='ping'}",
+      });
+    });
+
+    it('reset({ throwOnPending: false }) succeeds with unmatched mocks', function () {
+      this.dep.mock({ req: 'ping' });
+      this.dep.reset({ throwOnPending: false });
+    });
+  });
+
+  describe('strict', function () {
+    before(async function () {
+      this.strictDep = await udp({ strict: true });
+    });
+
+    after(async function () {
+      await this.strictDep.teardown();
+    });
+
+    it('reset() fails with unmatched datagrams', async function () {
+      this.strictDep.mock({ req: 'ping' });
+
+      await this.client.send('ping', this.strictDep.port);
+      await this.client.send('pong', this.strictDep.port);
+      await wait(10);
+
+      assert.throws(() => this.strictDep.reset(), {
+        name: 'UnexpectedRequestError',
+        message:
+          /^The following data was not expected:\n {2}\* \[::ffff:127\.0\.0\.1:\d+\] 'pong'$/,
+      });
+
+      this.strictDep.reset();
+    });
+  });
+});
@@ -11,6 +11,7 @@ import {
   isUndefined,
   isInteger,
   isArray,
+  isAsyncIterable,
   isPlainObject,
   obj,
   arr,
@@ -120,6 +121,22 @@ describe('validate', function () {
     });
   });
 
+  describe('isAsyncIterable', function () {
+    it('returns errors when not satisfied', function () {
+      async function* g() {}
+      const iterable = g();
+
+      assert.deepStrictEqual(isAsyncIterable(iterable, ['value']), [
+        iterable,
+        [],
+      ]);
+      assert.deepStrictEqual(isAsyncIterable(['bloop'], ['value']), [
+        ['bloop'],
+        ["`value` must be async iterable (got [ 'bloop' ])"],
+      ]);
+    });
+  });
+
   describe('isPlainObject', function () {
     it('returns errors when not satisfied', function () {
       assert.deepStrictEqual(isPlainObject({}, ['value']), [{}, []]);